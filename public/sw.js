@@ -0,0 +1,166 @@
+// public/sw.js
+// Offline support: caches the app shell and every dataset the app loads.
+//
+//   navigations          network first, cached index.html when offline
+//   /assets/*            cache first (file names are content-hashed)
+//   .json / .geojson     stale-while-revalidate: the cached copy answers at
+//                        once, the network copy replaces it in the background
+//                        and the page is told when it differs
+//   anything else        network, cached copy when offline
+//
+// Dataset files are requested as "file?v=<version>" (see src/datasets.js), so
+// a new version in /datasets.json is a new URL; older versions of the same
+// file are dropped from the cache once the new one is stored.
+const SHELL_CACHE = "cbre-explorer-shell-v1";
+const DATA_CACHE = "cbre-explorer-data-v1";
+const CACHED_AT = "x-cached-at";
+
+const SHELL_FILES = ["/", "/manifest.webmanifest", "/vite.svg"];
+const DATA_FILES = ["/datasets.json", "/fx_rates.json", "/bond_yields.json", "/cee_map.geojson"];
+
+/* ===== Lifecycle ===== */
+// index.html names the hashed bundles; precache them so the very first visit
+// already works offline.
+function precacheShell() {
+  return caches.open(SHELL_CACHE).then((cache) =>
+    fetch("/")
+      .then((r) => r.text())
+      .then((html) => {
+        const assets = [...html.matchAll(/(?:src|href)="(\/assets\/[^"]+)"/g)].map((m) => m[1]);
+        return cache.addAll([...SHELL_FILES, ...assets]);
+      })
+  );
+}
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    Promise.all([
+      precacheShell(),
+      caches.open(DATA_CACHE).then((cache) =>
+        Promise.all(DATA_FILES.map((url) => fetchAndStore(cache, new Request(url))))
+      ),
+    ]).then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys
+            .filter((k) => k.startsWith("cbre-explorer-") && k !== SHELL_CACHE && k !== DATA_CACHE)
+            .map((k) => caches.delete(k))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+/* ===== Fetch ===== */
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== "GET" || url.origin !== self.location.origin) return;
+
+  if (request.mode === "navigate") {
+    event.respondWith(networkFirstShell(request));
+  } else if (url.pathname.startsWith("/assets/")) {
+    event.respondWith(cacheFirst(request));
+  } else if (/\.(json|geojson)$/.test(url.pathname)) {
+    event.respondWith(staleWhileRevalidate(event, request));
+  } else {
+    event.respondWith(
+      fetch(request).catch(() =>
+        caches.match(request).then((cached) => cached || Response.error())
+      )
+    );
+  }
+});
+
+function networkFirstShell(request) {
+  return fetch(request)
+    .then((response) => {
+      if (response.ok) {
+        const copy = response.clone();
+        caches.open(SHELL_CACHE).then((cache) => cache.put("/", copy));
+      }
+      return response;
+    })
+    .catch(() => caches.match("/").then((cached) => cached || Response.error()));
+}
+
+function cacheFirst(request) {
+  return caches.match(request).then(
+    (cached) =>
+      cached ||
+      fetch(request).then((response) => {
+        if (response.ok) {
+          const copy = response.clone();
+          caches.open(SHELL_CACHE).then((cache) => cache.put(request, copy));
+        }
+        return response;
+      })
+  );
+}
+
+// Stores a copy stamped with the time it was fetched, so the page can tell
+// how old the data it is showing offline is.
+function fetchAndStore(cache, request) {
+  return fetch(request).then((response) => {
+    if (!response.ok) return response;
+    return response
+      .clone()
+      .blob()
+      .then((body) => {
+        const headers = new Headers(response.headers);
+        headers.set(CACHED_AT, new Date().toISOString());
+        const stamped = new Response(body, { status: 200, headers });
+        return dropOtherVersions(cache, request.url)
+          .then(() => cache.put(request, stamped.clone()))
+          .then(() => stamped);
+      });
+  });
+}
+
+function dropOtherVersions(cache, href) {
+  const url = new URL(href);
+  return cache.keys().then((requests) =>
+    Promise.all(
+      requests
+        .filter((r) => {
+          const other = new URL(r.url);
+          return other.pathname === url.pathname && other.search !== url.search;
+        })
+        .map((r) => cache.delete(r))
+    )
+  );
+}
+
+function staleWhileRevalidate(event, request) {
+  return caches.open(DATA_CACHE).then((cache) =>
+    cache.match(request).then((cached) => {
+      const network = fetchAndStore(cache, request);
+      if (!cached) return network;
+
+      // Answer from the cache, then tell the page if the server copy changed
+      event.waitUntil(
+        network
+          .then((fresh) =>
+            Promise.all([fresh.clone().text(), cached.clone().text()]).then(([a, b]) => {
+              if (fresh.ok && a !== b) notifyClients({ type: "updated", url: request.url });
+            })
+          )
+          .catch(() => notifyClients({ type: "offline", url: request.url }))
+      );
+      return cached;
+    })
+  );
+}
+
+function notifyClients(message) {
+  return self.clients
+    .matchAll({ type: "window" })
+    .then((windows) => windows.forEach((w) => w.postMessage(message)));
+}
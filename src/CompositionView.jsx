@@ -0,0 +1,245 @@
+// src/CompositionView.jsx
+import React, { useState } from "react";
+import {
+  ResponsiveContainer,
+  BarChart,
+  Bar,
+  XAxis,
+  YAxis,
+  Tooltip,
+  Legend,
+} from "recharts";
+import { fmtNumber, fmtPct, formatByKind, comparePeriods, scaleColor } from "./marketUtils.js";
+import { groupMetrics } from "./metricRegistry.js";
+import { COMPARISON_PALETTE } from "./comparisons.js";
+import { t, tLabel, fmtPeriod } from "./i18n.js";
+import {
+  COMPOSITION_FIELDS,
+  submarketComposition,
+  submarketHeatmap,
+} from "./composition.js";
+
+const fmtShare = (v) => fmtPct(v, 1);
+
+function formatCell(v, metric) {
+  if (v == null) return "–";
+  // rates are already normalized to percent by numericMetric()
+  return metric.kind === "percent" ? fmtPct(v, 1) : formatByKind(v, metric.kind);
+}
+
+/* ===== Submarket Composition View ===== */
+export default function CompositionView({
+  raw,
+  metrics,
+  areaUnit = "m²",
+  selectedCountry,
+  selectedCity,
+  initialPeriod,
+  onSelectMarket,
+}) {
+  const [market, setMarket] = useState({ country: selectedCountry, city: selectedCity });
+  const periodsOf = (m) =>
+    Object.keys(raw?.countries?.[m.country]?.cities?.[m.city]?.periods || {})
+      .sort(comparePeriods)
+      .reverse();
+  const periods = periodsOf(market);
+  const [period, setPeriod] = useState(
+    periods.includes(initialPeriod) ? initialPeriod : periods[0] || ""
+  );
+  const [heatKey, setHeatKey] = useState("vacancyRate");
+
+  const cities = Object.entries(raw?.countries || {}).flatMap(([country, node]) =>
+    Object.keys(node.cities || {}).map((city) => ({ country, city }))
+  );
+
+  const { rows, total, nested } = submarketComposition(raw, market.country, market.city, period);
+  const heatMetric = metrics.find((m) => m.key === heatKey) || metrics[0];
+  const heat = submarketHeatmap(raw, market.country, market.city, heatMetric);
+
+  // one stacked bar per field, one segment per submarket (share of the submarket sum)
+  const chartData = COMPOSITION_FIELDS.map((f) => {
+    const sum = rows.reduce((acc, r) => acc + (r[f.key] || 0), 0);
+    const row = { field: tLabel("composition.field", f) };
+    for (const r of rows) row[r.submarket] = sum ? ((r[f.key] || 0) / sum) * 100 : 0;
+    return row;
+  });
+
+  const select = (sm, p) => onSelectMarket(market.country, market.city, sm, p);
+  const cell = { padding: "4px 6px", borderBottom: "1px solid #eee" };
+  const right = { ...cell, textAlign: "right" };
+
+  return (
+    <div className="section-box">
+      <div className="section-header">🧩 {t("composition.title")}</div>
+
+      <div style={{ padding: "10px" }}>
+        <div style={{ display: "flex", gap: "10px" }}>
+          <select
+            value={`${market.country}|${market.city}`}
+            onChange={(e) => {
+              const [country, city] = e.target.value.split("|");
+              setMarket({ country, city });
+              const next = periodsOf({ country, city });
+              if (!next.includes(period)) setPeriod(next[0] || "");
+            }}
+            style={{ flex: 2 }}
+          >
+            {cities.map((c) => (
+              <option key={`${c.country}|${c.city}`} value={`${c.country}|${c.city}`}>
+                {c.city}, {c.country}
+              </option>
+            ))}
+          </select>
+          <select value={period} onChange={(e) => setPeriod(e.target.value)} style={{ flex: 1 }}>
+            {periods.map((p) => (
+              <option key={p} value={p}>
+                {fmtPeriod(p)}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        {!rows.length && (
+          <p style={{ color: "#777" }}>
+            {t("composition.empty", { city: market.city, period: fmtPeriod(period) })}
+          </p>
+        )}
+
+        {rows.length > 0 && (
+          <>
+            {/* --- Composition bars --- */}
+            {/* legend rows grow with the number of submarkets */}
+            <div style={{ height: 200 + Math.ceil(rows.length / 4) * 20, marginTop: "10px" }}>
+              <ResponsiveContainer>
+                <BarChart data={chartData} layout="vertical" margin={{ left: 20 }}>
+                  <XAxis type="number" domain={[0, 100]} tickFormatter={(v) => `${v}%`} />
+                  <YAxis type="category" dataKey="field" width={90} />
+                  <Tooltip formatter={(v) => fmtShare(v)} />
+                  <Legend wrapperStyle={{ fontSize: "12px" }} />
+                  {rows.map((r, i) => (
+                    <Bar
+                      key={r.submarket}
+                      dataKey={r.submarket}
+                      stackId="s"
+                      fill={COMPARISON_PALETTE[i % COMPARISON_PALETTE.length]}
+                      onClick={() => select(r.submarket, period)}
+                      style={{ cursor: "pointer" }}
+                    />
+                  ))}
+                </BarChart>
+              </ResponsiveContainer>
+            </div>
+            {nested && (
+              <p style={{ fontSize: "12px", color: "#777", margin: "4px 0" }}>
+                {t("composition.nested")}
+              </p>
+            )}
+
+            {/* --- Share of city Total --- */}
+            <div style={{ overflowX: "auto", marginTop: "10px" }}>
+              <table style={{ width: "100%", borderCollapse: "collapse", fontSize: "13px" }}>
+                <thead>
+                  <tr style={{ background: "#f0f4fa", textAlign: "left" }}>
+                    <th style={cell}>{t("common.submarket")}</th>
+                    {COMPOSITION_FIELDS.map((f) => (
+                      <React.Fragment key={f.key}>
+                        <th style={right}>
+                          {tLabel("composition.field", f)} ({areaUnit})
+                        </th>
+                        <th style={right}>{t("composition.share")}</th>
+                      </React.Fragment>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {rows.map((r) => (
+                    <tr
+                      key={r.submarket}
+                      onClick={() => select(r.submarket, period)}
+                      style={{ cursor: "pointer" }}
+                    >
+                      <td style={cell}>{r.submarket}</td>
+                      {COMPOSITION_FIELDS.map((f) => (
+                        <React.Fragment key={f.key}>
+                          <td style={right}>{fmtNumber(r[f.key])}</td>
+                          <td style={right}>{fmtShare(r.share[f.key])}</td>
+                        </React.Fragment>
+                      ))}
+                    </tr>
+                  ))}
+                  <tr style={{ fontWeight: "bold" }}>
+                    <td style={cell}>{t("composition.cityTotal")}</td>
+                    {COMPOSITION_FIELDS.map((f) => (
+                      <React.Fragment key={f.key}>
+                        <td style={right}>{fmtNumber(total[f.key])}</td>
+                        <td style={right}>{total[f.key] ? "100%" : "–"}</td>
+                      </React.Fragment>
+                    ))}
+                  </tr>
+                </tbody>
+              </table>
+            </div>
+          </>
+        )}
+
+        {/* --- Submarket × period heatmap --- */}
+        <div style={{ marginTop: "16px" }}>
+          <select value={heatKey} onChange={(e) => setHeatKey(e.target.value)}>
+            {groupMetrics(metrics).map(([group, list]) => (
+              <optgroup key={group} label={t(`group.${group}`)}>
+                {list.map((m) => (
+                  <option key={m.key} value={m.key}>
+                    {m.label}
+                  </option>
+                ))}
+              </optgroup>
+            ))}
+          </select>
+        </div>
+        <div style={{ overflowX: "auto", marginTop: "6px" }}>
+          <table style={{ borderCollapse: "collapse", fontSize: "12px" }}>
+            <thead>
+              <tr>
+                <th style={cell}></th>
+                {heat.periods.map((p) => (
+                  <th key={p} style={{ ...cell, whiteSpace: "nowrap" }}>
+                    {fmtPeriod(p)}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {heat.submarkets.map((sm) => (
+                <tr key={sm}>
+                  <td style={{ ...cell, whiteSpace: "nowrap" }}>{sm}</td>
+                  {heat.periods.map((p) => {
+                    const v = heat.value(sm, p);
+                    const pos =
+                      v == null || heat.max === heat.min
+                        ? 0
+                        : (v - heat.min) / (heat.max - heat.min);
+                    return (
+                      <td
+                        key={p}
+                        onClick={() => v != null && select(sm, p)}
+                        title={`${sm}, ${fmtPeriod(p)}: ${formatCell(v, heatMetric)}`}
+                        style={{
+                          ...right,
+                          background: scaleColor(v, heat.min, heat.max),
+                          color: pos > 0.6 ? "#fff" : "#223",
+                          cursor: v != null ? "pointer" : "default",
+                        }}
+                      >
+                        {formatCell(v, heatMetric)}
+                      </td>
+                    );
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,207 @@
+// src/DashboardView.jsx
+import React, { useState } from "react";
+import { ResponsiveContainer, LineChart, Line, YAxis } from "recharts";
+import { formatByKind, fmtPct, fmtFixed, toPercentValue } from "./marketUtils.js";
+import { BASE_COLOR } from "./comparisons.js";
+import { SECTORS, DEFAULT_SECTOR } from "./sectors.js";
+import { downloadBlob } from "./exportData.js";
+import {
+  updateSavedView,
+  removeSavedView,
+  exportSavedViews,
+  importSavedViews,
+} from "./savedViews.js";
+import { t, fmtPeriod } from "./i18n.js";
+
+// Change against the quarter before: pp for rates, % otherwise
+function changeText(latest, previous, kind) {
+  if (!latest || !previous) return null;
+  if (kind === "percent") {
+    const diff = toPercentValue(latest.value) - toPercentValue(previous.value);
+    return `${diff > 0 ? "+" : ""}${fmtFixed(diff, 2)} ${t("unit.pp")}`;
+  }
+  if (!previous.value) return null;
+  const pct = (latest.value / previous.value - 1) * 100;
+  return `${pct > 0 ? "+" : ""}${fmtPct(pct, 1)}`;
+}
+
+/* ===== Dashboard Card ===== */
+// card: saved view with { sector, city, submarket, metric, series }
+function DashboardCard({ card, onOpen }) {
+  const latest = card.series[card.series.length - 1];
+  const previous = card.series[card.series.length - 2];
+  const change = changeText(latest, previous, card.metric.kind);
+  const sector = SECTORS.find((s) => s.key === card.sector);
+
+  return (
+    <div
+      onClick={onOpen}
+      style={{
+        border: "1px solid #c5d0de",
+        borderRadius: "6px",
+        padding: "8px 10px",
+        cursor: "pointer",
+        background: "#fff",
+      }}
+    >
+      <div style={{ fontWeight: "bold", color: "#003366" }}>{card.name}</div>
+      <div style={{ fontSize: "12px", color: "#555" }}>
+        {card.sector !== DEFAULT_SECTOR && sector && `${sector.icon} `}
+        {card.city} · {card.submarket}
+      </div>
+      <div style={{ fontSize: "12px", color: "#777", marginTop: "4px" }}>{card.metric.label}</div>
+      <div style={{ display: "flex", alignItems: "baseline", gap: "8px" }}>
+        <span style={{ fontSize: "20px", fontWeight: "bold" }}>
+          {latest ? formatByKind(latest.value, card.metric.kind) : "–"}
+        </span>
+        {change && <span style={{ fontSize: "12px", color: "#555" }}>{change}</span>}
+      </div>
+      <div style={{ fontSize: "11px", color: "#999" }}>{latest && fmtPeriod(latest.period)}</div>
+      <div style={{ height: 50 }}>
+        <ResponsiveContainer>
+          <LineChart data={card.series}>
+            <YAxis hide domain={["auto", "auto"]} />
+            <Line
+              dataKey="value"
+              stroke={BASE_COLOR}
+              strokeWidth={2}
+              dot={false}
+              isAnimationActive={false}
+            />
+          </LineChart>
+        </ResponsiveContainer>
+      </div>
+    </div>
+  );
+}
+
+/* ===== Dashboard View ===== */
+// cards: favorite views (see DashboardCard); savedViews: all saved views,
+// onChange(list) stores an edited list
+export default function DashboardView({ cards, savedViews, onOpen, onChange }) {
+  const [error, setError] = useState(null);
+
+  const importFile = (file) => {
+    if (!file) return;
+    file
+      .text()
+      .then((text) => {
+        const next = importSavedViews(savedViews, text);
+        setError(next ? null : t("saved.invalidFile", { file: file.name }));
+        if (next) onChange(next);
+      })
+      .catch(() => setError(t("saved.invalidFile", { file: file.name })));
+  };
+
+  const cell = { padding: "4px 6px", borderBottom: "1px solid #eee" };
+  const btn = { padding: "6px 10px", marginRight: "8px", cursor: "pointer" };
+
+  return (
+    <div className="section-box">
+      <div className="section-header">📌 {t("dashboard.title")}</div>
+
+      <div style={{ padding: "10px" }}>
+        {/* --- Favorite views --- */}
+        {cards.length ? (
+          <div
+            style={{
+              display: "grid",
+              gridTemplateColumns: "repeat(auto-fill, minmax(220px, 1fr))",
+              gap: "10px",
+            }}
+          >
+            {cards.map((c) => (
+              <DashboardCard key={c.id} card={c} onOpen={() => onOpen(c)} />
+            ))}
+          </div>
+        ) : (
+          <p style={{ fontSize: "14px", color: "#777" }}>{t("dashboard.empty")}</p>
+        )}
+
+        {/* --- All saved views --- */}
+        {savedViews.length > 0 && (
+          <table
+            style={{
+              width: "100%",
+              borderCollapse: "collapse",
+              fontSize: "13px",
+              marginTop: "16px",
+            }}
+          >
+            <thead>
+              <tr style={{ background: "#f0f4fa", textAlign: "left" }}>
+                <th style={cell}>{t("saved.name")}</th>
+                <th style={cell}>{t("dashboard.favorite")}</th>
+                <th style={cell}></th>
+              </tr>
+            </thead>
+            <tbody>
+              {savedViews.map((v) => (
+                <tr key={v.id}>
+                  <td style={cell}>
+                    <input
+                      value={v.name}
+                      onChange={(e) =>
+                        onChange(updateSavedView(savedViews, v.id, { name: e.target.value }))
+                      }
+                      style={{ width: "100%" }}
+                    />
+                  </td>
+                  <td style={cell}>
+                    <button
+                      onClick={() =>
+                        onChange(updateSavedView(savedViews, v.id, { favorite: !v.favorite }))
+                      }
+                      title={t("dashboard.favorite")}
+                    >
+                      {v.favorite ? "★" : "☆"}
+                    </button>
+                  </td>
+                  <td style={{ ...cell, textAlign: "right", whiteSpace: "nowrap" }}>
+                    <button onClick={() => onOpen(v)}>{t("saved.open")}</button>{" "}
+                    <button
+                      onClick={() => onChange(removeSavedView(savedViews, v.id))}
+                      title={t("compare.remove")}
+                    >
+                      ✕
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+
+        {/* --- Share as a file --- */}
+        <div style={{ margin: "10px 0" }}>
+          <button
+            style={btn}
+            disabled={!savedViews.length}
+            onClick={() =>
+              downloadBlob(
+                new Blob([exportSavedViews(savedViews)], { type: "application/json" }),
+                "saved-views.json"
+              )
+            }
+          >
+            ⬇ {t("saved.export")}
+          </button>
+          <label style={{ ...btn, border: "1px solid #999", borderRadius: "3px" }}>
+            ⬆ {t("saved.import")}
+            <input
+              type="file"
+              accept=".json,application/json"
+              onChange={(e) => {
+                importFile(e.target.files[0]);
+                e.target.value = "";
+              }}
+              style={{ display: "none" }}
+            />
+          </label>
+        </div>
+        {error && <div style={{ color: "crimson" }}>{error}</div>}
+        <p style={{ fontSize: "12px", color: "#777" }}>{t("dashboard.footnote")}</p>
+      </div>
+    </div>
+  );
+}
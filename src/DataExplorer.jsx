@@ -1,5 +1,5 @@
 // src/DataExplorer.jsx
-import React, { useEffect, useState } from "react";
+import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
 import {
   ResponsiveContainer,
   ComposedChart,
@@ -8,118 +8,379 @@ import {
   XAxis,
   YAxis,
   Tooltip,
+  Legend,
   LabelList,
+  ReferenceArea,
+  ReferenceLine,
 } from "recharts";
 import "./App.css";
-
-/* ===== Formatting Helpers ===== */
-function fmtNumber(n) {
-  if (n === null || n === undefined || n === "" || Number.isNaN(n)) return "–";
-  const v = Number(n);
-
-  // ✅ Large values (>= 1000) – show as integers
-  if (Math.abs(v) >= 1000) {
-    return v.toLocaleString(undefined, {
-      minimumFractionDigits: 0,
-      maximumFractionDigits: 0,
-    });
-  }
-
-  // ✅ Small values (< 1000) – always two decimals
-  return v.toLocaleString(undefined, {
-    minimumFractionDigits: 2,
-    maximumFractionDigits: 2,
-  });
-}
-
-function fmtMoney(n) {
-  if (n === null || n === undefined || n === "" || Number.isNaN(n)) return "–";
-  const v = Number(n);
-  return v.toLocaleString(undefined, {
-    minimumFractionDigits: 2,
-    maximumFractionDigits: 2,
-  });
-}
-
-function fmtPercent(n) {
-  if (n === null || n === undefined || n === "" || Number.isNaN(n)) return "–";
-  const v = Number(n);
-  if (Math.abs(v) <= 1) return (v * 100).toFixed(2) + "%";
-  return v.toFixed(2) + "%";
+import RankingView from "./RankingView.jsx";
+import MapView from "./MapView.jsx";
+import DiffView from "./DiffView.jsx";
+import PipelineView from "./PipelineView.jsx";
+import CompositionView from "./CompositionView.jsx";
+import DataQualityPanel from "./DataQualityPanel.jsx";
+import ImportView from "./ImportView.jsx";
+import LeaseCalculator from "./LeaseCalculator.jsx";
+import DashboardView from "./DashboardView.jsx";
+import ReportView from "./ReportView.jsx";
+import {
+  loadManifest,
+  loadDataset,
+  findDataset,
+  datasetVersion,
+  datasetFetchedAt,
+} from "./datasets.js";
+import { onServiceWorkerMessage } from "./offline.js";
+import { validateMarketData } from "./dataQuality.js";
+import {
+  DERIVED_METRICS,
+  addDerivedMetrics,
+  publishedMismatches,
+  loadBondYields,
+  loadUserBondYields,
+  saveUserBondYields,
+  bondYield,
+} from "./derivedMetrics.js";
+import { mergeMarketData } from "./dataAdapters.js";
+import {
+  SECTORS,
+  DEFAULT_SECTOR,
+  sectorSlice,
+  sectorsOf,
+  pickSector,
+  withSector,
+} from "./sectors.js";
+import {
+  buildMetricRegistry,
+  chartableMetrics,
+  metricDef,
+  groupMetrics,
+} from "./metricRegistry.js";
+import {
+  fmtNumber,
+  fmtPct,
+  coerceNumber,
+  formatByKind,
+  comparePeriods,
+  allPeriods,
+  resolveMetric,
+  buildTrendSeries,
+} from "./marketUtils.js";
+import {
+  buildTrendTable,
+  buildSnapshotTable,
+  downloadCsv,
+  downloadXlsx,
+  downloadBlob,
+  fileSlug,
+} from "./exportData.js";
+import {
+  findChartSvg,
+  downloadPng,
+  downloadSvg,
+  downloadFactSheetPdf,
+} from "./chartExport.js";
+import {
+  BASE_COLOR,
+  COMPARISON_PALETTE,
+  seriesKey,
+  addComparison,
+  updateComparison,
+  moveComparison,
+  comparisonSubmarkets,
+} from "./comparisons.js";
+import {
+  TREND_TRANSFORMS,
+  applyTransform,
+  transformedUnit,
+  computeCagr,
+} from "./trendTransforms.js";
+import {
+  FORECAST_METRICS,
+  FORECAST_HORIZONS,
+  RENT_MODELS,
+  DEFAULT_SCENARIO,
+  projectMarket,
+} from "./forecast.js";
+import {
+  CURRENCIES,
+  BASE_CURRENCY,
+  loadFxRates,
+  currencyLabel,
+  currencyMetric,
+  convertMarketData,
+} from "./currency.js";
+import {
+  SQFT_PER_SQM,
+  AREA_UNITS,
+  RENT_PERIODS,
+  loadUnits,
+  saveUnits,
+  areaLabel,
+  unitLabel,
+  unitMetric,
+  convertUnits,
+} from "./units.js";
+import {
+  LANGUAGES,
+  t,
+  tLabel,
+  fmtPeriod,
+  getLanguage,
+  setLanguage,
+  numberLocale,
+} from "./i18n.js";
+import { readViewFromUrl, resolveView, viewToQuery } from "./urlState.js";
+import {
+  loadSavedViews,
+  saveSavedViews,
+  addSavedView,
+  loadLastView,
+  saveLastView,
+} from "./savedViews.js";
+
+/* ===== Selectable Trend Metrics ===== */
+// The catalog itself is built from the loaded data (metricRegistry.js)
+const DEFAULT_METRIC = "primeRentEurSqmMonth";
+
+/* ===== Trend Metric Axes ===== */
+// Units in selection order: the first goes to the left axis, the second to the
+// right one. A third unit would need a third scale, so it is not offered.
+function trendUnits(trendMetrics, registry) {
+  return [...new Set(trendMetrics.map((m) => metricDef(registry, m.key).unit))];
 }
 
-function coerceNumber(v) {
-  if (v === null || v === undefined) return null;
-  if (typeof v === "number") return v;
-  let s = String(v).trim();
-  if (s === "" || s === "–") return null;
-  s = s.replace(/[€%\s]/g, "");
-  if (s.includes(",") && s.includes(".")) s = s.replace(/\./g, "").replace(",", ".");
-  else if (s.includes(",")) s = s.replace(",", ".");
-  const num = parseFloat(s);
-  return Number.isNaN(num) ? null : num;
+function canAddUnit(trendMetrics, unit, registry) {
+  const units = trendUnits(trendMetrics, registry);
+  return units.includes(unit) || units.length < 2;
 }
 
-function formatMaybeRange(v, kind = "number") {
-  if (v === null || v === undefined || v === "") return "–";
-  if (typeof v === "number")
-    return kind === "money" ? fmtMoney(v) : fmtNumber(v);
-
-  const parts = String(v)
-    .replace(/€/g, "")
-    .split(/\s*(?:-|–|to)\s*/i);
-  if (parts.length >= 2) return `${parts[0]} – ${parts[1]}`;
-  return v;
+const METRIC_COLORS = [BASE_COLOR, ...COMPARISON_PALETTE];
+
+/* ===== Views (tabs) ===== */
+// labels: "tab.<key>" in the catalogs
+const VIEWS = [
+  { key: "explorer", icon: "📊" },
+  { key: "dashboard", icon: "📌" },
+  { key: "ranking", icon: "🏆" },
+  { key: "map", icon: "🗺️" },
+  { key: "pipeline", icon: "🏗️" },
+  { key: "composition", icon: "🧩" },
+  { key: "diff", icon: "🔍" },
+  { key: "report", icon: "📰" },
+  { key: "quality", icon: "🩺" },
+  { key: "import", icon: "⬆" },
+];
+
+function ViewTabs({ active, onChange }) {
+  return (
+    <div className="view-tabs">
+      {VIEWS.map((v) => (
+        <button
+          key={v.key}
+          className={`view-tab${v.key === active ? " view-tab--active" : ""}`}
+          onClick={() => onChange(v.key)}
+        >
+          {v.icon} {t(`tab.${v.key}`)}
+        </button>
+      ))}
+    </div>
+  );
 }
 
-// === Helper for comparing periods chronologically (e.g. Q1 2020 < Q4 2020) ===
-function comparePeriods(a, b) {
-  if (!a || !b) return 0;
-  const [qa, ya] = a.split(" ");
-  const [qb, yb] = b.split(" ");
-  if (ya !== yb) return Number(ya) - Number(yb);
-  return Number(qa.replace("Q", "")) - Number(qb.replace("Q", ""));
+/* ===== Display Copy ===== */
+// Money fields converted to the display currency, areas and rents to the unit
+// preference; defs: metric catalog of the (derived) data
+function displayCopy(derived, defs, fxRates, currency, units) {
+  return convertUnits(
+    convertMarketData(
+      derived,
+      fxRates,
+      currency,
+      defs.filter((d) => d.kind === "money").map((d) => d.key)
+    ),
+    units,
+    defs.map((d) => currencyMetric(d, currency))
+  );
 }
 
+// Catalog entry labelled in the UI language, display currency and units
+const displayMetric = (d, currency, units) =>
+  unitMetric(currencyMetric({ ...d, label: tLabel("metric", d) }, currency), units);
+
+// Valid values for resolveView(); defs: metric catalog of the (derived) data
+const viewOptions = (defs) => ({
+  metricDefs: chartableMetrics(defs),
+  defaultMetric: DEFAULT_METRIC,
+  transforms: TREND_TRANSFORMS.map((tr) => tr.key),
+  views: VIEWS.map((v) => v.key),
+  currencies: CURRENCIES,
+});
+
+/* ===== Snapshot Panels ===== */
+// titles: "snapshot.<key>", row labels: "metric.<key>" in the catalogs
+// rows without `sectors` apply to every sector
+const COMMERCIAL = ["Office", "Industrial", "Retail"];
+const SNAPSHOT_SECTIONS = [
+  {
+    key: "market",
+    title: "Market Metrics",
+    icon: "📊",
+    rows: [
+      { key: "totalStock", label: "Total Stock (m²)", kind: "number" },
+      { key: "vacancy", label: "Vacancy (m²)", kind: "number" },
+      { key: "vacancyRate", label: "Vacancy Rate (%)", kind: "percent" },
+      { key: "primeYield", label: "Prime Yield (%)", kind: "percent" },
+      { key: "capitalValueEurSqm", label: "Capital Value (€/m²)", kind: "money" },
+      {
+        key: "averageSalePriceEurSqm",
+        label: "Average Sale Price (€/m²)",
+        kind: "money",
+        sectors: ["Residential"],
+      },
+    ],
+  },
+  {
+    key: "leasing",
+    title: "Leasing Conditions",
+    icon: "📝",
+    rows: [
+      { key: "primeRentEurSqmMonth", label: "Prime Rent (€/m² pm)", kind: "money" },
+      { key: "averageRentEurSqmMonth", label: "Average Rent (€/m² pm)", kind: "money" },
+      {
+        key: "primeRentSmallUnitsEurSqmMonth",
+        label: "Prime Rent - Small Units (€/m² pm)",
+        kind: "money",
+        sectors: ["Industrial"],
+      },
+      {
+        key: "zoneARentEurSqmMonth",
+        label: "Prime Zone A Rent - High Street (€/m² pm)",
+        kind: "money",
+        sectors: ["Retail"],
+      },
+      {
+        key: "shoppingCentrePrimeRentEurSqmMonth",
+        label: "Prime Rent - Shopping Centres (€/m² pm)",
+        kind: "money",
+        sectors: ["Retail"],
+      },
+      {
+        key: "serviceChargeEurSqmMonth",
+        label: "Service Charge (€/m² pm)",
+        kind: "money",
+        sectors: COMMERCIAL,
+      },
+      {
+        key: "leaseLengthMonths",
+        label: "Typical Lease Terms (years)",
+        kind: "range",
+        sectors: COMMERCIAL,
+      },
+      {
+        key: "rentFreeMonthPerYear",
+        label: "Typical Rent Free Period (months)",
+        kind: "range",
+        sectors: COMMERCIAL,
+      },
+    ],
+  },
+  {
+    key: "derived",
+    title: "Derived Metrics",
+    icon: "🧮",
+    rows: DERIVED_METRICS.map(({ key, label, kind }) => ({ key, label, kind })),
+  },
+];
 
 /* ===== Reusable Row ===== */
-function Row({ label, value }) {
+// note: tooltip text of a ⚠ marker next to the value
+function Row({ label, value, note }) {
   return (
     <div className="row">
       <div className="row-label">{label}</div>
-      <div className="row-value">{value}</div>
+      <div className="row-value">
+        {value}
+        {note && (
+          <span title={note} style={{ marginLeft: "6px", color: "#c77700", cursor: "help" }}>
+            ⚠
+          </span>
+        )}
+      </div>
     </div>
   );
 }
 
-/* ===== Historical Series Builder ===== */
-function buildTrendSeries(raw, country, city, submarket, metric) {
-  const cityNode = raw?.countries?.[country]?.cities?.[city];
-  if (!cityNode?.periods) return [];
-  const periods = Object.keys(cityNode.periods);
-
-  const sortPeriods = (a, b) => {
-    const [qa, ya] = a.split(" ");
-    const [qb, yb] = b.split(" ");
-    if (ya !== yb) return Number(ya) - Number(yb);
-    return Number(qa.replace("Q", "")) - Number(qb.replace("Q", ""));
-  };
+/* ===== Scenario Assumption (trailing average or custom area per quarter) ===== */
+function AssumptionInput({ label, value, current, unit, onChange }) {
+  const custom = value !== "trailing";
+  return (
+    <label>
+      {label}{" "}
+      <select
+        value={custom ? "custom" : "trailing"}
+        onChange={(e) =>
+          onChange(e.target.value === "trailing" ? "trailing" : Math.round(current ?? 0))
+        }
+      >
+        <option value="trailing">{t("scenario.trailing")}</option>
+        <option value="custom">{t("scenario.custom")}</option>
+      </select>{" "}
+      {custom && (
+        <input
+          type="number"
+          value={value}
+          onChange={(e) => onChange(e.target.value)}
+          style={{ width: "90px" }}
+        />
+      )}
+      {custom && ` ${unit}`}
+    </label>
+  );
+}
 
-  const out = [];
-  for (const p of periods.sort(sortPeriods)) {
-    const cityData = cityNode.periods?.[p];
-    if (!cityData) continue;
-    const subData = cityData?.subMarkets?.[submarket] || {};
-    const leasing = cityData?.leasing || {};
-    const merged = { ...leasing, ...subData };
-    const val = coerceNumber(merged?.[metric]);
-    if (val !== null) out.push({ period: p, value: val });
-  }
-  return out;
+/* ===== Export Buttons ===== */
+function ExportButtons({ onCsv, onXlsx, onPng, onSvg, onPdf }) {
+  const btn = { padding: "6px 10px", marginRight: "8px", cursor: "pointer" };
+  return (
+    <div style={{ margin: "10px 0" }}>
+      <button style={btn} onClick={onCsv}>
+        ⬇ CSV
+      </button>
+      <button style={btn} onClick={onXlsx}>
+        ⬇ Excel
+      </button>
+      {onPng && (
+        <button style={btn} onClick={onPng}>
+          ⬇ PNG
+        </button>
+      )}
+      {onSvg && (
+        <button style={btn} onClick={onSvg}>
+          ⬇ SVG
+        </button>
+      )}
+      {onPdf && (
+        <button style={btn} onClick={onPdf}>
+          📄 {t("export.factSheet")}
+        </button>
+      )}
+    </div>
+  );
 }
 
+const compButtonStyle = (color) => ({
+  background: "transparent",
+  border: "none",
+  color,
+  cursor: "pointer",
+  fontWeight: "bold",
+});
+
 /* ===== Tooltip Component (deduplicated) ===== */
-const MultiTooltip = ({ active, payload, label }) => {
+// units: { [series key]: unit } for series shown with their unit (money, area)
+const MultiTooltip = ({ active, payload, label, units = {} }) => {
   if (!active || !payload || !payload.length) return null;
 
   // ✅ remove duplicates by combining same name+value
@@ -136,10 +397,11 @@ const MultiTooltip = ({ active, payload, label }) => {
         fontSize: "12px",
       }}
     >
-      <strong>{label}</strong>
+      <strong>{fmtPeriod(label)}</strong>
       {unique.map((p, i) => (
         <div key={i} style={{ color: p.color }}>
           {p.name}: {fmtNumber(p.value)}
+          {units[p.dataKey] ? ` ${units[p.dataKey]}` : ""}
         </div>
       ))}
     </div>
@@ -149,16 +411,42 @@ const MultiTooltip = ({ active, payload, label }) => {
 
 /* ===== Main App ===== */
 export default function DataExplorerApp() {
-  const [raw, setRaw] = useState(null);
+  // all sectors of the loaded dataset; `raw` below is the selected sector
+  const [data, setData] = useState(null);
+  const [manifest, setManifest] = useState(null);
+  const [datasetId, setDatasetId] = useState("");
+  const [importedFiles, setImportedFiles] = useState([]);
+  const [currency, setCurrency] = useState(BASE_CURRENCY);
+  const [fxRates, setFxRates] = useState(null);
+  const [bondRates, setBondRates] = useState({});
+  const [userBonds, setUserBonds] = useState(loadUserBondYields);
+  const [savedViews, setSavedViews] = useState(loadSavedViews);
+  const [unitPrefs, setUnitPrefs] = useState(loadUnits);
+  const [lang, setLang] = useState(getLanguage);
+  const [offline, setOffline] = useState(() => !navigator.onLine);
+  // dataset id whose newer version waits until imported rows are downloaded
+  const [pendingUpdate, setPendingUpdate] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
 
-  const [sector] = useState("Office");
+  const [activeView, setActiveView] = useState("explorer");
+  const [sector, setSector] = useState(DEFAULT_SECTOR);
+  const raw = useMemo(() => data && sectorSlice(data, sector), [data, sector]);
+  const quality = useMemo(() => raw && validateMarketData(raw), [raw]);
+  // raw plus the derived investment metrics (views only, like displayRaw)
+  const bondOf = useCallback(
+    (c, p) => bondYield(bondRates, userBonds, c, p),
+    [bondRates, userBonds]
+  );
+  const derivedRaw = useMemo(() => raw && addDerivedMetrics(raw, bondOf), [raw, bondOf]);
   const [country, setCountry] = useState("");
   const [city, setCity] = useState("");
   const [submarket, setSubmarket] = useState("");
   const [period, setPeriod] = useState("");
-  const [selectedMetric, setSelectedMetric] = useState("primeRentEurSqmMonth");
+  // Trend metrics: [{ key, chart: "bar" | "line" }]
+  const [trendMetrics, setTrendMetrics] = useState([
+    { key: DEFAULT_METRIC, chart: "bar" },
+  ]);
 
 // 🔹 Smarter scaling — labels grow more with fewer bars
 const getDynamicFontSize = (dataLength, kind = "axis") => {
@@ -172,41 +460,51 @@ const getDynamicFontSize = (dataLength, kind = "axis") => {
 };
 
 // 🔹 Helper: reusable Bar + LabelList with dynamic font
-const renderBarWithLabels = (key, color, scaleBoost = 1) => (
-  <Bar dataKey={key} fill={color} radius={[3, 3, 0, 0]}>
-    <LabelList
-      dataKey={key}
-      position="center"
-      content={({ x, y, width, height, value }) => {
-        if (value == null) return null;
-        const cx = x + width / 2;
-        const cy = y + height / 2;
-
-        // Dynamic font scaling
-        let fontSize = getDynamicFontSize(mergedData.length, "label");
-        fontSize = Math.round(fontSize * scaleBoost); // 🔸 boost by factor (e.g. 1.1)
-
-        return (
-          <text
-            x={cx}
-            y={cy}
-            textAnchor="middle"
-            transform={`rotate(-90, ${cx}, ${cy})`}
-            fill="#fff"
-            fontSize={fontSize}
-            fontWeight="600"
-            style={{
-              pointerEvents: "none",
-              paintOrder: "stroke",
-              stroke: "rgba(0,0,0,0.25)",
-              strokeWidth: 2,
-            }}
-          >
-            {fmtNumber(value)}
-          </text>
-        );
-      }}
-    />
+const renderBarWithLabels = (key, color, scaleBoost = 1, name = key, opts = {}) => (
+  <Bar
+    key={key}
+    dataKey={key}
+    name={name}
+    fill={color}
+    fillOpacity={opts.fillOpacity ?? 1}
+    yAxisId={opts.yAxisId ?? "left"}
+    radius={[3, 3, 0, 0]}
+  >
+    {opts.showLabels !== false && (
+      <LabelList
+        dataKey={key}
+        position="center"
+        content={({ x, y, width, height, value }) => {
+          if (value == null) return null;
+          const cx = x + width / 2;
+          const cy = y + height / 2;
+
+          // Dynamic font scaling
+          let fontSize = getDynamicFontSize(mergedData.length, "label");
+          fontSize = Math.round(fontSize * scaleBoost); // 🔸 boost by factor (e.g. 1.1)
+
+          return (
+            <text
+              x={cx}
+              y={cy}
+              textAnchor="middle"
+              transform={`rotate(-90, ${cx}, ${cy})`}
+              fill="#fff"
+              fontSize={fontSize}
+              fontWeight="600"
+              style={{
+                pointerEvents: "none",
+                paintOrder: "stroke",
+                stroke: "rgba(0,0,0,0.25)",
+                strokeWidth: 2,
+              }}
+            >
+              {fmtNumber(value)}
+            </text>
+          );
+        }}
+      />
+    )}
   </Bar>
 );
 
@@ -215,53 +513,261 @@ const renderBarWithLabels = (key, color, scaleBoost = 1) => (
   // Historical Trend period range
 const [startPeriod, setStartPeriod] = useState("");
 const [endPeriod, setEndPeriod] = useState("");
+const [trendTransform, setTrendTransform] = useState("raw");
+const [scenario, setScenario] = useState(DEFAULT_SCENARIO);
+
+
+  // Comparison markets: [{ id, country, city, submarket, color }]
+  const [comparisons, setComparisons] = useState([]);
+  const chartRef = useRef(null);
+
+  // Until the FX table is loaded everything stays in EUR
+  const fxReady = !!fxRates && Object.keys(fxRates).length > 0;
+  const displayCurrency = fxReady ? currency : BASE_CURRENCY;
+
+  // Metric catalog of the loaded dataset, labels in the UI language and the
+  // display currency / units
+  const sourceRegistry = useMemo(() => buildMetricRegistry(derivedRaw), [derivedRaw]);
+  const metricRegistry = sourceRegistry.map((d) => displayMetric(d, displayCurrency, unitPrefs));
+  const chartMetrics = chartableMetrics(metricRegistry);
+  const metricDefOf = (key) => metricDef(metricRegistry, key);
+
+  // Apply a (URL) view after validating it against the dataset
+  const applyView = useCallback((full, view) => {
+    const viewSector = pickSector(full, view.sector);
+    const json = sectorSlice(full, viewSector);
+    const v = resolveView(json, view, viewOptions(buildMetricRegistry(addDerivedMetrics(json))));
+
+    setActiveView(v.view);
+    setSector(viewSector);
+    setCountry(v.country);
+    setCity(v.city);
+    setPeriod(v.period);
+    setSubmarket(v.submarket);
+    setTrendMetrics(v.metrics);
+    setStartPeriod(v.startPeriod);
+    setEndPeriod(v.endPeriod);
+    setTrendTransform(v.transform);
+    setCurrency(v.currency);
+
+    setComparisons(
+      v.comparisons.reduce((list, c) => addComparison(json, list, c), [])
+    );
+  }, []);
 
+  // Show a loaded dataset: validate it, then restore the view on top of it
+  const showDataset = useCallback(
+    (id, json, view) => {
+      setDatasetId(id);
+      setData(json);
+      setImportedFiles([]);
+      applyView(json, view);
+    },
+    [applyView]
+  );
 
-  // Comparison controls
-  const [showComp2, setShowComp2] = useState(false);
-  const [showComp3, setShowComp3] = useState(false);
-  const [country2, setCountry2] = useState("");
-  const [city2, setCity2] = useState("");
-  const [submarket2, setSubmarket2] = useState("");
-  const [country3, setCountry3] = useState("");
-  const [city3, setCity3] = useState("");
-  const [submarket3, setSubmarket3] = useState("");
-
+  // Without a view in the URL the last session's view is restored
   useEffect(() => {
-    fetch("/market_data.json")
-      .then((r) => {
-        if (!r.ok) throw new Error(`HTTP ${r.status}`);
-        return r.json();
+    const view = readViewFromUrl(window.location.search || loadLastView());
+    let entry;
+    loadManifest()
+      .then((m) => {
+        entry = findDataset(m, view.dataset);
+        setManifest(m);
+        return loadDataset(entry);
       })
       .then((json) => {
-        setRaw(json);
-        const firstCountry = Object.keys(json.countries || {})[0];
-        const firstCity =
-          Object.keys(json.countries[firstCountry]?.cities || {})[0] || "";
-        const periods = Object.keys(
-          json.countries[firstCountry]?.cities?.[firstCity]?.periods || {}
-        );
-        const firstPeriod = periods[periods.length - 1];
-        const subs = Object.keys(
-          json.countries[firstCountry]?.cities?.[firstCity]?.periods?.[firstPeriod]
-            ?.subMarkets || {}
-        );
-        setCountry(firstCountry);
-        setCity(firstCity);
-        setPeriod(firstPeriod);
-        setSubmarket(subs[0] || "");
-        // Limit default view to last 20 quarters (≈5 years)
-        const last20Index = Math.max(0, periods.length - 20);
-        setStartPeriod(periods[last20Index]); // Q4 2015 in your case
-        setEndPeriod(periods[periods.length - 1]); // latest
+        showDataset(entry.id, json, view);
         setLoading(false);
       })
       .catch((err) => {
         setError(err.message);
         setLoading(false);
       });
+  }, [showDataset]);
+
+  // FX table for the currency selector; without it only EUR is offered
+  useEffect(() => {
+    loadFxRates()
+      .then(setFxRates)
+      .catch(() => setFxRates({}));
+  }, []);
+
+  // Government bond yields for the yield spread (optional file)
+  useEffect(() => {
+    loadBondYields().then(setBondRates);
   }, []);
 
+  const changeUserBond = (c, value) => {
+    const next = { ...userBonds };
+    if (value === "") delete next[c];
+    else next[c] = Number(value);
+    saveUserBondYields(next);
+    setUserBonds(next);
+  };
+
+  // Money fields converted to the display currency, areas and rents to the
+  // unit preference (views only; selection, imports and data quality keep
+  // working on raw)
+  const displayRaw = useMemo(
+    () => displayCopy(derivedRaw, sourceRegistry, fxRates || {}, displayCurrency, unitPrefs),
+    [derivedRaw, fxRates, displayCurrency, unitPrefs, sourceRegistry]
+  );
+
+  // --- Offline: the service worker answers from its cache and refreshes in
+  // the background; a new manifest version reloads the shown dataset ---
+  useEffect(() => {
+    const goOnline = () => setOffline(false);
+    const goOffline = () => setOffline(true);
+    window.addEventListener("online", goOnline);
+    window.addEventListener("offline", goOffline);
+    return () => {
+      window.removeEventListener("online", goOnline);
+      window.removeEventListener("offline", goOffline);
+    };
+  }, []);
+
+  useEffect(() => {
+    if (!manifest) return;
+    return onServiceWorkerMessage(({ type, path }) => {
+      if (type === "offline") {
+        setOffline(true);
+        return;
+      }
+      setOffline(false);
+      if (path === "/fx_rates.json") {
+        loadFxRates().then(setFxRates).catch(() => {});
+      }
+      if (path === "/bond_yields.json") loadBondYields().then(setBondRates);
+      if (path !== "/datasets.json") return;
+      loadManifest().then((m) => {
+        const entry = findDataset(m, datasetId);
+        const changed = datasetVersion(entry) !== datasetVersion(findDataset(manifest, datasetId));
+        setManifest(m);
+        if (!changed) return;
+        // imported rows live only in memory; don't drop them unasked
+        if (importedFiles.length) {
+          setPendingUpdate(entry.id);
+          return;
+        }
+        loadDataset(entry)
+          .then((json) => showDataset(entry.id, json, readViewFromUrl()))
+          .catch(() => {});
+      });
+    });
+  }, [manifest, datasetId, importedFiles, showDataset]);
+
+  const applyPendingUpdate = () => {
+    const entry = findDataset(manifest, pendingUpdate);
+    setPendingUpdate(null);
+    loadDataset(entry)
+      .then((json) => showDataset(entry.id, json, readViewFromUrl()))
+      .catch((err) => alert(err.message));
+  };
+
+  const changeLanguage = (next) => {
+    setLanguage(next);
+    setLang(next);
+  };
+
+  const changeUnits = (next) => {
+    // custom scenario areas follow the switch so the assumption stays the same
+    if (next.area !== unitPrefs.area) {
+      const factor = next.area === "sqft" ? SQFT_PER_SQM : 1 / SQFT_PER_SQM;
+      const rescale = (v) => (v === "trailing" ? v : Math.round((coerceNumber(v) ?? 0) * factor));
+      setScenario((sc) => ({
+        ...sc,
+        absorption: rescale(sc.absorption),
+        completions: rescale(sc.completions),
+      }));
+    }
+    setUnitPrefs(next);
+    saveUnits(next);
+  };
+
+  // --- Browser back / forward restores the view from the URL ---
+  // "replace" while the view still settles (first load, after popstate),
+  // "push" for every selection the user makes afterwards.
+  const historyMode = useRef("replace");
+
+  useEffect(() => {
+    if (!data || !manifest) return;
+    const onPopState = () => {
+      historyMode.current = "replace";
+      const view = readViewFromUrl();
+      const entry = findDataset(manifest, view.dataset);
+      if (entry.id === datasetId) {
+        applyView(data, view);
+        return;
+      }
+      loadDataset(entry)
+        .then((json) => showDataset(entry.id, json, view))
+        .catch((err) => setError(err.message));
+    };
+    window.addEventListener("popstate", onPopState);
+    return () => window.removeEventListener("popstate", onPopState);
+  }, [data, manifest, datasetId, applyView, showDataset]);
+
+  // --- Switch sector, keeping country / city / metrics where the sector has them ---
+  const changeSector = (next) => applyView(data, { ...readViewFromUrl(), sector: next });
+
+  // --- Switch dataset vintage, keeping the current view where it still exists ---
+  const switchDataset = (id) => {
+    const entry = findDataset(manifest, id);
+    loadDataset(entry)
+      .then((json) => showDataset(entry.id, json, readViewFromUrl()))
+      .catch((err) => alert(err.message));
+  };
+
+  // --- Saved views: the URL (minus the dataset) under a name ---
+  const changeSavedViews = (next) => {
+    saveSavedViews(next);
+    setSavedViews(next);
+  };
+
+  const saveCurrentView = () => {
+    const name = window.prompt(t("saved.namePrompt"), `${city} · ${submarket}`);
+    if (name?.trim()) {
+      changeSavedViews(addSavedView(savedViews, name.trim(), window.location.search));
+    }
+  };
+
+  const openSavedView = (saved) => applyView(data, readViewFromUrl(saved.query));
+
+  // Favorites as dashboard cards, each in its own sector: the first trend
+  // metric from the saved start period up to the latest quarter
+  const dashboardCards = useMemo(() => {
+    if (activeView !== "dashboard" || !data) return [];
+    const models = {};
+    const modelOf = (s) => {
+      if (!models[s]) {
+        const derived = addDerivedMetrics(sectorSlice(data, s), bondOf);
+        const defs = buildMetricRegistry(derived);
+        const display = displayCopy(derived, defs, fxRates || {}, displayCurrency, unitPrefs);
+        models[s] = { defs, display };
+      }
+      return models[s];
+    };
+    return savedViews
+      .filter((saved) => saved.favorite)
+      .map((saved) => {
+        const view = readViewFromUrl(saved.query);
+        const viewSector = pickSector(data, view.sector);
+        const { defs, display } = modelOf(viewSector);
+        const v = resolveView(display, view, viewOptions(defs));
+        const metric = metricDef(defs, v.metrics[0].key);
+        const series = buildTrendSeries(display, v.country, v.city, v.submarket, metric.key);
+        return {
+          ...saved,
+          sector: viewSector,
+          city: v.city,
+          submarket: v.submarket,
+          metric,
+          series: series.filter((pt) => comparePeriods(pt.period, v.startPeriod) >= 0),
+        };
+      });
+  }, [activeView, data, savedViews, bondOf, fxRates, displayCurrency, unitPrefs]);
+
   // --- Cascading logic for dependent dropdowns ---
 useEffect(() => {
   if (!country || !raw?.countries?.[country]) return;
@@ -295,95 +801,67 @@ useEffect(() => {
   if (!subs.includes(submarket)) setSubmarket(subs[0] || "");
 }, [city, country, raw]);
 
-// --- Default + cascading logic for comparison markets (safe version) ---
+// --- Auto-adjust invalid period range (ensures End ≥ Start) ---
 useEffect(() => {
-  if (!raw?.countries) return;
-
-  // === MARKET 2 ===
-  if (showComp2) {
-    const countryList = Object.keys(raw.countries);
-    // default
-    if (!country2) {
-      const defaultCountry = raw.countries["Austria"] ? "Austria" : countryList[0];
-      setCountry2(defaultCountry);
-      return;
-    }
-
-    // ensure valid country
-    if (!raw.countries[country2]) return;
-
-    const cities2 = Object.keys(raw.countries[country2].cities || {});
-    if (!city2 || !cities2.includes(city2)) {
-      const firstCity = cities2[0] || "";
-      setCity2(firstCity);
-      return;
-    }
-
-    const periods2 = Object.keys(
-      raw.countries[country2].cities[city2]?.periods || {}
-    );
-    const latest2 = periods2[periods2.length - 1] || "";
-    const subs2 = Object.keys(
-      raw.countries[country2].cities[city2]?.periods?.[latest2]?.subMarkets || {}
-    );
-    if (!submarket2 || !subs2.includes(submarket2)) {
-      setSubmarket2(subs2[0] || "");
-    }
+  if (!startPeriod || !endPeriod) return;
+  if (comparePeriods(startPeriod, endPeriod) > 0) {
+    setEndPeriod(startPeriod);
   }
+}, [startPeriod, endPeriod]);
 
-  // === MARKET 3 ===
-  if (showComp3) {
-    const countryList = Object.keys(raw.countries);
-    // default
-    if (!country3) {
-      const defaultCountry = raw.countries["Austria"] ? "Austria" : countryList[0];
-      setCountry3(defaultCountry);
-      return;
-    }
-
-    // ensure valid country
-    if (!raw.countries[country3]) return;
+// --- Mirror the current view into the URL (skipped while dropdowns cascade) ---
+useEffect(() => {
+  if (!raw?.countries) return;
 
-    const cities3 = Object.keys(raw.countries[country3].cities || {});
-    if (!city3 || !cities3.includes(city3)) {
-      const firstCity = cities3[0] || "";
-      setCity3(firstCity);
-      return;
-    }
+  const cityNode = raw.countries[country]?.cities?.[city];
+  const periods = Object.keys(cityNode?.periods || {});
+  const latest = periods[periods.length - 1];
+  const subs = Object.keys(cityNode?.periods?.[latest]?.subMarkets || {});
+  if (!cityNode || !periods.includes(period) || !subs.includes(submarket)) return;
+  if (comparePeriods(startPeriod, endPeriod) > 0) return;
+
+  const query = viewToQuery({
+    dataset: datasetId === manifest?.default ? "" : datasetId,
+    sector,
+    view: activeView,
+    country,
+    city,
+    submarket,
+    period,
+    metrics: trendMetrics,
+    startPeriod,
+    endPeriod,
+    transform: trendTransform,
+    comparisons,
+    currency,
+  });
+  saveLastView(query);
+  if (query === window.location.search) return;
 
-    const periods3 = Object.keys(
-      raw.countries[country3].cities[city3]?.periods || {}
-    );
-    const latest3 = periods3[periods3.length - 1] || "";
-    const subs3 = Object.keys(
-      raw.countries[country3].cities[city3]?.periods?.[latest3]?.subMarkets || {}
-    );
-    if (!submarket3 || !subs3.includes(submarket3)) {
-      setSubmarket3(subs3[0] || "");
-    }
-  }
+  const url = `${window.location.pathname}${query}${window.location.hash}`;
+  if (historyMode.current === "push") window.history.pushState(null, "", url);
+  else window.history.replaceState(null, "", url);
+  historyMode.current = "push";
 }, [
   raw,
-  showComp2,
-  showComp3,
-  country2,
-  city2,
-  submarket2,
-  country3,
-  city3,
-  submarket3,
+  manifest,
+  datasetId,
+  sector,
+  activeView,
+  country,
+  city,
+  submarket,
+  period,
+  trendMetrics,
+  startPeriod,
+  endPeriod,
+  trendTransform,
+  comparisons,
+  currency,
 ]);
 
-// --- Auto-adjust invalid period range (ensures End ≥ Start) ---
-useEffect(() => {
-  if (!startPeriod || !endPeriod) return;
-  if (comparePeriods(startPeriod, endPeriod) > 0) {
-    setEndPeriod(startPeriod);
-  }
-}, [startPeriod, endPeriod]);
 
-
-  if (loading) return <div style={{ padding: 30 }}>Loading…</div>;
+  if (loading) return <div style={{ padding: 30 }}>{t("app.loading")}</div>;
   if (error) return <div style={{ color: "crimson" }}>{error}</div>;
 
   const countries = Object.keys(raw?.countries || {});
@@ -396,97 +874,159 @@ useEffect(() => {
   );
   const periodsDesc = [...periodsAsc].reverse();
 
-  const metricSource =
-    raw?.countries?.[country]?.cities?.[city]?.periods?.[period]?.subMarkets?.[
-      submarket
-    ] || {};
-  const leasingSource =
-    raw?.countries?.[country]?.cities?.[city]?.periods?.[period]?.leasing || {};
-
- const g = (key) => {
-  // === PRIME RENT ===
-  if (key === "primeRentEurSqmMonth") {
-    // 1️⃣ Prime Rent exists ONLY where explicitly provided
-    const prime =
-      coerceNumber(metricSource?.primeRentEurSqmMonth) ??
-      coerceNumber(metricSource?.primeRentLocal) ??
-      coerceNumber(leasingSource?.primeRentEurSqmMonth) ??
-      coerceNumber(leasingSource?.primeRentLocal);
-
-    return prime ?? "–";
-  }
-
-  // === AVERAGE RENT €/m² pm ===
-if (key === "averageRentEurSqmMonth") {
-  // 1️⃣ Submarket first
-  const sub = coerceNumber(metricSource?.[key]);
-  if (sub != null) return sub;
-
-  // 2️⃣ Fallback: TOTAL
-  const total = coerceNumber(leasingSource?.[key]);
-  if (total != null) return total;
-
-  return "–";
-}
+  const currentEntry = findDataset(manifest, datasetId);
+  const availableSectors = sectorsOf(data);
+  const fetchedAt = offline && datasetFetchedAt(currentEntry);
+
+  const periodNode = displayRaw?.countries?.[country]?.cities?.[city]?.periods?.[period];
+  const g = (key) => resolveMetric(periodNode, submarket, key);
+
+  // Published fields the derived metrics disagree with, keyed by that field
+  const mismatchNotes = Object.fromEntries(
+    publishedMismatches(raw?.countries?.[country]?.cities?.[city]?.periods?.[period], submarket).map(
+      (m) => {
+        const kind = metricDefOf(m.field)?.kind;
+        return [
+          m.field,
+          t("derived.mismatch", {
+            published: formatByKind(g(m.field), kind),
+            derived: formatByKind(g(m.metric), kind),
+            diff: `${m.diff > 0 ? "+" : ""}${fmtPct(m.diff * 100, 1)}`,
+          }),
+        ];
+      }
+    )
+  );
+  const bundledBond = bondYield(bondRates, {}, country, period);
+
+  const panelSections = SNAPSHOT_SECTIONS.map((section) => ({
+    ...section,
+    title: t(`snapshot.${section.key}`),
+    rows: section.rows.filter((r) => !r.sectors || r.sectors.includes(sector)).map((r) => ({
+      ...r,
+      label: unitLabel(currencyLabel(tLabel("metric", r), displayCurrency), unitPrefs),
+    })),
+  }));
+
+  // Every other catalog field with a value here goes into a third panel
+  const panelKeys = new Set(SNAPSHOT_SECTIONS.flatMap((s) => s.rows.map((r) => r.key)));
+  const moreRows = metricRegistry.filter((m) => !panelKeys.has(m.key) && g(m.key) !== "–");
+  const snapshotSections = moreRows.length
+    ? [...panelSections, { key: "more", title: t("snapshot.more"), icon: "🔎", rows: moreRows }]
+    : panelSections;
+
+  // Select a market from another view (ranking row, map click);
+  // submarket / period that do not exist there are repaired by the cascading effects
+  const selectMarket = (c, ct, sm, p) => {
+    setCountry(c);
+    setCity(ct);
+    if (sm) setSubmarket(sm);
+    if (p && raw.countries[c]?.cities?.[ct]?.periods?.[p]) setPeriod(p);
+  };
 
-  // === SERVICE CHARGE ===
-  if (key === "serviceChargeEurSqmMonth") {
-    const sc =
-      coerceNumber(leasingSource?.serviceChargeEurSqmMonth) ??
-      coerceNumber(leasingSource?.serviceCharge);
+  // Merge a spreadsheet import into the loaded dataset and show its newest period
+  const mergeImport = (imported, { overwrite, fileName }) => {
+    // rows go into the selected sector
+    setData(withSector(data, sector, mergeMarketData(raw, imported, overwrite)));
+    setImportedFiles((files) => [...files, fileName]);
+
+    const c = Object.keys(imported.countries)[0];
+    const ct = Object.keys(imported.countries[c].cities)[0];
+    const p = Object.keys(imported.countries[c].cities[ct].periods).sort(comparePeriods).pop();
+    setCountry(c);
+    setCity(ct);
+    setPeriod(p);
+    if (comparePeriods(p, endPeriod) > 0) setEndPeriod(p);
+    setActiveView("explorer");
+  };
 
-    return sc ?? "–";
-  }
+  const downloadDatasetJson = () =>
+    downloadBlob(
+      new Blob([JSON.stringify(data, null, 2)], { type: "application/json" }),
+      `market_data-${datasetId}-with-imports.json`
+    );
 
-  // === EVERYTHING ELSE ===
-  return metricSource[key] ?? leasingSource[key] ?? "–";
-};
+  /* === Build Chart Data === */
+  const marketLabel = (ct, sm) => (sm ? `${ct} – ${sm}` : ct);
 
-  const allowedMetrics = [
-    { key: "totalStock", label: "Total Stock (m²)" },
-    { key: "vacancy", label: "Vacancy (m²)" },
-    { key: "vacancyRate", label: "Vacancy Rate (%)" },
-    { key: "takeUp", label: "Take-up (m²)" },
-    { key: "netAbsorption", label: "Net Absorption (m²)" },
-    { key: "completionsYTD", label: "Completions (m²)" },
-    { key: "primeYield", label: "Prime Yield - Local Convention (%)" },
-    { key: "capitalValueEurSqm", label: "Capital Value (€/m²)" },
-    { key: "primeRentEurSqmMonth", label: "Prime Rent (€/m² pm)" },
-    { key: "averageRentEurSqmMonth", label: "Average Rent (€/m² pm)" },
-    { key: "serviceChargeEurSqmMonth", label: "Service Charge (€/m² pm)" },    
+  // Base market first, then every comparison market in list order
+  const markets = [
+    { key: "base", country, city, submarket, color: BASE_COLOR },
+    ...comparisons.map((c) => ({ ...c, key: seriesKey(c) })),
+  ];
+  const multiMetric = trendMetrics.length > 1;
+  // axis units after transformation (e.g. take-up in m² becomes "YoY %")
+  const units = [
+    ...new Set(
+      trendMetrics.map((m) => transformedUnit(metricDefOf(m.key), trendTransform))
+    ),
   ];
 
-  /* === Build Chart Data === */
-  const baseSeries = buildTrendSeries(raw, country, city, submarket, selectedMetric);
-  const comp2Series =
-    showComp2 && country2 && city2 && submarket2
-      ? buildTrendSeries(raw, country2, city2, submarket2, selectedMetric)
-      : [];
-  const comp3Series =
-    showComp3 && country3 && city3 && submarket3
-      ? buildTrendSeries(raw, country3, city3, submarket3, selectedMetric)
-      : [];
+  // One series per market × metric
+  const trendSeries = markets.flatMap((mk, marketIndex) =>
+    trendMetrics.map((tm, metricIndex) => {
+      const metric = metricDefOf(tm.key);
+      const unit = transformedUnit(metric, trendTransform);
+      const rawData = buildTrendSeries(displayRaw, mk.country, mk.city, mk.submarket, metric.key);
+      const mLabel = marketLabel(mk.city, mk.submarket);
+      let label = mLabel;
+      if (multiMetric) label = markets.length > 1 ? `${mLabel} · ${metric.label}` : metric.label;
+      return {
+        key: `${mk.key}_${metric.key}`,
+        label,
+        // transformed values are plain numbers in their own unit
+        metric:
+          trendTransform === "raw" ? metric : { ...metric, unit, kind: "number" },
+        chart: tm.chart,
+        yAxisId: units.indexOf(unit) === 1 ? "right" : "left",
+        color:
+          markets.length === 1 ? METRIC_COLORS[metricIndex % METRIC_COLORS.length] : mk.color,
+        marketIndex,
+        metricIndex,
+        data: applyTransform(rawData, trendTransform, metric, startPeriod),
+        cagr: computeCagr(rawData, metric, startPeriod, endPeriod),
+      };
+    })
+  );
+
+  // Scenario forecast of the base market, continued from its latest period
+  const projection = scenario.enabled
+    ? projectMarket(displayRaw, country, city, submarket, scenario)
+    : null;
+  const forecastVisible = projection && comparePeriods(endPeriod, projection.start) >= 0;
+  const forecastSeries = !forecastVisible
+    ? []
+    : trendSeries
+        .filter((s) => s.marketIndex === 0 && FORECAST_METRICS.includes(s.metric.key))
+        .map((s) => {
+          const key = s.metric.key;
+          // actuals in front so QoQ / YoY / rolling transforms see the history
+          const actual = buildTrendSeries(displayRaw, country, city, submarket, key).filter(
+            (d) => comparePeriods(d.period, projection.start) < 0
+          );
+          const projected = projection.rows.map((r) => ({ period: r.period, value: r[key] }));
+          const data = applyTransform(
+            [...actual, ...projected],
+            trendTransform,
+            metricDefOf(key),
+            startPeriod
+          ).filter((d) => comparePeriods(d.period, projection.start) >= 0 && d.value !== null);
+          return { ...s, key: `${s.key}_fc`, label: `${s.label} (${t("scenario.forecast")})`, data };
+        })
+        .filter((f) => f.data.length > 1);
 
   const periodsSet = Array.from(
-    new Set([
-      ...baseSeries.map((d) => d.period),
-      ...comp2Series.map((d) => d.period),
-      ...comp3Series.map((d) => d.period),
-    ])
-  ).sort((a, b) => {
-    const [qa, ya] = a.split(" ");
-    const [qb, yb] = b.split(" ");
-    if (ya !== yb) return Number(ya) - Number(yb);
-    return Number(qa.replace("Q", "")) - Number(qb.replace("Q", ""));
-  });
+    new Set(trendSeries.flatMap((s) => s.data.map((d) => d.period)))
+  ).sort(comparePeriods);
 
   // Build merged dataset
-let mergedData = periodsSet.map((p) => ({
-  period: p,
-  base: baseSeries.find((d) => d.period === p)?.value ?? null,
-  comp2: comp2Series.find((d) => d.period === p)?.value ?? null,
-  comp3: comp3Series.find((d) => d.period === p)?.value ?? null,
-}));
+let mergedData = periodsSet.map((p) => {
+  const row = { period: p };
+  for (const s of trendSeries) {
+    row[s.key] = s.data.find((d) => d.period === p)?.value ?? null;
+  }
+  return row;
+});
 
 // Filter by selected period range
 if (startPeriod && endPeriod) {
@@ -497,15 +1037,344 @@ if (startPeriod && endPeriod) {
   );
 }
 
+// Forecast periods follow the selected range
+for (const f of forecastSeries) {
+  for (const d of f.data) {
+    let row = mergedData.find((r) => r.period === d.period);
+    if (!row) {
+      row = { period: d.period };
+      mergedData.push(row);
+    }
+    row[f.key] = d.value;
+  }
+}
+const forecastEnd = mergedData[mergedData.length - 1]?.period;
+
+// money and area values carry their unit in the tooltip ("118.50 PLN/sq ft pa")
+const area = areaLabel(unitPrefs);
+const tooltipUnits = Object.fromEntries(
+  [...trendSeries, ...forecastSeries]
+    .filter((s) => s.metric.unit === area || s.metric.unit.includes(`/${area}`))
+    .map((s) => [s.key, s.metric.unit])
+);
+
+  // Bars stay readable for up to three markets, beyond that lines are used
+  const asBar = (s) => s.chart === "bar" && markets.length <= 3;
+  const barCount = trendSeries.filter(asBar).length;
+
+  /* === Exports === */
+  const metricTitle = trendMetrics.map((m) => metricDefOf(m.key).label).join(" / ");
+  const trendTable = () => buildTrendTable(mergedData, [...trendSeries, ...forecastSeries]);
+  const snapshotTable = () =>
+    buildSnapshotTable(snapshotSections, g, {
+      label: marketLabel(city, submarket),
+      period,
+    });
+  const trendFile = fileSlug(
+    city,
+    submarket,
+    ...trendMetrics.map((m) => m.key),
+    startPeriod,
+    endPeriod
+  );
+
+  const chartSvg = () => findChartSvg(chartRef.current);
+  const exportFactSheet = () =>
+    downloadFactSheetPdf(
+      {
+        title: `${t(`app.title.${sector}`, { city })} – ${fmtPeriod(period)}`,
+        subtitle: `${country} · ${submarket || t("composition.cityTotal")}`,
+        sections: panelSections.map((section) => ({
+          title: section.title,
+          rows: section.rows.map((r) => [r.label, formatByKind(g(r.key), r.kind)]),
+        })),
+        chartTitle: `${t("trend.title")} – ${metricTitle} (${fmtPeriod(startPeriod)} – ${fmtPeriod(
+          endPeriod
+        )})`,
+        svg: chartSvg(),
+        footer: t("export.footer", {
+          period: fmtPeriod(period),
+          currency: displayCurrency,
+          date: new Date().toLocaleDateString(numberLocale()),
+        }),
+      },
+      `${fileSlug(city, submarket, period)}-fact-sheet.pdf`
+    ).catch((err) => alert(err.message));
+
 
   return (
     <div style={{ fontFamily: "Arial, sans-serif", padding: "20px" }}>
-      <h1>{city || "Market"} Office Market</h1>
+      <h1>{t(`app.title.${sector}`, { city: city || t("app.market") })}</h1>
+
+      {/* --- Dataset vintage, display currency, units & language --- */}
+      <div style={{ display: "flex", alignItems: "center", gap: "8px" }}>
+        {manifest.datasets.length > 1 && (
+          <>
+            <label style={{ fontSize: "13px", color: "#555", whiteSpace: "nowrap" }}>
+              {t("app.dataset")}:
+            </label>
+            <select value={datasetId} onChange={(e) => switchDataset(e.target.value)}>
+              {manifest.datasets.map((d) => (
+                <option key={d.id} value={d.id}>
+                  {d.label}
+                </option>
+              ))}
+            </select>
+          </>
+        )}
+        <label style={{ fontSize: "13px", color: "#555", whiteSpace: "nowrap" }}>
+          {t("app.currency")}:
+        </label>
+        <select
+          value={currency}
+          onChange={(e) => setCurrency(e.target.value)}
+          title={t("app.currencyHint")}
+        >
+          {CURRENCIES.map((c) => (
+            <option key={c} value={c} disabled={c !== BASE_CURRENCY && !fxReady}>
+              {c}
+            </option>
+          ))}
+        </select>
+        <label style={{ fontSize: "13px", color: "#555", whiteSpace: "nowrap" }}>
+          {t("app.units")}:
+        </label>
+        <select
+          value={unitPrefs.area}
+          onChange={(e) => changeUnits({ ...unitPrefs, area: e.target.value })}
+        >
+          {AREA_UNITS.map((u) => (
+            <option key={u.key} value={u.key}>
+              {u.label}
+            </option>
+          ))}
+        </select>
+        <select
+          value={unitPrefs.rent}
+          onChange={(e) => changeUnits({ ...unitPrefs, rent: e.target.value })}
+          title={t("app.rentPeriodHint")}
+        >
+          {RENT_PERIODS.map((u) => (
+            <option key={u.key} value={u.key}>
+              {tLabel("rentPeriod", u)}
+            </option>
+          ))}
+        </select>
+        <select
+          value={lang}
+          onChange={(e) => changeLanguage(e.target.value)}
+          style={{ marginLeft: "auto" }}
+          title={t("app.language")}
+        >
+          {LANGUAGES.map((l) => (
+            <option key={l.key} value={l.key}>
+              🌐 {l.label}
+            </option>
+          ))}
+        </select>
+      </div>
 
+      {/* --- Imported spreadsheets (in memory until downloaded) --- */}
+      {importedFiles.length > 0 && (
+        <div style={{ fontSize: "13px", color: "#555", margin: "6px 0" }}>
+          {t("app.imported", { files: importedFiles.join(", ") })}{" "}
+          <button onClick={downloadDatasetJson}>⬇ JSON</button>
+        </div>
+      )}
+
+      {/* --- Offline / update banners --- */}
+      {offline && (
+        <div
+          style={{
+            background: "#eef3f8",
+            border: "1px solid #9db4cc",
+            borderRadius: "6px",
+            padding: "6px 10px",
+            margin: "6px 0",
+            fontSize: "13px",
+          }}
+        >
+          📴{" "}
+          {t("app.offline", {
+            asOf: fmtPeriod(currentEntry.asOf || allPeriods(raw)[0]),
+          })}
+          {fetchedAt &&
+            ` ${t("app.fetchedAt", {
+              date: fetchedAt.toLocaleString(numberLocale(), {
+                dateStyle: "medium",
+                timeStyle: "short",
+              }),
+            })}`}
+        </div>
+      )}
+      {pendingUpdate && (
+        <div style={{ fontSize: "13px", color: "#555", margin: "6px 0" }}>
+          🔄 {t("app.updateAvailable", { label: findDataset(manifest, pendingUpdate).label })}{" "}
+          <button onClick={applyPendingUpdate}>{t("app.loadUpdate")}</button>
+        </div>
+      )}
+
+      {/* --- Data quality banner --- */}
+      {quality?.issues.some((i) => i.severity !== "info") && activeView !== "quality" && (
+        <div
+          style={{
+            background: "#fff4e5",
+            border: "1px solid #f0b35a",
+            borderRadius: "6px",
+            padding: "6px 10px",
+            margin: "6px 0",
+            fontSize: "13px",
+          }}
+        >
+          ⚠{" "}
+          {t("app.qualityBanner", {
+            n: quality.issues.filter((i) => i.severity !== "info").length,
+          })}{" "}
+          <button onClick={() => setActiveView("quality")}>{t("app.details")}</button>
+        </div>
+      )}
+
+      <ViewTabs active={activeView} onChange={setActiveView} />
+
+      {/* --- Saved views --- */}
+      {activeView !== "dashboard" && (
+        <div style={{ display: "flex", gap: "8px", alignItems: "center", margin: "0 0 10px" }}>
+          <button onClick={saveCurrentView} style={{ padding: "6px 10px", cursor: "pointer" }}>
+            ☆ {t("saved.save")}
+          </button>
+          {savedViews.length > 0 && (
+            <select
+              value=""
+              onChange={(e) =>
+                openSavedView(savedViews.find((v) => String(v.id) === e.target.value))
+              }
+              style={{ margin: 0, width: "auto" }}
+            >
+              <option value="">{t("saved.openPlaceholder")}</option>
+              {savedViews.map((v) => (
+                <option key={v.id} value={v.id}>
+                  {v.favorite ? "★ " : ""}
+                  {v.name}
+                </option>
+              ))}
+            </select>
+          )}
+        </div>
+      )}
+
+      {activeView === "dashboard" && (
+        <DashboardView
+          cards={dashboardCards.map((c) => ({
+            ...c,
+            metric: displayMetric(c.metric, displayCurrency, unitPrefs),
+          }))}
+          savedViews={savedViews}
+          onOpen={openSavedView}
+          onChange={changeSavedViews}
+        />
+      )}
+
+      {activeView === "quality" && quality && (
+        <DataQualityPanel
+          key={`${datasetId}:${sector}`}
+          report={quality}
+          datasetLabel={findDataset(manifest, datasetId).label}
+          onSelectIssue={(i) => {
+            selectMarket(i.country, i.city, i.submarket !== "(leasing)" && i.submarket, i.period);
+            setActiveView("explorer");
+          }}
+        />
+      )}
+
+      {activeView === "pipeline" && (
+        <PipelineView
+          key={`${datasetId}:${sector}`}
+          raw={displayRaw}
+          areaUnit={areaLabel(unitPrefs)}
+          selectedCountry={country}
+          selectedCity={city}
+          onSelectMarket={(c, ct) => {
+            selectMarket(c, ct);
+            setActiveView("explorer");
+          }}
+        />
+      )}
+
+      {activeView === "composition" && (
+        <CompositionView
+          key={`${datasetId}:${sector}`}
+          raw={displayRaw}
+          areaUnit={areaLabel(unitPrefs)}
+          metrics={chartMetrics}
+          selectedCountry={country}
+          selectedCity={city}
+          initialPeriod={period}
+          onSelectMarket={(c, ct, sm, p) => {
+            selectMarket(c, ct, sm, p);
+            setActiveView("explorer");
+          }}
+        />
+      )}
+
+      {activeView === "report" && (
+        <ReportView
+          key={`${datasetId}:${sector}`}
+          raw={displayRaw}
+          metrics={metricRegistry}
+          sector={sector}
+          currency={displayCurrency}
+          selectedCountry={country}
+          selectedCity={city}
+          initialPeriod={period}
+        />
+      )}
+
+      {activeView === "import" && <ImportView raw={raw} onMerge={mergeImport} />}
+
+      {activeView === "diff" && (
+        <DiffView manifest={manifest} currentId={datasetId} sector={sector} />
+      )}
+
+      {activeView === "ranking" && (
+        <RankingView
+          key={`${datasetId}:${sector}`}
+          raw={displayRaw}
+          metrics={chartMetrics}
+          initialPeriod={period}
+          initialMetric={trendMetrics[0]?.key}
+          onSelectMarket={(c, ct, sm, p) => {
+            selectMarket(c, ct, sm, p);
+            setActiveView("explorer");
+          }}
+        />
+      )}
+
+      {activeView === "map" && (
+        <MapView
+          key={`${datasetId}:${sector}`}
+          raw={displayRaw}
+          metrics={chartMetrics}
+          initialPeriod={period}
+          initialMetric={trendMetrics[0]?.key}
+          selectedCountry={country}
+          selectedCity={city}
+          onSelectMarket={selectMarket}
+          onOpenExplorer={() => setActiveView("explorer")}
+        />
+      )}
+
+      {activeView === "explorer" && (
+      <>
       {/* --- Selection --- */}
       <div>
-        <select value={sector} disabled>
-          <option>Office</option>
+        {/* sectors the dataset lacks stay listed, greyed out */}
+        <select value={sector} onChange={(e) => changeSector(e.target.value)}>
+          {SECTORS.map((s) => (
+            <option key={s.key} value={s.key} disabled={!availableSectors.includes(s.key)}>
+              {s.icon} {t(`sector.${s.key}`)}
+              {!availableSectors.includes(s.key) && ` (${t("sector.noData")})`}
+            </option>
+          ))}
         </select>
         <select value={country} onChange={(e) => setCountry(e.target.value)}>
           {countries.map((c) => (
@@ -524,48 +1393,170 @@ if (startPeriod && endPeriod) {
         </select>
         <select value={period} onChange={(e) => setPeriod(e.target.value)}>
           {periodsDesc.map((p) => (
-            <option key={p}>{p}</option>
+            <option key={p} value={p}>
+              {fmtPeriod(p)}
+            </option>
           ))}
         </select>
       </div>
 
-      {/* --- Market Metrics --- */}
-      <div className="section-box">
-        <div className="section-header">📊 Market Metrics</div>
-        <Row label="Total Stock (m²)" value={fmtNumber(g("totalStock"))} />
-        <Row label="Vacancy (m²)" value={fmtNumber(g("vacancy"))} />
-        <Row label="Vacancy Rate (%)" value={fmtPercent(g("vacancyRate"))} />
-        <Row label="Prime Yield (%)" value={fmtPercent(g("primeYield"))} />
-        <Row label="Capital Value (€/m²)" value={fmtMoney(g("capitalValueEurSqm"))} />
-      </div>
-
-      {/* --- Leasing Conditions --- */}
-      <div className="section-box">
-        <div className="section-header">📝 Leasing Conditions</div>
-        <Row label="Prime Rent (€/m² pm)" value={fmtMoney(g("primeRentEurSqmMonth"))} />
-        <Row label="Average Rent (€/m² pm)" value={fmtMoney(g("averageRentEurSqmMonth"))} />
-        <Row label="Service Charge (€/m² pm)" value={fmtMoney(g("serviceChargeEurSqmMonth"))} />
-        <Row label="Typical Lease Terms (years)" value={formatMaybeRange(g("leaseLengthMonths"))} />
-        <Row label="Typical Rent Free Period (months)" value={formatMaybeRange(g("rentFreeMonthPerYear"))} />
-      </div>
+      {/* --- Market Metrics / Leasing Conditions --- */}
+      {snapshotSections.map((section) => (
+        <div className="section-box" key={section.title}>
+          <div className="section-header">
+            {section.icon} {section.title}
+          </div>
+          {section.rows.map((r, i) => (
+            <React.Fragment key={r.key}>
+              {/* catalog rows carry a group, shown once per run */}
+              {r.group && r.group !== section.rows[i - 1]?.group && (
+                <div style={{ fontSize: "12px", color: "#777", padding: "6px 10px 0" }}>
+                  {t(`group.${r.group}`)}
+                </div>
+              )}
+              <Row
+                label={r.label}
+                value={formatByKind(g(r.key), r.kind)}
+                note={mismatchNotes[r.key]}
+              />
+            </React.Fragment>
+          ))}
+          {/* without a bundled bond series the yield spread needs the user's yield */}
+          {section.key === "derived" && bundledBond === null && (
+            <div className="row">
+              <div className="row-label">{t("derived.bondYield", { country })}</div>
+              <div className="row-value">
+                <input
+                  type="number"
+                  step="0.01"
+                  value={userBonds[country] ?? ""}
+                  onChange={(e) => changeUserBond(country, e.target.value)}
+                  style={{ width: "80px" }}
+                />
+              </div>
+            </div>
+          )}
+        </div>
+      ))}
+      <ExportButtons
+        onCsv={() =>
+          downloadCsv(snapshotTable(), `${fileSlug(city, submarket, period)}-snapshot.csv`)
+        }
+        onXlsx={() =>
+          downloadXlsx(
+            [snapshotTable()],
+            `${fileSlug(city, submarket, period)}-snapshot.xlsx`
+          ).catch((err) => alert(err.message))
+        }
+      />
+
+      {/* --- Lease Deal Calculator (pre-filled per market, period and units) --- */}
+      <LeaseCalculator
+        key={[datasetId, sector, country, city, submarket, period, displayCurrency]
+          .concat(unitPrefs.area, unitPrefs.rent)
+          .join("|")}
+        node={periodNode}
+        submarket={submarket}
+        currency={displayCurrency}
+        areaUnit={areaLabel(unitPrefs)}
+        sqft={unitPrefs.area === "sqft"}
+        rentPerYear={unitPrefs.rent === "year"}
+      />
 
       {/* --- Historical Trend --- */}
       <div className="section-box">
-        <div className="section-header section-header--green">📈 Historical Trend</div>
-
+        <div className="section-header section-header--green">📈 {t("trend.title")}</div>
+
+        {/* === Metric Selection (one row per metric, max. two units) === */}
+        {trendMetrics.map((tm, i) => {
+          const others = trendMetrics.filter((_, j) => j !== i);
+          return (
+            <div key={tm.key} style={{ display: "flex", gap: "8px", alignItems: "center" }}>
+              <select
+                value={tm.key}
+                onChange={(e) =>
+                  setTrendMetrics((list) =>
+                    list.map((m, j) => (j === i ? { ...m, key: e.target.value } : m))
+                  )
+                }
+                style={{ flex: 3, padding: "8px", fontSize: "15px" }}
+              >
+                {groupMetrics(chartMetrics).map(([group, list]) => (
+                  <optgroup key={group} label={t(`group.${group}`)}>
+                    {list.map((m) => (
+                      <option
+                        key={m.key}
+                        value={m.key}
+                        disabled={
+                          others.some((o) => o.key === m.key) ||
+                          !canAddUnit(others, m.unit, metricRegistry)
+                        }
+                      >
+                        {m.label}
+                      </option>
+                    ))}
+                  </optgroup>
+                ))}
+              </select>
+              <select
+                value={tm.chart}
+                onChange={(e) =>
+                  setTrendMetrics((list) =>
+                    list.map((m, j) => (j === i ? { ...m, chart: e.target.value } : m))
+                  )
+                }
+                style={{ flex: 1, padding: "8px", fontSize: "15px" }}
+              >
+                <option value="bar">{t("trend.bar")}</option>
+                <option value="line">{t("trend.line")}</option>
+              </select>
+              {multiMetric && (
+                <span style={{ fontSize: "12px", color: "#555", whiteSpace: "nowrap" }}>
+                  {units.indexOf(transformedUnit(metricDefOf(tm.key), trendTransform)) === 1
+                    ? t("trend.rightAxis")
+                    : t("trend.leftAxis")}
+                </span>
+              )}
+              {multiMetric && (
+                <button
+                  onClick={() => setTrendMetrics((list) => list.filter((_, j) => j !== i))}
+                  style={compButtonStyle("#c0392b")}
+                >
+                  ✖
+                </button>
+              )}
+            </div>
+          );
+        })}
+        {(() => {
+          const next = chartMetrics.find(
+            (m) =>
+              !trendMetrics.some((tm) => tm.key === m.key) &&
+              canAddUnit(trendMetrics, m.unit, metricRegistry)
+          );
+          return (
+            next && (
+              <button
+                style={{ marginBottom: "10px" }}
+                onClick={() =>
+                  setTrendMetrics((list) => [...list, { key: next.key, chart: "line" }])
+                }
+              >
+                + {t("trend.addMetric")}
+              </button>
+            )
+          );
+        })()}
+
+        {/* === Transformation === */}
         <select
-          value={selectedMetric}
-          onChange={(e) => setSelectedMetric(e.target.value)}
-          style={{
-            width: "100%",
-            padding: "8px",
-            marginBottom: "10px",
-            fontSize: "15px",
-          }}
+          value={trendTransform}
+          onChange={(e) => setTrendTransform(e.target.value)}
+          style={{ width: "100%", padding: "8px", marginBottom: "10px", fontSize: "15px" }}
         >
-          {allowedMetrics.map((m) => (
-            <option key={m.key} value={m.key}>
-              {m.label}
+          {TREND_TRANSFORMS.map((tr) => (
+            <option key={tr.key} value={tr.key}>
+              {tLabel("transform", tr)}
             </option>
           ))}
         </select>
@@ -574,7 +1565,7 @@ if (startPeriod && endPeriod) {
 <div style={{ display: "flex", gap: "10px", marginBottom: "10px" }}>
   {/* Start Period */}
   <div style={{ flex: 1 }}>
-    <label style={{ fontSize: "13px", color: "#555" }}>Start Period:</label>
+    <label style={{ fontSize: "13px", color: "#555" }}>{t("trend.startPeriod")}:</label>
     <select
       value={startPeriod}
       onChange={(e) => setStartPeriod(e.target.value)}
@@ -584,14 +1575,16 @@ if (startPeriod && endPeriod) {
         .sort(comparePeriods) // ensure proper order before reversing
         .reverse()
         .map((p) => (
-          <option key={p}>{p}</option>
+          <option key={p} value={p}>
+            {fmtPeriod(p)}
+          </option>
         ))}
     </select>
   </div>
 
   {/* End Period */}
   <div style={{ flex: 1 }}>
-    <label style={{ fontSize: "13px", color: "#555" }}>End Period:</label>
+    <label style={{ fontSize: "13px", color: "#555" }}>{t("trend.endPeriod")}:</label>
     <select
       value={endPeriod}
       onChange={(e) => setEndPeriod(e.target.value)}
@@ -602,13 +1595,96 @@ if (startPeriod && endPeriod) {
         .filter((p) => !startPeriod || comparePeriods(p, startPeriod) >= 0)
         .reverse()
         .map((p) => (
-          <option key={p}>{p}</option>
+          <option key={p} value={p}>
+            {fmtPeriod(p)}
+          </option>
         ))}
     </select>
   </div>
 </div>
 
+{/* === Scenario Forecast === */}
+<div
+  style={{
+    border: "1px solid #ddd",
+    borderRadius: "6px",
+    padding: "8px",
+    marginBottom: "10px",
+    fontSize: "13px",
+  }}
+>
+  <label>
+    <input
+      type="checkbox"
+      checked={scenario.enabled}
+      onChange={(e) => setScenario((sc) => ({ ...sc, enabled: e.target.checked }))}
+    />{" "}
+    🔮 {t("scenario.title", { market: marketLabel(city, submarket) })}
+  </label>
+  {scenario.enabled && (
+    <div style={{ display: "flex", flexWrap: "wrap", gap: "12px", marginTop: "6px" }}>
+      <label>
+        {t("scenario.horizon")}{" "}
+        <select
+          value={scenario.horizon}
+          onChange={(e) => setScenario((sc) => ({ ...sc, horizon: Number(e.target.value) }))}
+        >
+          {FORECAST_HORIZONS.map((h) => (
+            <option key={h} value={h}>
+              {t("scenario.quarters", { n: h })}
+            </option>
+          ))}
+        </select>
+      </label>
+      <AssumptionInput
+        label={t("scenario.absorption")}
+        value={scenario.absorption}
+        current={projection?.absorption}
+        unit={areaLabel(unitPrefs)}
+        onChange={(v) => setScenario((sc) => ({ ...sc, absorption: v }))}
+      />
+      <AssumptionInput
+        label={t("scenario.completions")}
+        value={scenario.completions}
+        current={projection?.completions}
+        unit={areaLabel(unitPrefs)}
+        onChange={(v) => setScenario((sc) => ({ ...sc, completions: v }))}
+      />
+      <label>
+        {t("scenario.primeRent")}{" "}
+        <select
+          value={scenario.rentModel}
+          onChange={(e) => setScenario((sc) => ({ ...sc, rentModel: e.target.value }))}
+        >
+          {RENT_MODELS.map((m) => (
+            <option key={m.key} value={m.key}>
+              {tLabel("rentModel", m)}
+            </option>
+          ))}
+        </select>
+      </label>
+    </div>
+  )}
+  {scenario.enabled && projection && (
+    <div style={{ color: "#555", marginTop: "6px" }}>
+      {t("scenario.summary", {
+        start: fmtPeriod(projection.start),
+        absorption: `${fmtNumber(Math.round(projection.absorption))} ${area}`,
+        completions: `${fmtNumber(Math.round(projection.completions))} ${area}`,
+      })}
+      {!forecastVisible && ` ${t("scenario.setEnd", { period: fmtPeriod(projection.start) })}`}
+      {forecastVisible && !forecastSeries.length && ` ${t("scenario.selectMetric")}`}
+    </div>
+  )}
+  {scenario.enabled && !projection && (
+    <div style={{ color: "crimson", marginTop: "6px" }}>
+      {t("scenario.noData")}
+    </div>
+  )}
+</div>
+
  {/* === Historical Trend Chart === */}
+<div ref={chartRef}>
 <ResponsiveContainer width="100%" height={340}>
   <ComposedChart
     data={mergedData}
@@ -626,6 +1702,7 @@ if (startPeriod && endPeriod) {
   axisLine={{ stroke: "#ccc", strokeWidth: 1 }}
   padding={{ left: 0, right: 0 }}
   height={80}
+  tickFormatter={fmtPeriod}
   tickMargin={10}
   tick={{
     angle: -90,           // ✅ enforce rotation
@@ -636,223 +1713,281 @@ if (startPeriod && endPeriod) {
 />
 
 
-          <YAxis style={{ fontSize: `${fontSize - 1}px` }} />
-          <Tooltip content={<MultiTooltip />} />
-
-          {/* 🔹 Bars */}
-          {renderBarWithLabels("base", "#003366", 1.0)}
-          {showComp2 && renderBarWithLabels("comp2", "#e67e22", 1.15)}
-          {showComp3 && renderBarWithLabels("comp3", "#2ecc71", 1.1)}
-
-          {/* 🔹 Optional trend lines */}
-          <Line
-            type="monotone"
-            dataKey="base"
-            stroke="#777"
-            strokeWidth={1.3}
-            strokeDasharray="4 3"
-            dot={{ r: 2, fill: "#777" }}
+          <YAxis
+            yAxisId="left"
+            style={{ fontSize: `${fontSize - 1}px` }}
+            label={
+              multiMetric || trendTransform !== "raw"
+                ? { value: units[0], angle: -90, position: "insideLeft", fontSize: 11 }
+                : undefined
+            }
           />
-          {showComp2 && (
-            <Line
-              type="monotone"
-              dataKey="comp2"
-              stroke="#e67e22"
-              strokeWidth={1}
-              strokeDasharray="2 2"
-              dot={false}
+          {units.length > 1 && (
+            <YAxis
+              yAxisId="right"
+              orientation="right"
+              style={{ fontSize: `${fontSize - 1}px` }}
+              label={{ value: units[1], angle: 90, position: "insideRight", fontSize: 11 }}
+            />
+          )}
+          <Tooltip content={<MultiTooltip units={tooltipUnits} />} />
+
+          {trendSeries.length + forecastSeries.length > 1 && (
+            <Legend verticalAlign="top" height={28} wrapperStyle={{ fontSize: "12px" }} />
+          )}
+
+          {/* 🔹 Forecast range, shaded behind the series */}
+          {forecastSeries.length > 0 && (
+            <ReferenceArea
+              x1={projection.start}
+              x2={forecastEnd}
+              yAxisId="left"
+              fill="#f2f2f2"
+              fillOpacity={0.8}
+            />
+          )}
+          {forecastSeries.length > 0 && (
+            <ReferenceLine
+              x={projection.start}
+              yAxisId="left"
+              stroke="#999"
+              strokeDasharray="3 3"
+              label={{
+                value: `${t("scenario.forecastMarker")} →`,
+                position: "insideTopRight",
+                fontSize: 11,
+              }}
             />
           )}
-          {showComp3 && (
+
+          {/* 🔹 Bars */}
+          {trendSeries.filter(asBar).map((s) =>
+            renderBarWithLabels(s.key, s.color, s.marketIndex === 0 ? 1.0 : 1.1, s.label, {
+              yAxisId: s.yAxisId,
+              showLabels: barCount <= 3,
+              fillOpacity: markets.length > 1 && s.metricIndex > 0 ? 0.55 : 1,
+            })
+          )}
+
+          {/* 🔹 Dashed trend lines over the bars (single metric only) */}
+          {!multiMetric &&
+            trendSeries.filter(asBar).map((s) => (
+              <Line
+                key={`${s.key}-trend`}
+                type="monotone"
+                dataKey={s.key}
+                name={s.label}
+                yAxisId={s.yAxisId}
+                legendType="none"
+                stroke={s.marketIndex === 0 ? "#777" : s.color}
+                strokeWidth={s.marketIndex === 0 ? 1.3 : 1}
+                strokeDasharray={s.marketIndex === 0 ? "4 3" : "2 2"}
+                dot={s.marketIndex === 0 ? { r: 2, fill: "#777" } : false}
+              />
+            ))}
+
+          {/* 🔹 Line series (and bar series once there are too many markets) */}
+          {trendSeries
+            .filter((s) => !asBar(s))
+            .map((s) => (
+              <Line
+                key={s.key}
+                type="monotone"
+                dataKey={s.key}
+                name={s.label}
+                yAxisId={s.yAxisId}
+                stroke={s.color}
+                strokeWidth={s.marketIndex === 0 ? 2.5 : 1.5}
+                strokeDasharray={markets.length > 1 && s.metricIndex > 0 ? "6 3" : undefined}
+                dot={{ r: 2, fill: s.color }}
+                connectNulls
+              />
+            ))}
+
+          {/* 🔹 Scenario forecast: dashed continuation of the base market */}
+          {forecastSeries.map((f) => (
             <Line
+              key={f.key}
               type="monotone"
-              dataKey="comp3"
-              stroke="#2ecc71"
-              strokeWidth={1}
-              strokeDasharray="2 2"
+              dataKey={f.key}
+              name={f.label}
+              yAxisId={f.yAxisId}
+              stroke={f.color}
+              strokeWidth={2}
+              strokeDasharray="6 4"
               dot={false}
             />
-          )}
+          ))}
         </>
       );
     })()}
   </ComposedChart>
 </ResponsiveContainer>
+</div>
 
-{/* === Comparison selectors === */}
-<div style={{ marginTop: "15px" }}>
-
-
-  {/* === MARKET 2 === */}
-{showComp2 && (
-  <div
-    style={{
-      marginTop: "10px",
-      borderTop: "1px solid #ddd",
-      paddingTop: "10px",
-    }}
-  >
-    <div
-      style={{
-        display: "flex",
-        justifyContent: "space-between",
-        alignItems: "center",
-        marginBottom: "6px",
-      }}
-    >
-      <strong>Market 2:</strong>
-      <button
-        onClick={() => {
-          setShowComp2(false);
-          setCountry2("");
-          setCity2("");
-          setSubmarket2("");
-        }}
-        style={{
-          background: "transparent",
-          border: "none",
-          color: "#e67e22",
-          cursor: "pointer",
-          fontWeight: "bold",
-        }}
-      >
-        ✖ Remove
-      </button>
-    </div>
-
-    {/* Horizontal dropdowns */}
-    <div style={{ display: "flex", gap: "10px", width: "100%" }}>
-      <select
-        value={country2}
-        onChange={(e) => setCountry2(e.target.value)}
-        style={{ flex: 1, padding: "6px" }}
-      >
-        <option value="">Select country</option>
-        {countries.map((c) => (
-          <option key={c}>{c}</option>
-        ))}
-      </select>
-
-      <select
-        value={city2}
-        onChange={(e) => setCity2(e.target.value)}
-        style={{ flex: 1, padding: "6px" }}
-      >
-        <option value="">Select city</option>
-        {Object.keys(raw.countries[country2]?.cities || {}).map((ct) => (
-          <option key={ct}>{ct}</option>
-        ))}
-      </select>
-
-      <select
-        value={submarket2}
-        onChange={(e) => setSubmarket2(e.target.value)}
-        style={{ flex: 1, padding: "6px" }}
-      >
-        <option value="">Select submarket</option>
-        {Object.keys(
-          raw.countries[country2]?.cities?.[city2]?.periods?.[period]?.subMarkets || {}
-        ).map((sm) => (
-          <option key={sm}>{sm}</option>
-        ))}
-      </select>
-    </div>
+{/* === CAGR summary over the selected range === */}
+{trendSeries.some((s) => s.cagr) && (
+  <div style={{ fontSize: "13px", color: "#333", marginTop: "6px" }}>
+    <strong>
+      CAGR {fmtPeriod(startPeriod)} – {fmtPeriod(endPeriod)}:
+    </strong>{" "}
+    {trendSeries
+      .filter((s) => s.cagr)
+      .map((s) => (
+        <span key={s.key} style={{ color: s.color, marginRight: "12px" }}>
+          {s.label} {s.cagr.value >= 0 ? "+" : ""}
+          {fmtPct(s.cagr.value)} {t("trend.perAnnum")}
+        </span>
+      ))}
   </div>
 )}
 
-{/* === MARKET 3 === */}
-{showComp3 && (
-  <div
-    style={{
-      marginTop: "10px",
-      borderTop: "1px solid #ddd",
-      paddingTop: "10px",
-    }}
-  >
+<ExportButtons
+  onCsv={() => downloadCsv(trendTable(), `${trendFile}.csv`)}
+  onXlsx={() =>
+    downloadXlsx([trendTable(), snapshotTable()], `${trendFile}.xlsx`).catch((err) =>
+      alert(err.message)
+    )
+  }
+  onPng={() =>
+    chartSvg() &&
+    downloadPng(chartSvg(), `${trendFile}.png`).catch((err) => alert(err.message))
+  }
+  onSvg={() => chartSvg() && downloadSvg(chartSvg(), `${trendFile}.svg`)}
+  onPdf={exportFactSheet}
+/>
+
+{/* === Comparison selectors === */}
+<div style={{ marginTop: "15px" }}>
+  {comparisons.map((c, i) => (
     <div
+      key={c.id}
       style={{
-        display: "flex",
-        justifyContent: "space-between",
-        alignItems: "center",
-        marginBottom: "6px",
+        marginTop: "10px",
+        borderTop: "1px solid #ddd",
+        paddingTop: "10px",
       }}
     >
-      <strong>Market 3:</strong>
-      <button
-        onClick={() => {
-          setShowComp3(false);
-          setCountry3("");
-          setCity3("");
-          setSubmarket3("");
-        }}
+      <div
         style={{
-          background: "transparent",
-          border: "none",
-          color: "#2ecc71",
-          cursor: "pointer",
-          fontWeight: "bold",
+          display: "flex",
+          justifyContent: "space-between",
+          alignItems: "center",
+          marginBottom: "6px",
         }}
       >
-        ✖ Remove
-      </button>
-    </div>
+        <strong>
+          <span style={{ color: c.color }}>■</span> {t("compare.market", { n: i + 2 })}:
+        </strong>
+        <div>
+          <button
+            onClick={() => setComparisons((list) => moveComparison(list, c.id, -1))}
+            disabled={i === 0}
+            style={compButtonStyle(c.color)}
+            title={t("compare.moveUp")}
+          >
+            ▲
+          </button>
+          <button
+            onClick={() => setComparisons((list) => moveComparison(list, c.id, 1))}
+            disabled={i === comparisons.length - 1}
+            style={compButtonStyle(c.color)}
+            title={t("compare.moveDown")}
+          >
+            ▼
+          </button>
+          <button
+            onClick={() =>
+              setComparisons((list) => list.filter((x) => x.id !== c.id))
+            }
+            style={compButtonStyle(c.color)}
+          >
+            ✖ {t("compare.remove")}
+          </button>
+        </div>
+      </div>
 
-    {/* Horizontal dropdowns */}
-    <div style={{ display: "flex", gap: "10px", width: "100%" }}>
-      <select
-        value={country3}
-        onChange={(e) => setCountry3(e.target.value)}
-        style={{ flex: 1, padding: "6px" }}
-      >
-        <option value="">Select country</option>
-        {countries.map((c) => (
-          <option key={c}>{c}</option>
-        ))}
-      </select>
+      {/* Horizontal dropdowns */}
+      <div style={{ display: "flex", gap: "10px", width: "100%" }}>
+        <select
+          value={c.country}
+          onChange={(e) =>
+            setComparisons((list) =>
+              updateComparison(raw, list, c.id, { country: e.target.value })
+            )
+          }
+          style={{ flex: 1, padding: "6px" }}
+        >
+          {countries.map((ct) => (
+            <option key={ct}>{ct}</option>
+          ))}
+        </select>
 
-      <select
-        value={city3}
-        onChange={(e) => setCity3(e.target.value)}
-        style={{ flex: 1, padding: "6px" }}
-      >
-        <option value="">Select city</option>
-        {Object.keys(raw.countries[country3]?.cities || {}).map((ct) => (
-          <option key={ct}>{ct}</option>
-        ))}
-      </select>
+        <select
+          value={c.city}
+          onChange={(e) =>
+            setComparisons((list) =>
+              updateComparison(raw, list, c.id, { city: e.target.value })
+            )
+          }
+          style={{ flex: 1, padding: "6px" }}
+        >
+          {Object.keys(raw.countries[c.country]?.cities || {}).map((ct) => (
+            <option key={ct}>{ct}</option>
+          ))}
+        </select>
 
-      <select
-        value={submarket3}
-        onChange={(e) => setSubmarket3(e.target.value)}
-        style={{ flex: 1, padding: "6px" }}
-      >
-        <option value="">Select submarket</option>
-        {Object.keys(
-          raw.countries[country3]?.cities?.[city3]?.periods?.[period]?.subMarkets || {}
-        ).map((sm) => (
-          <option key={sm}>{sm}</option>
-        ))}
-      </select>
+        <select
+          value={c.submarket}
+          onChange={(e) =>
+            setComparisons((list) =>
+              updateComparison(raw, list, c.id, { submarket: e.target.value })
+            )
+          }
+          style={{ flex: 1, padding: "6px" }}
+        >
+          {comparisonSubmarkets(raw, c.country, c.city).map((sm) => (
+            <option key={sm}>{sm}</option>
+          ))}
+        </select>
+      </div>
     </div>
-  </div>
-)}
-
+  ))}
 
   {/* === Add comparison buttons === */}
-  {!showComp2 && (
-    <button style={{ marginTop: "10px" }} onClick={() => setShowComp2(true)}>
-      + Add 2nd Market
-    </button>
-  )}
-  {showComp2 && !showComp3 && (
-    <button style={{ marginTop: "10px" }} onClick={() => setShowComp3(true)}>
-      + Add 3rd Market
+  <button
+    style={{ marginTop: "10px", marginRight: "8px" }}
+    onClick={() => setComparisons((list) => addComparison(raw, list))}
+  >
+    + {t("compare.add")}
+  </button>
+  {cities.length > 1 && (
+    <button
+      style={{ marginTop: "10px" }}
+      onClick={() =>
+        setComparisons((list) =>
+          cities
+            .filter(
+              (ct) =>
+                ct !== city &&
+                !list.some((c) => c.country === country && c.city === ct)
+            )
+            .reduce(
+              (acc, ct) => addComparison(raw, acc, { country, city: ct, submarket }),
+              list
+            )
+        )
+      }
+    >
+      + {t("compare.addAll", { country })}
     </button>
   )}
 </div>
 {/* === END comparison block === */}
 
   </div>
+      </>
+      )}
     {/* closes outer container */}
   </div>
 );
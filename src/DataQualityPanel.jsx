@@ -0,0 +1,111 @@
+// src/DataQualityPanel.jsx
+import React, { useState } from "react";
+import { QUALITY_CHECKS } from "./dataQuality.js";
+import { t, tLabel, fmtPeriod } from "./i18n.js";
+
+const PAGE = 200;
+
+const checkLabel = (key) => tLabel("check", { key, label: QUALITY_CHECKS[key] });
+
+const SEVERITY_COLORS = {
+  error: "#c0392b",
+  warning: "#d68910",
+  info: "#5d6d7e",
+};
+
+/* ===== Data Quality Panel ===== */
+// report: result of validateMarketData()
+export default function DataQualityPanel({ report, datasetLabel, onSelectIssue }) {
+  const [check, setCheck] = useState("");
+  const [city, setCity] = useState("");
+  const [limit, setLimit] = useState(PAGE);
+
+  const issues = report.issues.filter(
+    (i) => (!check || i.check === check) && (!city || i.city === city)
+  );
+  const cities = [...new Set(report.issues.map((i) => i.city).filter(Boolean))].sort();
+
+  const cell = { padding: "4px 6px", borderBottom: "1px solid #eee" };
+
+  return (
+    <div className="section-box">
+      <div className="section-header">🩺 {t("quality.title")}</div>
+
+      <div style={{ padding: "10px" }}>
+        <p style={{ fontSize: "14px", marginTop: 0 }}>
+          {datasetLabel}: {t("quality.findings", { n: report.issues.length })}
+        </p>
+
+        {/* --- Summary per check --- */}
+        {Object.keys(QUALITY_CHECKS).map((key) => (
+          <div
+            key={key}
+            className="row"
+            onClick={() => setCheck(check === key ? "" : key)}
+            style={{ cursor: "pointer", fontWeight: check === key ? "bold" : "normal" }}
+          >
+            <div className="row-label">{checkLabel(key)}</div>
+            <div className="row-value" style={{ color: report.counts[key] ? "#c0392b" : "#2e7d32" }}>
+              {report.counts[key] ? report.counts[key] : "✓"}
+            </div>
+          </div>
+        ))}
+
+        {/* --- Findings --- */}
+        <div style={{ display: "flex", gap: "10px", marginTop: "10px" }}>
+          <select value={check} onChange={(e) => setCheck(e.target.value)}>
+            <option value="">{t("quality.allChecks")}</option>
+            {Object.keys(QUALITY_CHECKS).map((key) => (
+              <option key={key} value={key}>
+                {checkLabel(key)}
+              </option>
+            ))}
+          </select>
+          <select value={city} onChange={(e) => setCity(e.target.value)}>
+            <option value="">{t("common.allCities")}</option>
+            {cities.map((c) => (
+              <option key={c}>{c}</option>
+            ))}
+          </select>
+        </div>
+
+        <div style={{ overflowX: "auto" }}>
+          <table style={{ width: "100%", borderCollapse: "collapse", fontSize: "13px" }}>
+            <thead>
+              <tr style={{ background: "#f0f4fa", textAlign: "left" }}>
+                <th style={cell}>{t("common.city")}</th>
+                <th style={cell}>{t("common.period")}</th>
+                <th style={cell}>{t("common.submarket")}</th>
+                <th style={cell}>{t("quality.check")}</th>
+                <th style={cell}>{t("quality.finding")}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {issues.slice(0, limit).map((i, n) => (
+                <tr
+                  key={n}
+                  onClick={() => i.city && onSelectIssue?.(i)}
+                  style={{ cursor: i.city ? "pointer" : "default" }}
+                >
+                  <td style={cell}>{i.city || "–"}</td>
+                  <td style={cell}>{i.period ? fmtPeriod(i.period) : "–"}</td>
+                  <td style={cell}>{i.submarket || "–"}</td>
+                  <td style={{ ...cell, color: SEVERITY_COLORS[i.severity] }}>
+                    {checkLabel(i.check)}
+                  </td>
+                  <td style={cell}>{t(`finding.${i.finding}`, i.params)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+        {issues.length > limit && (
+          <button onClick={() => setLimit((l) => l + PAGE)} style={{ marginTop: "8px" }}>
+            {t("common.showMore", { n: issues.length - limit })}
+          </button>
+        )}
+        {!issues.length && <p style={{ color: "#2e7d32" }}>{t("quality.none")}</p>}
+      </div>
+    </div>
+  );
+}
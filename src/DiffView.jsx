@@ -0,0 +1,274 @@
+// src/DiffView.jsx
+import React, { useEffect, useState } from "react";
+import { diffDatasets, findDataset, loadDataset } from "./datasets.js";
+import { coerceNumber, fmtNumber, fmtPct } from "./marketUtils.js";
+import { downloadCsv } from "./exportData.js";
+import { sectorSlice } from "./sectors.js";
+import { t, fmtPeriod } from "./i18n.js";
+
+const PAGE = 200;
+
+function fmtValue(v) {
+  if (v === null || v === undefined || v === "") return "–";
+  return typeof v === "number" ? fmtNumber(v) : String(v);
+}
+
+function fmtDelta(oldValue, newValue) {
+  const a = coerceNumber(oldValue);
+  const b = coerceNumber(newValue);
+  if (a === null || b === null) return "–";
+  const d = b - a;
+  const pct = a !== 0 ? ` (${d > 0 ? "+" : ""}${fmtPct((d / Math.abs(a)) * 100, 1)})` : "";
+  return `${d > 0 ? "+" : ""}${fmtNumber(d)}${pct}`;
+}
+
+/* ===== Vintage Diff View ===== */
+export default function DiffView({ manifest, currentId, sector }) {
+  const ids = manifest.datasets.map((d) => d.id);
+  // default: compare the current vintage against the next older one
+  const [newId, setNewId] = useState(currentId);
+  const [oldId, setOldId] = useState(ids.find((id) => id !== currentId) || currentId);
+  const [diff, setDiff] = useState(null);
+  const [error, setError] = useState(null);
+  const [cityFilter, setCityFilter] = useState("");
+  const [fieldFilter, setFieldFilter] = useState("");
+  const [limit, setLimit] = useState(PAGE);
+  const [fieldLimit, setFieldLimit] = useState(PAGE);
+
+  useEffect(() => {
+    let cancelled = false;
+    setDiff(null);
+    setError(null);
+    Promise.all([
+      loadDataset(findDataset(manifest, oldId)),
+      loadDataset(findDataset(manifest, newId)),
+    ])
+      .then(([oldRaw, newRaw]) => {
+        if (!cancelled) {
+          setDiff(diffDatasets(sectorSlice(oldRaw, sector), sectorSlice(newRaw, sector)));
+        }
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.message);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [manifest, oldId, newId, sector]);
+
+  // added / dropped fields per cell, change: "added" | "dropped"
+  const allFieldChanges = [
+    ...(diff?.addedFields || []).map((f) => ({ ...f, change: "added" })),
+    ...(diff?.droppedFields || []).map((f) => ({ ...f, change: "dropped" })),
+  ];
+  const matches = (r) =>
+    (!cityFilter || r.city === cityFilter) && (!fieldFilter || r.field === fieldFilter);
+  const revised = (diff?.revised || []).filter(matches);
+  const fieldChanges = allFieldChanges.filter(matches);
+  const changed = [...(diff?.revised || []), ...allFieldChanges];
+  const changedCities = [...new Set(changed.map((r) => r.city))].sort();
+  const changedFields = [...new Set(changed.map((r) => r.field))].sort();
+
+  const exportChanges = () =>
+    downloadCsv(
+      {
+        name: "Changes",
+        header: ["Country", "City", "Submarket", "Period", "Field", "Change", "Old", "New"],
+        rows: [
+          ...revised.map((r) => [
+            r.country,
+            r.city,
+            r.submarket,
+            r.period,
+            r.field,
+            "revised",
+            r.oldValue,
+            r.newValue,
+          ]),
+          ...fieldChanges.map((f) => [
+            f.country,
+            f.city,
+            f.submarket,
+            f.period,
+            f.field,
+            f.change,
+            f.change === "dropped" ? f.value : "",
+            f.change === "added" ? f.value : "",
+          ]),
+        ],
+      },
+      `changes-${oldId}-to-${newId}.csv`
+    );
+
+  const cell = { padding: "4px 6px", borderBottom: "1px solid #eee" };
+  const label = (id) => findDataset(manifest, id).label;
+
+  return (
+    <div className="section-box">
+      <div className="section-header">🔍 {t("diff.title")}</div>
+
+      <div style={{ padding: "10px" }}>
+        <div style={{ display: "flex", gap: "10px", alignItems: "center" }}>
+          <select value={oldId} onChange={(e) => setOldId(e.target.value)} style={{ flex: 1 }}>
+            {manifest.datasets.map((d) => (
+              <option key={d.id} value={d.id}>
+                {d.label}
+              </option>
+            ))}
+          </select>
+          <span>→</span>
+          <select value={newId} onChange={(e) => setNewId(e.target.value)} style={{ flex: 1 }}>
+            {manifest.datasets.map((d) => (
+              <option key={d.id} value={d.id}>
+                {d.label}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        {error && <div style={{ color: "crimson" }}>{error}</div>}
+        {!diff && !error && <div style={{ padding: 20 }}>{t("diff.comparing")}</div>}
+
+        {diff && (
+          <>
+            <p style={{ fontSize: "14px" }}>
+              <strong>{label(oldId)}</strong> → <strong>{label(newId)}</strong>:{" "}
+              {t("diff.summary", {
+                revised: diff.revised.length,
+                periods: diff.newPeriods.length,
+                added: diff.addedFields.length,
+                dropped: diff.droppedFields.length,
+              })}
+            </p>
+
+            {/* --- New / removed periods --- */}
+            {diff.newPeriods.length > 0 && (
+              <div style={{ marginBottom: "10px" }}>
+                <strong>{t("diff.newPeriods")}</strong>
+                <div style={{ fontSize: "13px" }}>
+                  {diff.newPeriods.map((p) => `${p.city} ${fmtPeriod(p.period)}`).join(", ")}
+                </div>
+              </div>
+            )}
+            {diff.removedPeriods.length > 0 && (
+              <div style={{ marginBottom: "10px" }}>
+                <strong>{t("diff.removedPeriods")}</strong>
+                <div style={{ fontSize: "13px" }}>
+                  {diff.removedPeriods.map((p) => `${p.city} ${fmtPeriod(p.period)}`).join(", ")}
+                </div>
+              </div>
+            )}
+
+            {/* --- Filters and export (revisions and field changes) --- */}
+            <div style={{ display: "flex", gap: "10px", marginBottom: "8px" }}>
+              <select value={cityFilter} onChange={(e) => setCityFilter(e.target.value)}>
+                <option value="">{t("common.allCities")}</option>
+                {changedCities.map((c) => (
+                  <option key={c}>{c}</option>
+                ))}
+              </select>
+              <select value={fieldFilter} onChange={(e) => setFieldFilter(e.target.value)}>
+                <option value="">{t("diff.allFields")}</option>
+                {changedFields.map((f) => (
+                  <option key={f}>{f}</option>
+                ))}
+              </select>
+              {(revised.length > 0 || fieldChanges.length > 0) && (
+                <button onClick={exportChanges}>⬇ CSV</button>
+              )}
+            </div>
+
+            {/* --- Added / dropped fields per cell --- */}
+            {fieldChanges.length > 0 && (
+              <>
+                <strong>{t("diff.fieldChanges")}</strong>
+                <div style={{ overflowX: "auto", marginBottom: "10px" }}>
+                  <table style={{ width: "100%", borderCollapse: "collapse", fontSize: "13px" }}>
+                    <thead>
+                      <tr style={{ background: "#f0f4fa", textAlign: "left" }}>
+                        <th style={cell}>{t("common.city")}</th>
+                        <th style={cell}>{t("common.submarket")}</th>
+                        <th style={cell}>{t("common.period")}</th>
+                        <th style={cell}>{t("diff.field")}</th>
+                        <th style={cell}>{t("diff.change")}</th>
+                        <th style={{ ...cell, textAlign: "right" }}>{t("diff.value")}</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {fieldChanges.slice(0, fieldLimit).map((f, i) => (
+                        <tr key={i}>
+                          <td style={cell}>{f.city}</td>
+                          <td style={cell}>{f.submarket}</td>
+                          <td style={cell}>{fmtPeriod(f.period)}</td>
+                          <td style={cell}>{f.field}</td>
+                          <td
+                            style={{
+                              ...cell,
+                              color: f.change === "added" ? "#2e7d32" : "#c0392b",
+                            }}
+                          >
+                            {t(`diff.${f.change}`)}
+                          </td>
+                          <td style={{ ...cell, textAlign: "right" }}>{fmtValue(f.value)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+                {fieldChanges.length > fieldLimit && (
+                  <button
+                    onClick={() => setFieldLimit((l) => l + PAGE)}
+                    style={{ marginBottom: "10px" }}
+                  >
+                    {t("common.showMore", { n: fieldChanges.length - fieldLimit })}
+                  </button>
+                )}
+              </>
+            )}
+
+            {/* --- Revised history --- */}
+            <div>
+              <strong>{t("diff.revisedValues")}</strong>
+            </div>
+            <div style={{ overflowX: "auto" }}>
+              <table style={{ width: "100%", borderCollapse: "collapse", fontSize: "13px" }}>
+                <thead>
+                  <tr style={{ background: "#f0f4fa", textAlign: "left" }}>
+                    <th style={cell}>{t("common.city")}</th>
+                    <th style={cell}>{t("common.submarket")}</th>
+                    <th style={cell}>{t("common.period")}</th>
+                    <th style={cell}>{t("diff.field")}</th>
+                    <th style={{ ...cell, textAlign: "right" }}>{t("diff.old")}</th>
+                    <th style={{ ...cell, textAlign: "right" }}>{t("diff.new")}</th>
+                    <th style={{ ...cell, textAlign: "right" }}>Δ</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {revised.slice(0, limit).map((r, i) => (
+                    <tr key={i}>
+                      <td style={cell}>{r.city}</td>
+                      <td style={cell}>{r.submarket}</td>
+                      <td style={cell}>{fmtPeriod(r.period)}</td>
+                      <td style={cell}>{r.field}</td>
+                      <td style={{ ...cell, textAlign: "right" }}>{fmtValue(r.oldValue)}</td>
+                      <td style={{ ...cell, textAlign: "right" }}>{fmtValue(r.newValue)}</td>
+                      <td style={{ ...cell, textAlign: "right" }}>
+                        {fmtDelta(r.oldValue, r.newValue)}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            {revised.length > limit && (
+              <button onClick={() => setLimit((l) => l + PAGE)} style={{ marginTop: "8px" }}>
+                {t("common.showMore", { n: revised.length - limit })}
+              </button>
+            )}
+            {!revised.length && <p style={{ color: "#777" }}>{t("diff.none")}</p>}
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
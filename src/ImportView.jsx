@@ -0,0 +1,286 @@
+// src/ImportView.jsx
+import React, { useState } from "react";
+import {
+  MARKET_COLUMNS,
+  IMPORT_FIELDS,
+  parseSpreadsheet,
+  guessHeaderRow,
+  guessMapping,
+  loadMapping,
+  saveMapping,
+  rowsToMarketData,
+  describeImport,
+} from "./spreadsheetImport.js";
+import { t, tLabel, fmtPeriod } from "./i18n.js";
+
+const STATUS_COLORS = {
+  "new market": "#2e7d32",
+  "new period": "#1565c0",
+  update: "#d68910",
+};
+
+/* ===== Spreadsheet Import ===== */
+// Drop an .xlsx / .csv export → map columns → preview → merge
+export default function ImportView({ raw, onMerge }) {
+  const [file, setFile] = useState(null);
+  const [sheets, setSheets] = useState(null);
+  const [rowNumbers, setRowNumbers] = useState({});
+  const [sheet, setSheet] = useState("");
+  const [headerRow, setHeaderRow] = useState(0);
+  const [mapping, setMapping] = useState(null);
+  const [savedUsed, setSavedUsed] = useState(false);
+  const [overwrite, setOverwrite] = useState(false);
+  const [dragging, setDragging] = useState(false);
+  const [error, setError] = useState(null);
+
+  const rows = sheets?.[sheet] || [];
+  const header = (rows[headerRow] || []).map((h, i) => String(h).trim() || `Column ${i + 1}`);
+  const dataRows = rows.slice(headerRow + 1);
+
+  const initMapping = (hdr) => {
+    const saved = loadMapping(hdr);
+    setSavedUsed(!!saved);
+    setMapping(saved ? { ...saved, defaults: { ...saved.defaults, period: "" } } : guessMapping(hdr));
+  };
+
+  const openFile = (f) => {
+    if (!f) return;
+    setError(null);
+    parseSpreadsheet(f)
+      .then(({ sheets: parsed, rowNumbers: numbers }) => {
+        const first = Object.keys(parsed).find((n) => parsed[n].length) || "";
+        if (!first) throw new Error(t("import.noData"));
+        const hr = guessHeaderRow(parsed[first]);
+        setFile(f);
+        setSheets(parsed);
+        setRowNumbers(numbers);
+        setSheet(first);
+        setHeaderRow(hr);
+        initMapping(parsed[first][hr].map((h, i) => String(h).trim() || `Column ${i + 1}`));
+      })
+      .catch((err) => setError(err.message));
+  };
+
+  const changeLayout = (nextSheet, nextRow) => {
+    setSheet(nextSheet);
+    setHeaderRow(nextRow);
+    const hdr = (sheets[nextSheet][nextRow] || []).map(
+      (h, i) => String(h).trim() || `Column ${i + 1}`
+    );
+    initMapping(hdr);
+  };
+
+  const setColumn = (h, key) =>
+    setMapping((m) => ({ ...m, columns: { ...m.columns, [h]: key } }));
+  const setDefault = (key, value) =>
+    setMapping((m) => ({ ...m, defaults: { ...m.defaults, [key]: value } }));
+
+  const result = mapping
+    ? rowsToMarketData(header, dataRows, mapping, (rowNumbers[sheet] || []).slice(headerRow + 1))
+    : null;
+  const preview = result ? describeImport(raw, result.raw) : [];
+  const mapped = new Set(Object.values(mapping?.columns || {}).filter(Boolean));
+
+  const merge = () => {
+    // the period changes every quarter, everything else is reused
+    saveMapping(header, { ...mapping, defaults: { ...mapping.defaults, period: "" } });
+    onMerge(result.raw, { overwrite, fileName: file.name });
+  };
+
+  const cell = { padding: "4px 6px", borderBottom: "1px solid #eee" };
+
+  return (
+    <div className="section-box">
+      <div className="section-header">⬆ {t("import.title")}</div>
+
+      <div style={{ padding: "10px" }}>
+        {/* --- Drop zone --- */}
+        <label
+          onDragOver={(e) => {
+            e.preventDefault();
+            setDragging(true);
+          }}
+          onDragLeave={() => setDragging(false)}
+          onDrop={(e) => {
+            e.preventDefault();
+            setDragging(false);
+            openFile(e.dataTransfer.files[0]);
+          }}
+          style={{
+            display: "block",
+            border: `2px dashed ${dragging ? "#003366" : "#aab"}`,
+            background: dragging ? "#eef4fa" : "#fafafa",
+            borderRadius: "6px",
+            padding: "20px",
+            textAlign: "center",
+            cursor: "pointer",
+            fontSize: "14px",
+          }}
+        >
+          {file ? `📄 ${file.name}` : t("import.dropZone")}
+          <input
+            type="file"
+            accept=".xlsx,.xls,.csv"
+            onChange={(e) => openFile(e.target.files[0])}
+            style={{ display: "none" }}
+          />
+        </label>
+        {error && <div style={{ color: "crimson", marginTop: "6px" }}>{error}</div>}
+
+        {sheets && mapping && (
+          <>
+            {/* --- Layout --- */}
+            <div style={{ display: "flex", gap: "10px", alignItems: "center", margin: "10px 0" }}>
+              {Object.keys(sheets).length > 1 && (
+                <select value={sheet} onChange={(e) => changeLayout(e.target.value, 0)}>
+                  {Object.keys(sheets).map((n) => (
+                    <option key={n}>{n}</option>
+                  ))}
+                </select>
+              )}
+              <label style={{ fontSize: "13px" }}>
+                {t("import.headerRow")}{" "}
+                <input
+                  type="number"
+                  min={1}
+                  max={rows.length}
+                  value={headerRow + 1}
+                  onChange={(e) =>
+                    changeLayout(sheet, Math.min(Math.max(0, e.target.value - 1), rows.length - 1))
+                  }
+                  style={{ width: "50px" }}
+                />
+              </label>
+              <span style={{ fontSize: "13px", color: "#777" }}>
+                {t("import.dataRows", { n: dataRows.length })}
+                {savedUsed && ` · ${t("import.savedMapping")}`}
+              </span>
+            </div>
+
+            {/* --- Column mapping --- */}
+            <strong>{t("import.columnMapping")}</strong>
+            <table style={{ width: "100%", borderCollapse: "collapse", fontSize: "13px" }}>
+              <thead>
+                <tr style={{ background: "#f0f4fa", textAlign: "left" }}>
+                  <th style={cell}>{t("import.column")}</th>
+                  <th style={cell}>{t("import.firstValue")}</th>
+                  <th style={cell}>{t("import.mapsTo")}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {header.map((h, i) => (
+                  <tr key={i}>
+                    <td style={cell}>{h}</td>
+                    <td style={{ ...cell, color: "#777" }}>{String(dataRows[0]?.[i] ?? "")}</td>
+                    <td style={cell}>
+                      <select value={mapping.columns[h] || ""} onChange={(e) => setColumn(h, e.target.value)}>
+                        <option value="">— {t("import.ignore")} —</option>
+                        <optgroup label={t("import.market")}>
+                          {MARKET_COLUMNS.map((k) => (
+                            <option key={k} value={k} disabled={mapped.has(k) && mapping.columns[h] !== k}>
+                              {k}
+                            </option>
+                          ))}
+                        </optgroup>
+                        <optgroup label={t("import.fields")}>
+                          {Object.keys(IMPORT_FIELDS).map((k) => (
+                            <option key={k} value={k} disabled={mapped.has(k) && mapping.columns[h] !== k}>
+                              {k}
+                            </option>
+                          ))}
+                        </optgroup>
+                      </select>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+
+            {/* --- Values for unmapped market columns --- */}
+            {["country", "city", "period"].some((k) => !mapped.has(k)) && (
+              <div style={{ display: "flex", gap: "10px", marginTop: "10px", fontSize: "13px" }}>
+                {["country", "city", "period"]
+                  .filter((k) => !mapped.has(k))
+                  .map((k) => (
+                    <label key={k}>
+                      {t(`common.${k}`)}{" "}
+                      <input
+                        value={mapping.defaults[k] || ""}
+                        placeholder={k === "period" ? "Q1 2026" : ""}
+                        onChange={(e) => setDefault(k, e.target.value)}
+                      />
+                    </label>
+                  ))}
+              </div>
+            )}
+
+            {/* --- Preview --- */}
+            <div style={{ marginTop: "12px" }}>
+              <strong>{t("import.preview")}</strong>{" "}
+              <span style={{ fontSize: "13px", color: "#777" }}>
+                {t("import.values", { n: result.cells })}
+                {result.skipped.length > 0 &&
+                  `, ${t("import.rowsSkipped", { n: result.skipped.length })}`}
+              </span>
+            </div>
+            <table style={{ width: "100%", borderCollapse: "collapse", fontSize: "13px" }}>
+              <thead>
+                <tr style={{ background: "#f0f4fa", textAlign: "left" }}>
+                  <th style={cell}>{t("import.market")}</th>
+                  <th style={cell}>{t("common.period")}</th>
+                  <th style={cell}>{t("import.status")}</th>
+                  <th style={{ ...cell, textAlign: "right" }}>{t("import.submarkets")}</th>
+                  <th style={{ ...cell, textAlign: "right" }}>{t("import.valuesCol")}</th>
+                  <th style={{ ...cell, textAlign: "right" }}>{t("import.differ")}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {preview.map((p) => (
+                  <tr key={`${p.country}|${p.city}|${p.period}`}>
+                    <td style={cell}>
+                      {p.city}, {p.country}
+                    </td>
+                    <td style={cell}>{fmtPeriod(p.period)}</td>
+                    <td style={{ ...cell, color: STATUS_COLORS[p.status] }}>
+                      {tLabel("import.status", { key: p.status, label: p.status })}
+                    </td>
+                    <td style={{ ...cell, textAlign: "right" }}>{p.submarkets}</td>
+                    <td style={{ ...cell, textAlign: "right" }}>{p.values}</td>
+                    <td style={{ ...cell, textAlign: "right" }}>{p.overwrites || "–"}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {result.skipped.length > 0 && (
+              <div style={{ fontSize: "12px", color: "#777", marginTop: "4px" }}>
+                {t("import.skipped")}:{" "}
+                {result.skipped
+                  .slice(0, 10)
+                  .map(
+                    (s) =>
+                      `${t("import.row", { n: s.row })} (${t(`import.skip.${s.reason}`, s.params)})`
+                  )
+                  .join(", ")}
+                {result.skipped.length > 10 && " …"}
+              </div>
+            )}
+
+            <div style={{ display: "flex", gap: "10px", alignItems: "center", marginTop: "10px" }}>
+              <label style={{ fontSize: "13px" }}>
+                <input
+                  type="checkbox"
+                  checked={overwrite}
+                  onChange={(e) => setOverwrite(e.target.checked)}
+                />{" "}
+                {t("import.overwrite")}
+              </label>
+              <button onClick={merge} disabled={!preview.length} style={{ marginLeft: "auto" }}>
+                {t("import.merge")}
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,155 @@
+// src/LeaseCalculator.jsx
+import React, { useState } from "react";
+import { fmtNumber, fmtMoney } from "./marketUtils.js";
+import { SQFT_PER_SQM } from "./units.js";
+import { LEASE_SCENARIOS, DEFAULT_DEAL, dealDefaults, evaluateLease } from "./leaseDeal.js";
+import { t, tLabel } from "./i18n.js";
+
+const toNumber = (e) => (e.target.value === "" ? null : Number(e.target.value));
+
+function NumberInput({ value, onChange, step = "any" }) {
+  return (
+    <input
+      type="number"
+      min="0"
+      step={step}
+      value={value ?? ""}
+      onChange={(e) => onChange(toNumber(e))}
+      style={{ width: "90px", textAlign: "right" }}
+    />
+  );
+}
+
+/* ===== Lease Deal Calculator ===== */
+// node: display period node of the selected market (display currency and
+// units); remount (key) to pre-fill it again for another market
+export default function LeaseCalculator({
+  node,
+  submarket,
+  currency,
+  areaUnit,
+  sqft,
+  rentPerYear,
+}) {
+  const areaFactor = sqft ? SQFT_PER_SQM : 1;
+  const perMonth = rentPerYear ? 12 : 1;
+  const [defaults] = useState(() => dealDefaults(node, submarket));
+  const [deal, setDeal] = useState(() => ({
+    area: Math.round((DEFAULT_DEAL.area * areaFactor) / 10) * 10,
+    rent: defaults.rent,
+    serviceCharge: defaults.serviceCharge,
+    fitOut: DEFAULT_DEAL.fitOut,
+    discountRate: DEFAULT_DEAL.discountRate,
+    areaPerWorkstation: Math.round(DEFAULT_DEAL.sqmPerWorkstation * areaFactor),
+  }));
+  const [scenarios, setScenarios] = useState(defaults.scenarios);
+
+  const set = (key) => (v) => setDeal((d) => ({ ...d, [key]: v }));
+  const setScenario = (s, key) => (v) =>
+    setScenarios((all) => ({ ...all, [s]: { ...all[s], [key]: v } }));
+
+  const rentUnit = `${currency}/${areaUnit} ${rentPerYear ? "pa" : "pm"}`;
+  const results = Object.fromEntries(
+    LEASE_SCENARIOS.map(({ key }) => [
+      key,
+      evaluateLease({
+        ...deal,
+        ...scenarios[key],
+        rent: deal.rent / perMonth,
+        serviceCharge: (deal.serviceCharge || 0) / perMonth,
+        workstations: deal.areaPerWorkstation ? deal.area / deal.areaPerWorkstation : null,
+      }),
+    ])
+  );
+
+  const fmtTotal = (v) => (v == null ? "–" : `${fmtNumber(Math.round(v))} ${currency}`);
+  const fmtRent = (v) => (v == null ? "–" : fmtMoney(v * perMonth));
+  const outputs = [
+    { key: "totalRent", format: fmtTotal },
+    { key: "totalServiceCharge", format: fmtTotal },
+    { key: "totalCost", format: fmtTotal, bold: true },
+    { key: "faceRent", format: fmtRent, unit: rentUnit },
+    { key: "effectiveRent", format: fmtRent, unit: rentUnit, bold: true },
+    { key: "tenantNpv", format: fmtTotal },
+    { key: "landlordNpv", format: fmtTotal },
+    { key: "costPerWorkstation", format: fmtTotal },
+  ];
+
+  const cell = { padding: "4px 6px", borderBottom: "1px solid #eee" };
+  const right = { ...cell, textAlign: "right" };
+  const inputs = [
+    { key: "area", label: t("lease.area", { unit: areaUnit }) },
+    { key: "rent", label: t("lease.rent", { unit: rentUnit }) },
+    { key: "serviceCharge", label: t("lease.serviceCharge", { unit: rentUnit }) },
+    { key: "fitOut", label: t("lease.fitOut", { unit: `${currency}/${areaUnit}` }) },
+    { key: "discountRate", label: t("lease.discountRate") },
+    { key: "areaPerWorkstation", label: t("lease.areaPerWorkstation", { unit: areaUnit }) },
+  ];
+
+  return (
+    <div className="section-box">
+      <div className="section-header">🧾 {t("lease.title")}</div>
+
+      <div style={{ padding: "10px" }}>
+        {/* --- Deal inputs --- */}
+        {inputs.map((i) => (
+          <div className="row" key={i.key}>
+            <div className="row-label">{i.label}</div>
+            <div className="row-value">
+              <NumberInput value={deal[i.key]} onChange={set(i.key)} />
+            </div>
+          </div>
+        ))}
+        {defaults.rent === null && (
+          <p style={{ fontSize: "13px", color: "#777" }}>{t("lease.noRent")}</p>
+        )}
+
+        {/* --- Scenarios --- */}
+        <div style={{ overflowX: "auto", marginTop: "10px" }}>
+          <table style={{ width: "100%", borderCollapse: "collapse", fontSize: "13px" }}>
+            <thead>
+              <tr style={{ background: "#f0f4fa", textAlign: "left" }}>
+                <th style={cell}></th>
+                {LEASE_SCENARIOS.map((s) => (
+                  <th key={s.key} style={right}>
+                    {tLabel("leaseScenario", s)}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {["termYears", "rentFreeMonths"].map((key) => (
+                <tr key={key}>
+                  <td style={cell}>{t(`lease.${key}`)}</td>
+                  {LEASE_SCENARIOS.map((s) => (
+                    <td key={s.key} style={right}>
+                      <NumberInput
+                        value={scenarios[s.key][key]}
+                        onChange={setScenario(s.key, key)}
+                        step="0.5"
+                      />
+                    </td>
+                  ))}
+                </tr>
+              ))}
+              {outputs.map((o) => (
+                <tr key={o.key} style={{ fontWeight: o.bold ? "bold" : "normal" }}>
+                  <td style={cell}>
+                    {t(`lease.${o.key}`)}
+                    {o.unit && ` (${o.unit})`}
+                  </td>
+                  {LEASE_SCENARIOS.map((s) => (
+                    <td key={s.key} style={right}>
+                      {o.format(results[s.key]?.[o.key])}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+        <p style={{ fontSize: "12px", color: "#777" }}>{t("lease.footnote")}</p>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,272 @@
+// src/MapView.jsx
+import React, { useEffect, useState } from "react";
+import {
+  formatByKind,
+  fmtPct,
+  allPeriods,
+  numericMetric,
+  citySubmarket,
+  scaleColor,
+} from "./marketUtils.js";
+import { groupMetrics } from "./metricRegistry.js";
+import { t, fmtPeriod } from "./i18n.js";
+
+/* ===== Projection ===== */
+// Equirectangular, longitudes shrunk by cos(49°) so CEE keeps its shape
+const BOUNDS = { minLon: 9.2, maxLon: 30.2, minLat: 43.2, maxLat: 55.2 };
+const K = 40; // px per degree latitude
+const LON_SCALE = Math.cos((49 * Math.PI) / 180);
+const WIDTH = (BOUNDS.maxLon - BOUNDS.minLon) * LON_SCALE * K;
+const HEIGHT = (BOUNDS.maxLat - BOUNDS.minLat) * K;
+
+const project = ([lon, lat]) => [
+  (lon - BOUNDS.minLon) * LON_SCALE * K,
+  (BOUNDS.maxLat - lat) * K,
+];
+
+const ringPath = (ring) =>
+  ring.map((pt, i) => `${i ? "L" : "M"}${project(pt).join(",")}`).join("") + "Z";
+
+function geometryPath(geom) {
+  if (geom.type === "Polygon") return geom.coordinates.map(ringPath).join("");
+  if (geom.type === "MultiPolygon")
+    return geom.coordinates.flatMap((poly) => poly.map(ringPath)).join("");
+  return "";
+}
+
+function formatValue(v, metric) {
+  if (v == null) return "–";
+  // rates are already normalized to percent by numericMetric()
+  return metric.kind === "percent" ? fmtPct(v) : formatByKind(v, metric.kind);
+}
+
+/* ===== Map View ===== */
+// Geometry: /cee_map.geojson — features with properties.type
+//   "country"   (Polygon, country)
+//   "city"      (Point, country + city)
+//   "submarket" (Point or Polygon, country + city + submarket), optional
+export default function MapView({
+  raw,
+  metrics,
+  initialPeriod,
+  initialMetric,
+  selectedCountry,
+  selectedCity,
+  onSelectMarket,
+  onOpenExplorer,
+}) {
+  const [geo, setGeo] = useState(null);
+  const [geoError, setGeoError] = useState(null);
+  const periods = allPeriods(raw);
+  const [period, setPeriod] = useState(
+    periods.includes(initialPeriod) ? initialPeriod : periods[0] || ""
+  );
+  const [metricKey, setMetricKey] = useState(initialMetric || metrics[0].key);
+  const [drill, setDrill] = useState(
+    selectedCity ? { country: selectedCountry, city: selectedCity } : null
+  );
+
+  useEffect(() => {
+    fetch("/cee_map.geojson")
+      .then((r) => {
+        if (!r.ok) throw new Error(`HTTP ${r.status}`);
+        return r.json();
+      })
+      .then(setGeo)
+      .catch((err) => setGeoError(err.message));
+  }, []);
+
+  const metric = metrics.find((m) => m.key === metricKey) || metrics[0];
+  const nodeOf = (country, city) => raw?.countries?.[country]?.cities?.[city]?.periods?.[period];
+
+  const features = geo?.features || [];
+  const countryShapes = features.filter((f) => f.properties?.type === "country");
+  const cityPoints = features
+    .filter((f) => f.properties?.type === "city" && f.geometry?.type === "Point")
+    .map((f) => {
+      const { country, city } = f.properties;
+      const node = nodeOf(country, city);
+      return {
+        country,
+        city,
+        xy: project(f.geometry.coordinates),
+        value: node ? numericMetric(node, citySubmarket(node), metric) : null,
+      };
+    });
+
+  const values = cityPoints.map((c) => c.value).filter((v) => v != null);
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const radius = (v) => (v == null || max === min ? 8 : 6 + 10 * Math.sqrt((v - min) / (max - min)));
+
+  // Drill-down: submarkets of the clicked city
+  const drillNode = drill ? nodeOf(drill.country, drill.city) : null;
+  const drillRows = Object.keys(drillNode?.subMarkets || {}).map((sm) => ({
+    submarket: sm,
+    value: numericMetric(drillNode, sm, metric),
+  }));
+  const subValues = drillRows.map((r) => r.value).filter((v) => v != null);
+  const subMin = Math.min(...subValues);
+  const subMax = Math.max(...subValues);
+  const subShapes = features.filter(
+    (f) =>
+      f.properties?.type === "submarket" &&
+      f.properties.country === drill?.country &&
+      f.properties.city === drill?.city
+  );
+
+  return (
+    <div className="section-box">
+      <div className="section-header">🗺️ {t("map.title")}</div>
+
+      <div style={{ padding: "10px" }}>
+        <div style={{ display: "flex", gap: "10px" }}>
+          <select value={metricKey} onChange={(e) => setMetricKey(e.target.value)} style={{ flex: 2 }}>
+            {groupMetrics(metrics).map(([group, list]) => (
+              <optgroup key={group} label={t(`group.${group}`)}>
+                {list.map((m) => (
+                  <option key={m.key} value={m.key}>
+                    {m.label}
+                  </option>
+                ))}
+              </optgroup>
+            ))}
+          </select>
+          <select value={period} onChange={(e) => setPeriod(e.target.value)} style={{ flex: 1 }}>
+            {periods.map((p) => (
+              <option key={p} value={p}>
+                {fmtPeriod(p)}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        {geoError && (
+          <div style={{ color: "crimson" }}>{t("map.geometryError", { error: geoError })}</div>
+        )}
+        {!geo && !geoError && <div style={{ padding: 20 }}>{t("map.loading")}</div>}
+
+        {geo && (
+          <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} style={{ width: "100%", background: "#eef4fa" }}>
+            {countryShapes.map((f) => (
+              <path
+                key={f.properties.country}
+                d={geometryPath(f.geometry)}
+                fill={f.properties.country === drill?.country ? "#dde7f2" : "#fff"}
+                stroke="#99a"
+                strokeWidth={1}
+              />
+            ))}
+
+            {subShapes.map((f) => {
+              const row = drillRows.find((r) => r.submarket === f.properties.submarket);
+              const fill = scaleColor(row?.value, subMin, subMax);
+              const select = () =>
+                onSelectMarket(drill.country, drill.city, f.properties.submarket, period);
+              return f.geometry.type === "Point" ? (
+                <circle
+                  key={f.properties.submarket}
+                  cx={project(f.geometry.coordinates)[0]}
+                  cy={project(f.geometry.coordinates)[1]}
+                  r={4}
+                  fill={fill}
+                  onClick={select}
+                  style={{ cursor: "pointer" }}
+                />
+              ) : (
+                <path
+                  key={f.properties.submarket}
+                  d={geometryPath(f.geometry)}
+                  fill={fill}
+                  fillOpacity={0.8}
+                  stroke="#fff"
+                  onClick={select}
+                  style={{ cursor: "pointer" }}
+                />
+              );
+            })}
+
+            {cityPoints.map((c) => {
+              const active = drill?.city === c.city && drill?.country === c.country;
+              return (
+                <g
+                  key={`${c.country}|${c.city}`}
+                  onClick={() => {
+                    setDrill({ country: c.country, city: c.city });
+                    onSelectMarket(c.country, c.city, null, period);
+                  }}
+                  style={{ cursor: "pointer" }}
+                >
+                  <circle
+                    cx={c.xy[0]}
+                    cy={c.xy[1]}
+                    r={radius(c.value)}
+                    fill={scaleColor(c.value, min, max)}
+                    fillOpacity={0.85}
+                    stroke={active ? "#003366" : "#fff"}
+                    strokeWidth={active ? 3 : 1.5}
+                  >
+                    <title>
+                      {c.city}: {formatValue(c.value, metric)}
+                    </title>
+                  </circle>
+                  <text
+                    x={c.xy[0] + radius(c.value) + 3}
+                    y={c.xy[1] + 4}
+                    fontSize={12}
+                    fill="#223"
+                    style={{ pointerEvents: "none" }}
+                  >
+                    {c.city}
+                  </text>
+                </g>
+              );
+            })}
+          </svg>
+        )}
+
+        {/* Legend */}
+        {values.length > 0 && (
+          <div style={{ display: "flex", alignItems: "center", gap: "8px", fontSize: "12px" }}>
+            <span>{formatValue(min, metric)}</span>
+            <div
+              style={{
+                flex: 1,
+                height: "10px",
+                background: `linear-gradient(to right, ${scaleColor(min, min, max)}, ${scaleColor(max, min, max)})`,
+              }}
+            />
+            <span>{formatValue(max, metric)}</span>
+          </div>
+        )}
+
+        {/* Drill-down */}
+        {drill && drillNode && (
+          <div style={{ marginTop: "12px" }}>
+            <div
+              style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}
+            >
+              <strong>
+                {drill.city} – {metric.label}, {fmtPeriod(period)}
+              </strong>
+              <button onClick={() => onOpenExplorer()}>{t("common.openInExplorer")} →</button>
+            </div>
+            {drillRows.map((r) => (
+              <div
+                key={r.submarket}
+                className="row"
+                onClick={() => onSelectMarket(drill.country, drill.city, r.submarket, period)}
+                style={{ cursor: "pointer" }}
+              >
+                <div className="row-label">
+                  <span style={{ color: scaleColor(r.value, subMin, subMax) }}>■</span> {r.submarket}
+                </div>
+                <div className="row-value">{formatValue(r.value, metric)}</div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,208 @@
+// src/PipelineView.jsx
+import React, { useState } from "react";
+import {
+  ResponsiveContainer,
+  ComposedChart,
+  Bar,
+  XAxis,
+  YAxis,
+  Tooltip,
+  Legend,
+} from "recharts";
+import { fmtNumber, fmtPct, fmtFixed } from "./marketUtils.js";
+import { BASE_COLOR } from "./comparisons.js";
+import { cityPipeline, pipelineTable, PRESSURE_LEVELS } from "./pipeline.js";
+import { t, tLabel, fmtPeriod } from "./i18n.js";
+
+const FORECAST_COLOR = "#8fb3d9";
+
+const fmtShare = (v) => fmtPct(v, 1);
+const fmtRatio = (v) =>
+  v == null ? "–" : v === Infinity ? "∞" : t("pipeline.years", { n: fmtFixed(v, 1) });
+
+function PressureBadge({ pressure }) {
+  if (!pressure) return "–";
+  return (
+    <span style={{ color: pressure.color, fontWeight: "bold" }}>
+      {tLabel("pressure", pressure)}
+    </span>
+  );
+}
+
+/* ===== Pipeline View ===== */
+export default function PipelineView({
+  raw,
+  areaUnit = "m²",
+  selectedCountry,
+  selectedCity,
+  onSelectMarket,
+}) {
+  const [market, setMarket] = useState({ country: selectedCountry, city: selectedCity });
+  const rows = pipelineTable(raw).sort((a, b) => (b.growthPct ?? -1) - (a.growthPct ?? -1));
+  const p = cityPipeline(raw, market.country, market.city);
+
+  const chartData = (p?.timeline || []).map((y) => ({
+    year: String(y.year) + (y.quarters && y.quarters < 4 ? ` ${t("pipeline.ytd")}` : ""),
+    completed: y.completed,
+    forecast: y.forecast,
+  }));
+
+  const fmtArea = (v) => (v == null ? "–" : `${fmtNumber(Math.round(v))} ${areaUnit}`);
+  const cell = { padding: "4px 6px", borderBottom: "1px solid #eee" };
+  const right = { ...cell, textAlign: "right" };
+
+  return (
+    <div className="section-box">
+      <div className="section-header">🏗️ {t("pipeline.title")}</div>
+
+      <div style={{ padding: "10px" }}>
+        <select
+          value={`${market.country}|${market.city}`}
+          onChange={(e) => {
+            const [country, city] = e.target.value.split("|");
+            setMarket({ country, city });
+          }}
+          style={{ width: "100%", padding: "8px", fontSize: "15px" }}
+        >
+          {rows.map((r) => (
+            <option key={`${r.country}|${r.city}`} value={`${r.country}|${r.city}`}>
+              {r.city}, {r.country}
+            </option>
+          ))}
+        </select>
+
+        {p && (
+          <>
+            {/* --- Completions timeline --- */}
+            <div style={{ height: 300, marginTop: "10px" }}>
+              <ResponsiveContainer>
+                <ComposedChart data={chartData}>
+                  <XAxis dataKey="year" />
+                  <YAxis tickFormatter={(v) => fmtNumber(v)} width={80} />
+                  <Tooltip formatter={(v) => fmtArea(v)} />
+                  <Legend />
+                  <Bar
+                    dataKey="completed"
+                    name={t("pipeline.completed")}
+                    stackId="c"
+                    fill={BASE_COLOR}
+                  />
+                  <Bar
+                    dataKey="forecast"
+                    name={t("pipeline.forecast")}
+                    stackId="c"
+                    fill={FORECAST_COLOR}
+                  />
+                </ComposedChart>
+              </ResponsiveContainer>
+            </div>
+            {p.forecastAhead === null && (
+              <p style={{ fontSize: "13px", color: "#777", margin: "4px 0" }}>
+                {t("pipeline.noForecast")}
+              </p>
+            )}
+
+            {/* --- Summary --- */}
+            <div className="row">
+              <div className="row-label">
+                {t("pipeline.stock", { period: fmtPeriod(p.latest) })}
+              </div>
+              <div className="row-value">{fmtArea(p.stock)}</div>
+            </div>
+            <div className="row">
+              <div className="row-label">{t("pipeline.underConstruction")}</div>
+              <div className="row-value">{fmtArea(p.underConstruction)}</div>
+            </div>
+            <div className="row">
+              <div className="row-label">{t("pipeline.forecastAhead")}</div>
+              <div className="row-value">{fmtArea(p.forecastAhead)}</div>
+            </div>
+            <div className="row">
+              <div className="row-label">{t("pipeline.growth")}</div>
+              <div className="row-value">{fmtShare(p.growthPct)}</div>
+            </div>
+            <div className="row">
+              <div className="row-label">{t("pipeline.absorption4Q")}</div>
+              <div className="row-value">{fmtArea(p.absorption4Q)}</div>
+            </div>
+            <div className="row">
+              <div className="row-label">
+                {t("pipeline.pressureRatio", { ratio: fmtRatio(p.pressureRatio) })}
+              </div>
+              <div className="row-value">
+                <PressureBadge pressure={p.pressure} />
+              </div>
+            </div>
+            <button
+              onClick={() => onSelectMarket(market.country, market.city)}
+              style={{ marginTop: "8px" }}
+            >
+              {t("common.openInExplorer")} →
+            </button>
+          </>
+        )}
+
+        {/* --- All cities --- */}
+        <div style={{ overflowX: "auto", marginTop: "16px" }}>
+          <table style={{ width: "100%", borderCollapse: "collapse", fontSize: "13px" }}>
+            <thead>
+              <tr style={{ background: "#f0f4fa", textAlign: "left" }}>
+                <th style={cell}>{t("common.city")}</th>
+                <th style={right}>{t("pipeline.col.stock")}</th>
+                <th style={right}>{t("pipeline.col.pipeline")}</th>
+                <th style={right}>{t("pipeline.col.growth")}</th>
+                <th style={right}>{t("pipeline.col.absorption")}</th>
+                <th style={right}>{t("pipeline.col.years")}</th>
+                <th style={cell}>{t("pipeline.col.pressure")}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((r) => (
+                <tr
+                  key={`${r.country}|${r.city}`}
+                  onClick={() => setMarket({ country: r.country, city: r.city })}
+                  style={{
+                    cursor: "pointer",
+                    fontWeight:
+                      r.city === market.city && r.country === market.country ? "bold" : "normal",
+                  }}
+                >
+                  <td style={cell}>{r.city}</td>
+                  <td style={right}>{fmtArea(r.stock)}</td>
+                  <td
+                    style={right}
+                    title={
+                      r.pipelineSource === "forecast"
+                        ? t("pipeline.forecastCompletions")
+                        : t("pipeline.underConstruction")
+                    }
+                  >
+                    {fmtArea(r.pipeline)}
+                  </td>
+                  <td style={right}>{fmtShare(r.growthPct)}</td>
+                  <td style={right}>{fmtArea(r.absorption4Q)}</td>
+                  <td style={right}>{fmtRatio(r.pressureRatio)}</td>
+                  <td style={cell}>
+                    <PressureBadge pressure={r.pressure} />
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <p style={{ fontSize: "12px", color: "#777" }}>
+            {t("pipeline.col.pressure")}:{" "}
+            {PRESSURE_LEVELS.map((l, i) => (
+              <span key={l.key} style={{ color: l.color, marginRight: "8px" }}>
+                {tLabel("pressure", l)}{" "}
+                {l.max === Infinity
+                  ? `> ${fmtRatio(PRESSURE_LEVELS[i - 1].max)}`
+                  : `≤ ${fmtRatio(l.max)}`}
+              </span>
+            ))}
+            · {t("pipeline.footnote")}
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+}
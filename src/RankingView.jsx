@@ -0,0 +1,190 @@
+// src/RankingView.jsx
+import React, { useState } from "react";
+import {
+  formatByKind,
+  fmtPct,
+  fmtFixed,
+  allPeriods,
+  numericMetric,
+  citySubmarket,
+  shiftPeriod,
+} from "./marketUtils.js";
+import { groupMetrics } from "./metricRegistry.js";
+import { t, fmtPeriod } from "./i18n.js";
+
+/* ===== League Table Builder ===== */
+// One row per city ("Total" submarket) and optionally per submarket.
+// Values follow the g() accessor rules: submarket first, then leasing / Total.
+function buildRanking(raw, metric, period, includeSubmarkets) {
+  const value = (periodNode, sm) => numericMetric(periodNode, sm, metric);
+  // rates change in percentage points, everything else in %
+  const change = (cur, prev) => {
+    if (cur == null || prev == null) return null;
+    if (metric.kind === "percent") return cur - prev;
+    return prev === 0 ? null : ((cur - prev) / Math.abs(prev)) * 100;
+  };
+
+  const rows = [];
+  for (const [country, countryNode] of Object.entries(raw?.countries || {})) {
+    for (const [city, cityNode] of Object.entries(countryNode.cities || {})) {
+      const node = cityNode.periods?.[period];
+      if (!node) continue;
+      const prevQ = cityNode.periods?.[shiftPeriod(period, -1)];
+      const prevY = cityNode.periods?.[shiftPeriod(period, -4)];
+
+      const targets = includeSubmarkets
+        ? Object.keys(node.subMarkets || {})
+        : [citySubmarket(node)];
+
+      for (const sm of targets) {
+        const cur = value(node, sm);
+        if (cur == null) continue;
+        rows.push({
+          id: `${country}|${city}|${sm}`,
+          country,
+          city,
+          submarket: sm,
+          value: cur,
+          qoq: change(cur, prevQ ? value(prevQ, sm) : null),
+          yoy: change(cur, prevY ? value(prevY, sm) : null),
+        });
+      }
+    }
+  }
+
+  // Rank 1 = highest value
+  [...rows]
+    .sort((a, b) => b.value - a.value)
+    .forEach((r, i) => {
+      r.rank = i + 1;
+    });
+  return rows;
+}
+
+const fmtChange = (v, kind) => {
+  if (v == null) return "–";
+  const sign = v > 0 ? "+" : "";
+  return kind === "percent" ? `${sign}${fmtFixed(v, 2)} ${t("unit.pp")}` : `${sign}${fmtPct(v, 1)}`;
+};
+
+/* ===== Ranking View ===== */
+export default function RankingView({ raw, metrics, initialPeriod, initialMetric, onSelectMarket }) {
+  const periods = allPeriods(raw);
+  const [period, setPeriod] = useState(
+    periods.includes(initialPeriod) ? initialPeriod : periods[0] || ""
+  );
+  const [metricKey, setMetricKey] = useState(initialMetric || metrics[0].key);
+  const [includeSubmarkets, setIncludeSubmarkets] = useState(false);
+  const [sort, setSort] = useState({ col: "rank", dir: 1 });
+
+  const metric = metrics.find((m) => m.key === metricKey) || metrics[0];
+  const rows = buildRanking(raw, metric, period, includeSubmarkets);
+
+  const sorted = [...rows].sort((a, b) => {
+    const x = a[sort.col];
+    const y = b[sort.col];
+    if (x == null && y == null) return 0;
+    if (x == null) return 1; // missing values always last
+    if (y == null) return -1;
+    if (typeof x === "string") return x.localeCompare(y) * sort.dir;
+    return (x - y) * sort.dir;
+  });
+
+  const columns = [
+    { col: "rank", label: t("ranking.rank") },
+    { col: "country", label: t("common.country") },
+    { col: "city", label: t("common.city") },
+    ...(includeSubmarkets ? [{ col: "submarket", label: t("common.submarket") }] : []),
+    { col: "value", label: metric.label, align: "right" },
+    { col: "qoq", label: t("change.qoq"), align: "right" },
+    { col: "yoy", label: t("change.yoy"), align: "right" },
+  ];
+
+  const toggleSort = (col) =>
+    setSort((s) => ({ col, dir: s.col === col ? -s.dir : 1 }));
+
+  const cell = { padding: "6px 8px", borderBottom: "1px solid #eee" };
+
+  return (
+    <div className="section-box">
+      <div className="section-header">🏆 {t("ranking.title")}</div>
+
+      <div style={{ padding: "10px" }}>
+        <div style={{ display: "flex", gap: "10px" }}>
+          <select value={metricKey} onChange={(e) => setMetricKey(e.target.value)} style={{ flex: 2 }}>
+            {groupMetrics(metrics).map(([group, list]) => (
+              <optgroup key={group} label={t(`group.${group}`)}>
+                {list.map((m) => (
+                  <option key={m.key} value={m.key}>
+                    {m.label}
+                  </option>
+                ))}
+              </optgroup>
+            ))}
+          </select>
+          <select value={period} onChange={(e) => setPeriod(e.target.value)} style={{ flex: 1 }}>
+            {periods.map((p) => (
+              <option key={p} value={p}>
+                {fmtPeriod(p)}
+              </option>
+            ))}
+          </select>
+        </div>
+        <label style={{ fontSize: "14px" }}>
+          <input
+            type="checkbox"
+            checked={includeSubmarkets}
+            onChange={(e) => setIncludeSubmarkets(e.target.checked)}
+          />{" "}
+          {t("ranking.includeSubmarkets")}
+        </label>
+
+        <div style={{ overflowX: "auto", marginTop: "10px" }}>
+          <table style={{ width: "100%", borderCollapse: "collapse", fontSize: "14px" }}>
+            <thead>
+              <tr style={{ background: "#f0f4fa" }}>
+                {columns.map((c) => (
+                  <th
+                    key={c.col}
+                    onClick={() => toggleSort(c.col)}
+                    style={{ ...cell, cursor: "pointer", textAlign: c.align || "left" }}
+                  >
+                    {c.label}
+                    {sort.col === c.col ? (sort.dir > 0 ? " ▲" : " ▼") : ""}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {sorted.map((r) => (
+                <tr
+                  key={r.id}
+                  onClick={() => onSelectMarket?.(r.country, r.city, r.submarket, period)}
+                  style={{ cursor: onSelectMarket ? "pointer" : "default" }}
+                  title={t("common.openInExplorer")}
+                >
+                  <td style={cell}>{r.rank}</td>
+                  <td style={cell}>{r.country}</td>
+                  <td style={cell}>{r.city}</td>
+                  {includeSubmarkets && <td style={cell}>{r.submarket}</td>}
+                  <td style={{ ...cell, textAlign: "right", fontWeight: 600 }}>
+                    {metric.kind === "percent"
+                      ? fmtPct(r.value) // already normalized to percent
+                      : formatByKind(r.value, metric.kind)}
+                  </td>
+                  <td style={{ ...cell, textAlign: "right" }}>{fmtChange(r.qoq, metric.kind)}</td>
+                  <td style={{ ...cell, textAlign: "right" }}>{fmtChange(r.yoy, metric.kind)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {!sorted.length && (
+            <p style={{ color: "#777" }}>
+              {t("ranking.empty", { metric: metric.label, period: fmtPeriod(period) })}
+            </p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,183 @@
+// src/ReportView.jsx
+import React, { useState } from "react";
+import { comparePeriods } from "./marketUtils.js";
+import { downloadBlob, fileSlug } from "./exportData.js";
+import {
+  buildMarketReport,
+  formatReportValue,
+  formatReportChange,
+  toMarkdown,
+  toHtml,
+} from "./marketReport.js";
+import { t, fmtPeriod, numberLocale } from "./i18n.js";
+
+/* ===== Quarterly Report View ===== */
+// raw: display copy (currency / units); metrics: its labelled catalog
+export default function ReportView({
+  raw,
+  metrics,
+  sector,
+  currency,
+  selectedCountry,
+  selectedCity,
+  initialPeriod,
+}) {
+  const [market, setMarket] = useState({ country: selectedCountry, city: selectedCity });
+  const periodsOf = (m) =>
+    Object.keys(raw?.countries?.[m.country]?.cities?.[m.city]?.periods || {})
+      .sort(comparePeriods)
+      .reverse();
+  const periods = periodsOf(market);
+  const [period, setPeriod] = useState(
+    periods.includes(initialPeriod) ? initialPeriod : periods[0] || ""
+  );
+  // null | "copied" | "failed" (no clipboard access: the Markdown is shown to copy by hand)
+  const [copyState, setCopyState] = useState(null);
+
+  const cities = Object.entries(raw?.countries || {}).flatMap(([country, node]) =>
+    Object.keys(node.cities || {}).map((city) => ({ country, city }))
+  );
+
+  const report = buildMarketReport(raw, market.country, market.city, period, metrics);
+  const title = `${t(`app.title.${sector}`, { city: market.city })} – ${fmtPeriod(period)}`;
+  const footer = t("export.footer", {
+    period: fmtPeriod(period),
+    currency,
+    date: new Date().toLocaleDateString(numberLocale()),
+  });
+  const slug = fileSlug(market.city, sector, period, "report");
+
+  // navigator.clipboard is missing outside secure contexts, hence the
+  // Promise.resolve(): that case fails the same way as a denied permission
+  const copyMarkdown = () =>
+    Promise.resolve()
+      .then(() => navigator.clipboard.writeText(toMarkdown(report, title, footer)))
+      .then(() => {
+        setCopyState("copied");
+        setTimeout(() => setCopyState(null), 2000);
+      })
+      .catch(() => setCopyState("failed"));
+
+  const cell = { padding: "4px 6px", borderBottom: "1px solid #eee" };
+  const right = { ...cell, textAlign: "right" };
+  const btn = { padding: "6px 10px", marginRight: "8px", cursor: "pointer" };
+
+  return (
+    <div className="section-box">
+      <div className="section-header">📰 {t("report.title")}</div>
+
+      <div style={{ padding: "10px" }}>
+        <div style={{ display: "flex", gap: "10px" }}>
+          <select
+            value={`${market.country}|${market.city}`}
+            onChange={(e) => {
+              const [country, city] = e.target.value.split("|");
+              setMarket({ country, city });
+              const next = periodsOf({ country, city });
+              if (!next.includes(period)) setPeriod(next[0] || "");
+            }}
+            style={{ flex: 2 }}
+            title={t("report.market")}
+          >
+            {cities.map((c) => (
+              <option key={`${c.country}|${c.city}`} value={`${c.country}|${c.city}`}>
+                {c.city}, {c.country}
+              </option>
+            ))}
+          </select>
+          <select
+            value={period}
+            onChange={(e) => setPeriod(e.target.value)}
+            style={{ flex: 1 }}
+            title={t("report.period")}
+          >
+            {periods.map((p) => (
+              <option key={p} value={p}>
+                {fmtPeriod(p)}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        {!report?.rows.length && (
+          <p style={{ color: "#777" }}>
+            {t("report.noData", { city: market.city, period: fmtPeriod(period) })}
+          </p>
+        )}
+
+        {report?.rows.length > 0 && (
+          <>
+            {/* --- Preview --- */}
+            <h3 style={{ color: "#003366", margin: "6px 0" }}>{title}</h3>
+            <div style={{ fontSize: "12px", color: "#777" }}>{t("report.commentary")}</div>
+            <p style={{ lineHeight: 1.5, marginTop: "4px" }}>{report.commentary.join(" ")}</p>
+
+            <table style={{ width: "100%", borderCollapse: "collapse", fontSize: "13px" }}>
+              <thead>
+                <tr style={{ background: "#f0f4fa", textAlign: "left" }}>
+                  <th style={cell}>{t("report.metric")}</th>
+                  <th style={right}>{fmtPeriod(period)}</th>
+                  <th style={right}>{t("change.qoq")}</th>
+                  <th style={right}>{t("change.yoy")}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {report.rows.map((r) => (
+                  <tr key={r.key}>
+                    <td style={cell}>{r.label}</td>
+                    <td style={right}>{formatReportValue(r)}</td>
+                    <td style={right}>{formatReportChange(r, r.qoq)}</td>
+                    <td style={right}>{formatReportChange(r, r.yoy)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <p style={{ fontSize: "12px", color: "#777" }}>{footer}</p>
+
+            {/* --- Newsletter copy --- */}
+            <div style={{ margin: "10px 0" }}>
+              <button
+                style={btn}
+                onClick={() =>
+                  downloadBlob(
+                    new Blob([toHtml(report, title, footer)], { type: "text/html" }),
+                    `${slug}.html`
+                  )
+                }
+              >
+                ⬇ HTML
+              </button>
+              <button
+                style={btn}
+                onClick={() =>
+                  downloadBlob(
+                    new Blob([toMarkdown(report, title, footer)], { type: "text/markdown" }),
+                    `${slug}.md`
+                  )
+                }
+              >
+                ⬇ Markdown
+              </button>
+              <button style={btn} onClick={copyMarkdown}>
+                📋 {copyState === "copied" ? t("report.copied") : t("report.copy")}
+              </button>
+            </div>
+            {copyState === "failed" && (
+              <>
+                <div style={{ color: "crimson", fontSize: "13px" }}>{t("report.copyFailed")}</div>
+                <textarea
+                  readOnly
+                  autoFocus
+                  value={toMarkdown(report, title, footer)}
+                  onFocus={(e) => e.target.select()}
+                  rows={10}
+                  style={{ width: "100%", fontFamily: "monospace", fontSize: "12px" }}
+                />
+              </>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
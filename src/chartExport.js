@@ -0,0 +1,202 @@
+// src/chartExport.js
+// PNG / SVG export of the recharts chart and the one-page PDF market fact sheet.
+import sansUrl from "dejavu-fonts-ttf/ttf/DejaVuSans.ttf?url";
+import sansBoldUrl from "dejavu-fonts-ttf/ttf/DejaVuSans-Bold.ttf?url";
+import { downloadBlob } from "./exportData.js";
+import { t } from "./i18n.js";
+
+/* ===== SVG helpers ===== */
+// container: DOM node wrapping a ResponsiveContainer
+export function findChartSvg(container) {
+  return container?.querySelector("svg.recharts-surface") || null;
+}
+
+export function svgToString(svg) {
+  const clone = svg.cloneNode(true);
+  const { width, height } = svg.getBoundingClientRect();
+  clone.setAttribute("xmlns", "http://www.w3.org/2000/svg");
+  clone.setAttribute("width", width);
+  clone.setAttribute("height", height);
+  clone.setAttribute("font-family", "Arial, sans-serif");
+
+  // white background, otherwise PNG/PDF show a transparent chart
+  const bg = document.createElementNS("http://www.w3.org/2000/svg", "rect");
+  bg.setAttribute("width", "100%");
+  bg.setAttribute("height", "100%");
+  bg.setAttribute("fill", "#fff");
+  clone.insertBefore(bg, clone.firstChild);
+
+  return new XMLSerializer().serializeToString(clone);
+}
+
+// Rasterize at `scale` × screen size (2 = crisp in slides / PDF)
+export function svgToPngDataUrl(svg, scale = 2) {
+  const { width, height } = svg.getBoundingClientRect();
+  const src =
+    "data:image/svg+xml;charset=utf-8," + encodeURIComponent(svgToString(svg));
+
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => {
+      const canvas = document.createElement("canvas");
+      canvas.width = Math.round(width * scale);
+      canvas.height = Math.round(height * scale);
+      const ctx = canvas.getContext("2d");
+      ctx.scale(scale, scale);
+      ctx.drawImage(img, 0, 0, width, height);
+      resolve({ dataUrl: canvas.toDataURL("image/png"), width, height });
+    };
+    img.onerror = () => reject(new Error("Chart could not be rendered"));
+    img.src = src;
+  });
+}
+
+/* ===== Downloads ===== */
+export function downloadSvg(svg, filename) {
+  const blob = new Blob([svgToString(svg)], { type: "image/svg+xml" });
+  downloadBlob(blob, filename);
+}
+
+export function downloadPng(svg, filename) {
+  return svgToPngDataUrl(svg).then(({ dataUrl }) => {
+    const a = document.createElement("a");
+    a.href = dataUrl;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+  });
+}
+
+/* ===== PDF Fact Sheet ===== */
+// jsPDF's built-in fonts only cover WinAnsi; the translated labels need
+// ł, ř, ő, ș … so the sheet embeds DejaVu Sans (fetched on the first export)
+const PDF_FONT = "DejaVuSans";
+const PDF_FONT_FILES = [
+  { url: sansUrl, file: "DejaVuSans.ttf", style: "normal" },
+  { url: sansBoldUrl, file: "DejaVuSans-Bold.ttf", style: "bold" },
+];
+let pdfFonts = null;
+
+// Below this share of its page-width size the chart moves to a second page
+const MIN_CHART_SCALE = 0.6;
+
+function fetchBase64(url) {
+  return fetch(url)
+    .then((res) => {
+      if (!res.ok) throw new Error(`Font could not be loaded (${res.status})`);
+      return res.arrayBuffer();
+    })
+    .then((buf) => {
+      const bytes = new Uint8Array(buf);
+      let binary = "";
+      for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+      }
+      return btoa(binary);
+    });
+}
+
+// [{ file, style, data (base64) }], kept for later exports once loaded
+function loadPdfFonts() {
+  pdfFonts ??= Promise.all(
+    PDF_FONT_FILES.map((f) => fetchBase64(f.url).then((data) => ({ ...f, data })))
+  ).catch((err) => {
+    pdfFonts = null;
+    throw err;
+  });
+  return pdfFonts;
+}
+
+// sheet: {
+//   title, subtitle,
+//   sections: [{ title, rows: [[label, value], ...] }],
+//   chartTitle, svg (optional chart), footer
+// }
+export function downloadFactSheetPdf(sheet, filename) {
+  const chart = sheet.svg ? svgToPngDataUrl(sheet.svg) : Promise.resolve(null);
+
+  return Promise.all([import("jspdf"), chart, loadPdfFonts()]).then(([{ jsPDF }, png, fonts]) => {
+    const doc = new jsPDF({ unit: "mm", format: "a4" });
+    for (const f of fonts) {
+      doc.addFileToVFS(f.file, f.data);
+      doc.addFont(f.file, PDF_FONT, f.style);
+    }
+    const pageW = doc.internal.pageSize.getWidth();
+    const pageH = doc.internal.pageSize.getHeight();
+    const margin = 14;
+    const colW = (pageW - margin * 3) / 2;
+
+    // --- Header band ---
+    doc.setFillColor(0, 51, 102);
+    doc.rect(0, 0, pageW, 26, "F");
+    doc.setTextColor(255, 255, 255);
+    doc.setFont(PDF_FONT, "bold");
+    doc.setFontSize(16);
+    doc.text(sheet.title, margin, 12);
+    doc.setFont(PDF_FONT, "normal");
+    doc.setFontSize(10);
+    doc.text(sheet.subtitle || "", margin, 20);
+
+    // --- Metric sections, two per row ---
+    let top = 36;
+    let bottom = top;
+    sheet.sections.forEach((section, i) => {
+      if (i > 0 && i % 2 === 0) top = bottom + 6;
+      const x = margin + (i % 2) * (colW + margin);
+      let y = top;
+      doc.setTextColor(0, 51, 102);
+      doc.setFont(PDF_FONT, "bold");
+      doc.setFontSize(11);
+      doc.text(section.title, x, y);
+      y += 2;
+      doc.setDrawColor(0, 51, 102);
+      doc.line(x, y, x + colW, y);
+      y += 6;
+
+      doc.setTextColor(0, 0, 0);
+      doc.setFontSize(9);
+      for (const [label, value] of section.rows) {
+        doc.setFont(PDF_FONT, "normal");
+        doc.text(label, x, y);
+        doc.setFont(PDF_FONT, "bold");
+        doc.text(String(value), x + colW, y, { align: "right" });
+        y += 6;
+      }
+      bottom = Math.max(bottom, y);
+    });
+
+    // --- Trend chart: page width, scaled down (aspect kept) to the room above
+    // the footer, or on a page of its own when that leaves it too small ---
+    if (png) {
+      const chartBottom = pageH - 24;
+      const fullW = pageW - margin * 2;
+      const fullH = (png.height / png.width) * fullW;
+      let y = bottom + 6;
+      if ((chartBottom - y - 4) / fullH < MIN_CHART_SCALE) {
+        doc.addPage();
+        y = 20;
+      }
+      doc.setTextColor(0, 51, 102);
+      doc.setFont(PDF_FONT, "bold");
+      doc.setFontSize(11);
+      doc.text(sheet.chartTitle || t("trend.title"), margin, y);
+      y += 4;
+      const scale = Math.min(1, (chartBottom - y) / fullH);
+      doc.addImage(png.dataUrl, "PNG", margin, y, fullW * scale, fullH * scale);
+    }
+
+    // --- Footer (every page) ---
+    for (let page = 1; page <= doc.getNumberOfPages(); page++) {
+      doc.setPage(page);
+      doc.setDrawColor(200, 200, 200);
+      doc.line(margin, pageH - 16, pageW - margin, pageH - 16);
+      doc.setTextColor(110, 110, 110);
+      doc.setFont(PDF_FONT, "normal");
+      doc.setFontSize(8);
+      doc.text(sheet.footer || "", margin, pageH - 10);
+    }
+
+    doc.save(filename);
+  });
+}
@@ -0,0 +1,85 @@
+// src/comparisons.js
+// Comparison markets shown next to the base market in the Historical Trend.
+// Each entry: { id, country, city, submarket, color }
+
+export const BASE_COLOR = "#003366";
+
+export const COMPARISON_PALETTE = [
+  "#e67e22",
+  "#2ecc71",
+  "#9b59b6",
+  "#e74c3c",
+  "#1abc9c",
+  "#f1c40f",
+  "#34495e",
+  "#d35400",
+  "#16a085",
+  "#c0392b",
+  "#7f8c8d",
+  "#2980b9",
+];
+
+// First palette color not yet taken; cycles once all are used
+export function nextColor(list) {
+  const used = new Set(list.map((c) => c.color));
+  return (
+    COMPARISON_PALETTE.find((col) => !used.has(col)) ||
+    COMPARISON_PALETTE[list.length % COMPARISON_PALETTE.length]
+  );
+}
+
+export function nextId(list) {
+  return list.reduce((max, c) => Math.max(max, c.id), 0) + 1;
+}
+
+// Chart / merged-data key of a comparison
+export const seriesKey = (c) => `cmp${c.id}`;
+
+/* ===== Cascading defaults (same rules as the base market dropdowns) ===== */
+// Unknown country → Austria (or first), unknown city → first city,
+// unknown submarket → first submarket of the latest period.
+export function repairComparison(raw, c) {
+  const countryList = Object.keys(raw?.countries || {});
+  const country = countryList.includes(c.country)
+    ? c.country
+    : raw?.countries?.["Austria"]
+      ? "Austria"
+      : countryList[0] || "";
+
+  const cityList = Object.keys(raw?.countries?.[country]?.cities || {});
+  const city = cityList.includes(c.city) ? c.city : cityList[0] || "";
+
+  const subs = comparisonSubmarkets(raw, country, city);
+  const submarket = subs.includes(c.submarket) ? c.submarket : subs[0] || "";
+
+  return { ...c, country, city, submarket };
+}
+
+export function comparisonSubmarkets(raw, country, city) {
+  const periods = Object.keys(raw?.countries?.[country]?.cities?.[city]?.periods || {});
+  const latest = periods[periods.length - 1];
+  return Object.keys(
+    raw?.countries?.[country]?.cities?.[city]?.periods?.[latest]?.subMarkets || {}
+  );
+}
+
+export function addComparison(raw, list, market = {}) {
+  return [
+    ...list,
+    repairComparison(raw, { ...market, id: nextId(list), color: nextColor(list) }),
+  ];
+}
+
+export function updateComparison(raw, list, id, patch) {
+  // a new country invalidates the city, which then falls back to the first one
+  return list.map((c) => (c.id === id ? repairComparison(raw, { ...c, ...patch }) : c));
+}
+
+export function moveComparison(list, id, delta) {
+  const i = list.findIndex((c) => c.id === id);
+  const j = i + delta;
+  if (i < 0 || j < 0 || j >= list.length) return list;
+  const next = [...list];
+  [next[i], next[j]] = [next[j], next[i]];
+  return next;
+}
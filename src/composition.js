@@ -0,0 +1,71 @@
+// src/composition.js
+// Submarket composition of a city: absolute values, share of the city
+// "Total" and a submarket × period grid for heatmaps.
+import { coerceNumber, comparePeriods, numericMetric } from "./marketUtils.js";
+
+export const COMPOSITION_FIELDS = [
+  { key: "totalStock", label: "Total Stock" },
+  { key: "vacancy", label: "Vacancy" },
+  { key: "takeUp", label: "Take-up" },
+];
+
+// Returns { rows: [{ submarket, [field], share: { [field]: % of Total } }],
+//           total: { [field] }, nested }
+// nested: submarkets add up to well over the Total (e.g. "City Centre"
+// containing the CBD), so shares do not sum to 100%.
+export function submarketComposition(raw, country, city, period) {
+  const node = raw?.countries?.[country]?.cities?.[city]?.periods?.[period];
+  const subMarkets = node?.subMarkets || {};
+  const names = Object.keys(subMarkets).filter((s) => s !== "Total");
+
+  const rows = names.map((submarket) => {
+    const row = { submarket, share: {} };
+    for (const { key } of COMPOSITION_FIELDS) row[key] = coerceNumber(subMarkets[submarket][key]);
+    return row;
+  });
+
+  const total = {};
+  for (const { key } of COMPOSITION_FIELDS) {
+    const sum = rows.reduce((acc, r) => acc + (r[key] || 0), 0);
+    total[key] = coerceNumber(subMarkets.Total?.[key]) ?? (sum || null);
+    for (const r of rows) {
+      r.share[key] = r[key] !== null && total[key] ? (r[key] / total[key]) * 100 : null;
+    }
+  }
+
+  const stockSum = rows.reduce((acc, r) => acc + (r.totalStock || 0), 0);
+  const nested = !!total.totalStock && stockSum > 1.5 * total.totalStock;
+  return { rows, total, nested };
+}
+
+// { submarkets, periods (ascending, last `count`), value(sm, p), min, max }
+export function submarketHeatmap(raw, country, city, metric, count = 12) {
+  const periodsNode = raw?.countries?.[country]?.cities?.[city]?.periods || {};
+  const periods = Object.keys(periodsNode).sort(comparePeriods).slice(-count);
+
+  const submarkets = [];
+  for (const p of periods) {
+    for (const sm of Object.keys(periodsNode[p]?.subMarkets || {})) {
+      if (!submarkets.includes(sm)) submarkets.push(sm);
+    }
+  }
+
+  const grid = {};
+  const values = [];
+  for (const sm of submarkets) {
+    grid[sm] = {};
+    for (const p of periods) {
+      const v = periodsNode[p]?.subMarkets?.[sm] ? numericMetric(periodsNode[p], sm, metric) : null;
+      grid[sm][p] = v;
+      if (v !== null) values.push(v);
+    }
+  }
+
+  return {
+    submarkets,
+    periods,
+    value: (sm, p) => grid[sm]?.[p] ?? null,
+    min: Math.min(...values),
+    max: Math.max(...values),
+  };
+}
@@ -0,0 +1,85 @@
+// src/currency.js
+// Display currency: monetary metrics are stored in EUR and converted with
+// the bundled quarter-end FX table (/fx_rates.json, units per 1 EUR):
+//
+//   { "base": "EUR", "rates": { "Q1 2025": { "PLN": 4.18, "CZK": 24.99, ... } } }
+import { coerceNumber, comparePeriods, mapMarketFields } from "./marketUtils.js";
+
+export const CURRENCIES = ["EUR", "PLN", "CZK", "HUF", "RON", "USD"];
+export const BASE_CURRENCY = "EUR";
+
+// Native currency of each market; primeRentLocal is quoted in it
+export const COUNTRY_CURRENCY = {
+  Austria: "EUR",
+  "Czech Republic": "CZK",
+  Hungary: "HUF",
+  Poland: "PLN",
+  Romania: "RON",
+  Slovakia: "EUR",
+};
+
+/* ===== FX table ===== */
+export function loadFxRates() {
+  return fetch("/fx_rates.json")
+    .then((r) => {
+      if (!r.ok) throw new Error(`HTTP ${r.status}`);
+      return r.json();
+    })
+    .then((fx) => fx?.rates || {});
+}
+
+// Rate of the period; quarters outside the table use the nearest one
+export function fxRate(rates, period, currency) {
+  if (currency === BASE_CURRENCY) return 1;
+  if (rates?.[period]?.[currency]) return rates[period][currency];
+  const periods = Object.keys(rates || {})
+    .filter((p) => rates[p]?.[currency])
+    .sort(comparePeriods);
+  if (!periods.length) return null;
+  const before = periods.filter((p) => comparePeriods(p, period) <= 0);
+  return rates[before.length ? before[before.length - 1] : periods[0]][currency];
+}
+
+/* ===== Labels ===== */
+// "Prime Rent (€/m² pm)" → "Prime Rent (PLN/m² pm)"
+export const currencyLabel = (label, currency) =>
+  currency === BASE_CURRENCY ? label : label.replaceAll("€", currency);
+
+export function currencyMetric(def, currency) {
+  if (def.kind !== "money" || currency === BASE_CURRENCY) return def;
+  return {
+    ...def,
+    label: currencyLabel(def.label, currency),
+    unit: currencyLabel(def.unit, currency),
+  };
+}
+
+/* ===== Conversion ===== */
+// Copy of the dataset with every money field converted at its period's
+// rate. primeRentLocal is quoted in the market's own currency: shown as is
+// when that is the display currency, otherwise it only fills a missing EUR
+// rent (via the cross rate) so resolveMetric() never falls back to a figure
+// in the wrong currency.
+export function convertMarketData(raw, rates, currency, moneyKeys) {
+  if (!raw?.countries) return raw;
+
+  const converted = mapMarketFields(raw, (fields, { country, period }) => {
+    const localCurrency = COUNTRY_CURRENCY[country] || BASE_CURRENCY;
+    const rate = fxRate(rates, period, currency);
+    const out = { ...fields };
+    for (const key of moneyKeys) {
+      const n = coerceNumber(out[key]);
+      if (n !== null) out[key] = rate !== null ? n * rate : null;
+    }
+    const local = coerceNumber(fields?.primeRentLocal);
+    if (local !== null) {
+      const localRate = fxRate(rates, period, localCurrency);
+      if (localCurrency === currency) out.primeRentEurSqmMonth = local;
+      else if (coerceNumber(out.primeRentEurSqmMonth) === null && localRate && rate !== null)
+        out.primeRentEurSqmMonth = (local / localRate) * rate;
+      delete out.primeRentLocal;
+    }
+    return out;
+  });
+  return { ...converted, meta: { ...(raw.meta || {}), currency } };
+}
@@ -0,0 +1,272 @@
+// src/dataAdapters.js
+// Import adapters: every known market data layout is normalized into the
+// canonical model used by the explorer
+//
+//   { meta, countries: { [country]: { cities: { [city]: { periods: {
+//       ["Q1 2025"]: { subMarkets: { Total: {...}, [submarket]: {...} }, leasing: {...} }
+//   } } } } } }
+//
+// Known layouts:
+//   "canonical"  – the model above (market_data.json)
+//   "cityTotal"  – countries → cities → periods → { "City Total" | submarket:
+//                  { metrics: { "Vacancy Rate (%)": … }, leasing: { "Lease length (months)": … } } }
+//   "pascalCase" – Country → City → "Q2 2023" → { TotalStock, Vacant, VacancyRate (fraction),
+//                  SubMarkets: { … } } (market_data_warsaw.json)
+//
+// The result is nested per sector (see sectors.js); files with a city-level
+// "sectors" object are normalized sector by sector.
+import { comparePeriods, toPercentValue } from "./marketUtils.js";
+import {
+  DEFAULT_SECTOR,
+  isMultiSector,
+  nestSector,
+  sectorSlice,
+  sectorsOf,
+  withSector,
+} from "./sectors.js";
+
+const PERIOD = /^Q[1-4] \d{4}$/;
+
+/* ===== Field maps (source key → canonical key) ===== */
+const PASCAL_FIELDS = {
+  TotalStock: "totalStock",
+  Vacant: "vacancy",
+  Vacancy: "vacancy",
+  VacancyRate: "vacancyRate",
+  TakeUp: "takeUp",
+  NetAbsorption: "netAbsorption",
+  CompletionsYTD: "completionsYTD",
+  UnderConstruction: "underConstruction",
+  PrimeYield: "primeYield",
+  PrimeRent: "primeRentEurSqmMonth",
+  AverageRent: "averageRentEurSqmMonth",
+  CapitalValue: "capitalValueEurSqm",
+};
+
+const LABELED_METRICS = {
+  "Total Stock (sqm)": "totalStock",
+  "Vacancy (sqm)": "vacancy",
+  "Vacancy Rate (%)": "vacancyRate",
+  "YTD Take-Up (sqm)": "takeUp",
+  "Net Absorption (sqm)": "netAbsorption",
+  "YTD Completions (sqm)": "completionsYTD",
+  "Under Construction (sqm)": "underConstruction",
+  "Prime Rent": "primeRentEurSqmMonth",
+  "Average Rent": "averageRentEurSqmMonth",
+  "Prime Yield": "primeYield",
+  "Capital Value": "capitalValueEurSqm",
+};
+
+const LABELED_LEASING = {
+  "Rent-free period (month/year)": "rentFreeMonthPerYear",
+  "Lease length (months)": "leaseLengthMonths",
+  "Fit-out contribution (€/sqm) - shell & core": "fitOutContributionEurSqm",
+  "Average service charge (€/sqm/month)": "serviceChargeEurSqmMonth",
+  "Prime Rent": "primeRentEurSqmMonth",
+  "Average Rent": "averageRentEurSqmMonth",
+};
+
+// every known source spelling, used to pre-fill the import column mapping
+export const FIELD_ALIASES = { ...PASCAL_FIELDS, ...LABELED_METRICS, ...LABELED_LEASING };
+
+// canonical rates are stored in percent (9.06, not 0.0906)
+const PERCENT_FIELDS = new Set(["vacancyRate", "primeYield"]);
+
+// rates: "fraction" for layouts known to store 0.0906. Otherwise a "%" in the
+// source key marks percent; only rates of unlabeled keys are told apart by
+// size, where a sub-1 % rate would be misread as a fraction.
+function toCanonicalRate(v, sourceKey, rates) {
+  if (rates === "fraction") return v * 100;
+  return sourceKey.includes("%") ? v : toPercentValue(v);
+}
+
+// Rate of a spreadsheet column by its header: the PascalCase spellings
+// ("VacancyRate") come from the layout storing fractions
+export const importedRate = (v, header) =>
+  toCanonicalRate(v, header, PASCAL_FIELDS[header] ? "fraction" : undefined);
+
+// Renames known keys, keeps unknown ones so nothing is lost
+function mapFields(fields, map, rates) {
+  const out = {};
+  for (const [k, v] of Object.entries(fields || {})) {
+    const key = map[k] || k;
+    out[key] =
+      PERCENT_FIELDS.has(key) && typeof v === "number" ? toCanonicalRate(v, k, rates) : v;
+  }
+  return out;
+}
+
+const isObject = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+
+/* ===== Detection ===== */
+function firstPeriodNode(json) {
+  for (const countryNode of Object.values(json?.countries || {})) {
+    for (const cityNode of Object.values(countryNode?.cities || {})) {
+      const periods = Object.values(cityNode?.periods || {});
+      if (periods.length) return periods[0];
+    }
+  }
+  return null;
+}
+
+export function detectFormat(json) {
+  if (!isObject(json)) return "unknown";
+
+  if (isObject(json.countries)) {
+    const node = firstPeriodNode(json);
+    if (!node) return "unknown";
+    if (node.subMarkets || node.leasing) return "canonical";
+    if (node["City Total"] || Object.values(node).some((n) => n?.metrics)) return "cityTotal";
+    return "unknown";
+  }
+
+  // Country → City → Period without the "countries" / "cities" / "periods" levels
+  for (const cities of Object.values(json)) {
+    if (!isObject(cities)) continue;
+    for (const periods of Object.values(cities)) {
+      if (isObject(periods) && Object.keys(periods).some((p) => PERIOD.test(p))) {
+        return "pascalCase";
+      }
+    }
+  }
+  return "unknown";
+}
+
+/* ===== Adapters ===== */
+function fromCityTotal(json) {
+  const countries = {};
+  for (const [country, countryNode] of Object.entries(json.countries)) {
+    for (const [city, cityNode] of Object.entries(countryNode.cities || {})) {
+      const periods = {};
+      for (const [period, node] of Object.entries(cityNode.periods || {})) {
+        const subMarkets = {};
+        let leasing = {};
+        for (const [name, sm] of Object.entries(node || {})) {
+          if (!isObject(sm)) continue;
+          const metrics = mapFields(sm.metrics, LABELED_METRICS);
+          const smLeasing = mapFields(sm.leasing, LABELED_LEASING);
+          if (name === "City Total") {
+            subMarkets.Total = metrics;
+            leasing = smLeasing;
+          } else {
+            // submarket leasing terms live next to its metrics (g() reads them first)
+            subMarkets[name] = { ...smLeasing, ...metrics };
+          }
+        }
+        periods[period] = { subMarkets, leasing };
+      }
+      countries[country] ??= { cities: {} };
+      countries[country].cities[city] = { periods };
+    }
+  }
+  return { meta: json.meta || {}, countries };
+}
+
+function fromPascalCase(json) {
+  const countries = {};
+  for (const [country, cities] of Object.entries(json)) {
+    if (!isObject(cities)) continue;
+    for (const [city, periodsNode] of Object.entries(cities)) {
+      if (!isObject(periodsNode)) continue;
+      const periods = {};
+      for (const [period, node] of Object.entries(periodsNode)) {
+        if (!PERIOD.test(period) || !isObject(node)) continue;
+        const { SubMarkets, ...cityFields } = node;
+        const subMarkets = { Total: mapFields(cityFields, PASCAL_FIELDS, "fraction") };
+        for (const [name, fields] of Object.entries(SubMarkets || {})) {
+          // skips footnote rows such as "Source: CBRE Research": {}
+          if (!isObject(fields) || !Object.keys(fields).length) continue;
+          subMarkets[name] = mapFields(fields, PASCAL_FIELDS, "fraction");
+        }
+        periods[period] = { subMarkets, leasing: {} };
+      }
+      countries[country] ??= { cities: {} };
+      countries[country].cities[city] = { periods };
+    }
+  }
+  return { meta: { currency: "EUR" }, countries };
+}
+
+// Per-sector parts of a multi-sector file, each in a single-sector layout;
+// city-level "periods" next to "sectors" belong to the file's own sector
+function splitSectors(json) {
+  const fileSector = json.meta?.sector || DEFAULT_SECTOR;
+  const parts = {};
+  for (const [country, countryNode] of Object.entries(json.countries)) {
+    for (const [city, cityNode] of Object.entries(countryNode?.cities || {})) {
+      const trees = { ...(cityNode?.sectors || {}) };
+      if (cityNode?.periods) trees[fileSector] ??= { periods: cityNode.periods };
+      for (const [sector, node] of Object.entries(trees)) {
+        const part = (parts[sector] ??= { meta: { ...json.meta, sector }, countries: {} });
+        (part.countries[country] ??= { cities: {} }).cities[city] = node;
+      }
+    }
+  }
+  return parts;
+}
+
+// Returns the canonical model nested per sector; meta.sourceFormat records
+// what was detected. Unknown layouts are passed through so the data-quality
+// check can report them.
+export function normalizeMarketData(json) {
+  if (isMultiSector(json)) {
+    let out = { meta: {}, countries: {} };
+    for (const [sector, part] of Object.entries(splitSectors(json))) {
+      const normalized = normalizeMarketData(part);
+      out = withSector({ ...out, meta: normalized.meta }, sector, sectorSlice(normalized, sector));
+    }
+    return out;
+  }
+
+  const format = detectFormat(json);
+  let raw = json;
+  if (format === "cityTotal") raw = fromCityTotal(json);
+  if (format === "pascalCase") raw = fromPascalCase(json);
+  if (!isObject(raw)) return raw;
+  if (format !== "unknown") raw = nestSector(raw, json.meta?.sector || DEFAULT_SECTOR);
+  return { ...raw, meta: { ...(raw.meta || {}), sourceFormat: format } };
+}
+
+/* ===== Merge ===== */
+// Adds what `extra` has and `base` lacks: countries, cities, periods,
+// submarkets and single fields. Values already in `base` win unless
+// `overwrite` is set (imports correcting a published figure).
+export function mergeMarketData(base, extra, overwrite = false) {
+  const join = (a = {}, b = {}) => (overwrite ? { ...a, ...b } : { ...b, ...a });
+  const out = structuredClone(base);
+  out.countries ??= {};
+  for (const [country, countryNode] of Object.entries(extra?.countries || {})) {
+    const c = (out.countries[country] ??= { cities: {} });
+    c.cities ??= {};
+    for (const [city, cityNode] of Object.entries(countryNode.cities || {})) {
+      const ct = (c.cities[city] ??= { periods: {} });
+      ct.periods ??= {};
+      for (const [period, node] of Object.entries(cityNode.periods || {})) {
+        const p = (ct.periods[period] ??= { subMarkets: {}, leasing: {} });
+        p.subMarkets ??= {};
+        for (const [sm, fields] of Object.entries(node.subMarkets || {})) {
+          p.subMarkets[sm] = join(p.subMarkets[sm], fields);
+        }
+        p.leasing = join(p.leasing, node.leasing);
+      }
+      // the explorer takes the last period as the latest: keep them in order
+      ct.periods = Object.fromEntries(
+        Object.entries(ct.periods).sort(([a], [b]) => comparePeriods(a, b))
+      );
+    }
+  }
+  return out;
+}
+
+// mergeMarketData() for sector-nested models, sector by sector
+export function mergeSectorData(base, extra, overwrite = false) {
+  return sectorsOf(extra).reduce(
+    (acc, sector) =>
+      withSector(
+        acc,
+        sector,
+        mergeMarketData(sectorSlice(acc, sector), sectorSlice(extra, sector), overwrite)
+      ),
+    base
+  );
+}
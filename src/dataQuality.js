@@ -0,0 +1,243 @@
+// src/dataQuality.js
+// Schema of the canonical market data file plus the data-quality checks
+// that run whenever a dataset is loaded.
+import { coerceNumber, toPercentValue, comparePeriods, shiftPeriod } from "./marketUtils.js";
+import { publishedMismatches } from "./derivedMetrics.js";
+
+/* ===== Schema ===== */
+// {
+//   meta?: { currency: "EUR" },
+//   countries: {
+//     [country]: { cities: { [city]: { periods: { ["Q1 2025"]: {
+//       subMarkets: { [submarket | "Total"]: { [field]: value } },
+//       leasing: { [field]: value }
+//     } } } } }
+//   }
+// }
+// Field types: "number" (numeric or numeric string), "percent" (stored as
+// percent 3.9 or as fraction 0.039), "range" (number or "5-7" text).
+// min / max are plausibility bounds (percent fields in percent).
+export const MARKET_DATA_SCHEMA = {
+  periodPattern: /^Q[1-4] \d{4}$/,
+  totalSubmarket: "Total",
+  subMarketFields: {
+    totalStock: { type: "number", min: 0 },
+    vacancy: { type: "number", min: 0 },
+    vacancyRate: { type: "percent", min: 0, max: 100 },
+    takeUp: { type: "number", min: 0 },
+    netAbsorption: { type: "number" },
+    completionsYTD: { type: "number", min: 0 },
+    underConstruction: { type: "number", min: 0 },
+    primeYield: { type: "percent", min: 2, max: 12 },
+    capitalValueEurSqm: { type: "number", min: 0 },
+    primeRentEurSqmMonth: { type: "number", min: 0, max: 100 },
+    averageRentEurSqmMonth: { type: "number", min: 0, max: 100 },
+  },
+  leasingFields: {
+    primeRentEurSqmMonth: { type: "number", min: 0, max: 100 },
+    averageRentEurSqmMonth: { type: "number", min: 0, max: 100 },
+    serviceChargeEurSqmMonth: { type: "number", min: 0, max: 30 },
+    leaseLengthMonths: { type: "range" },
+    rentFreeMonthPerYear: { type: "range" },
+  },
+  // fields whose submarket values should add up to "Total"
+  additiveFields: ["totalStock", "vacancy", "takeUp", "completionsYTD", "underConstruction"],
+};
+
+export const QUALITY_CHECKS = {
+  structure: "Structure",
+  missingPeriod: "Missing period",
+  nonNumeric: "Non-numeric value",
+  outOfRange: "Out of range",
+  vacancyMismatch: "Vacancy ≠ rate × stock",
+  submarketSum: "Submarkets ≠ Total",
+  percentAmbiguous: "Percent / fraction ambiguity",
+  derivedMismatch: "Published ≠ derived",
+};
+
+/* ===== Validator ===== */
+// Returns { issues: [{ severity, check, country, city, period, submarket, field,
+//                      finding, params }], counts: { [check]: n }
+// The text of a finding is the catalog entry "finding.<finding>" with params.
+export function validateMarketData(raw, schema = MARKET_DATA_SCHEMA) {
+  const issues = [];
+  const add = (severity, check, where, finding, params = {}) =>
+    issues.push({ severity, check, ...where, finding, params });
+
+  if (!raw || typeof raw !== "object" || typeof raw.countries !== "object") {
+    add("error", "structure", {}, "noCountries");
+    return summarize(issues);
+  }
+
+  const numberField = (fields, field, def, where) => {
+    const v = fields[field];
+    if (v === null || v === undefined || v === "") return null;
+    if (def.type === "range") return null;
+    const n = coerceNumber(v);
+    if (n === null) {
+      add("error", "nonNumeric", { ...where, field }, "notNumeric", { field, value: v });
+      return null;
+    }
+    const cmp = def.type === "percent" ? toPercentValue(n) : n;
+    if ((def.min !== undefined && cmp < def.min) || (def.max !== undefined && cmp > def.max)) {
+      add("warning", "outOfRange", { ...where, field }, "outOfRange", {
+        field,
+        value: n,
+        min: def.min ?? "–∞",
+        max: def.max ?? "∞",
+      });
+    }
+    return n;
+  };
+
+  for (const [country, countryNode] of Object.entries(raw.countries)) {
+    if (!countryNode?.cities || typeof countryNode.cities !== "object") {
+      add("error", "structure", { country }, "noCities");
+      continue;
+    }
+    for (const [city, cityNode] of Object.entries(countryNode.cities)) {
+      const where = { country, city };
+      const periods = Object.keys(cityNode?.periods || {});
+      if (!periods.length) {
+        add("error", "structure", where, "noPeriods");
+        continue;
+      }
+
+      const bad = periods.filter((p) => !schema.periodPattern.test(p));
+      bad.forEach((p) =>
+        add("error", "structure", { ...where, period: p }, "badPeriodKey", { period: p })
+      );
+
+      // --- gaps in the quarterly sequence ---
+      const valid = periods.filter((p) => schema.periodPattern.test(p)).sort(comparePeriods);
+      for (let p = valid[0]; p && comparePeriods(p, valid[valid.length - 1]) < 0; ) {
+        p = shiftPeriod(p, 1);
+        if (!cityNode.periods[p]) {
+          add("warning", "missingPeriod", { ...where, period: p }, "missingPeriod", { period: p });
+        }
+      }
+
+      let overlapReported = false;
+      for (const period of valid) {
+        const node = cityNode.periods[period];
+        const at = { ...where, period };
+        if (!node?.subMarkets || typeof node.subMarkets !== "object") {
+          add("error", "structure", at, "noSubMarkets");
+          continue;
+        }
+        if (!node.subMarkets[schema.totalSubmarket]) {
+          add("warning", "structure", at, "noTotal", { total: schema.totalSubmarket });
+        }
+
+        // --- leasing ---
+        for (const [field, def] of Object.entries(schema.leasingFields)) {
+          if (node.leasing) numberField(node.leasing, field, def, { ...at, submarket: "(leasing)" });
+        }
+
+        // --- submarkets ---
+        const parsed = {};
+        for (const [submarket, fields] of Object.entries(node.subMarkets)) {
+          const w = { ...at, submarket };
+          const vals = {};
+          for (const [field, def] of Object.entries(schema.subMarketFields)) {
+            vals[field] = numberField(fields || {}, field, def, w);
+          }
+          parsed[submarket] = vals;
+
+          // --- published vs. derived (capital value from rent ÷ yield, …) ---
+          for (const m of publishedMismatches(node, submarket)) {
+            add("info", "derivedMismatch", { ...w, field: m.field }, "derivedMismatch", {
+              field: m.field,
+              published: Math.round(m.published),
+              derived: Math.round(m.derived),
+              diff: `${m.diff > 0 ? "+" : ""}${(m.diff * 100).toFixed(1)}%`,
+            });
+          }
+
+          const { vacancy, vacancyRate, totalStock } = vals;
+          if (vacancy !== null && vacancyRate !== null && totalStock) {
+            const implied = (toPercentValue(vacancyRate) / 100) * totalStock;
+            if (Math.abs(implied - vacancy) > Math.max(0.01 * vacancy, 500)) {
+              add("warning", "vacancyMismatch", { ...w, field: "vacancy" }, "vacancyMismatch", {
+                vacancy: Math.round(vacancy),
+                implied: Math.round(implied),
+              });
+            }
+          }
+        }
+
+        // --- submarket sums vs. Total ---
+        const total = parsed[schema.totalSubmarket];
+        const parts = Object.keys(parsed).filter((s) => s !== schema.totalSubmarket);
+        if (!total || parts.length < 2) continue;
+        for (const field of schema.additiveFields) {
+          const given = parts.filter((s) => parsed[s][field] !== null);
+          if (!total[field] || !given.length) continue;
+          const sum = given.reduce((acc, s) => acc + parsed[s][field], 0);
+          const ratio = sum / total[field];
+          // Nested submarkets (e.g. "City Centre" containing the CBD) add up to
+          // well over the city total; the check cannot apply there.
+          if (ratio > 1.5) {
+            if (!overlapReported) {
+              add("info", "submarketSum", at, "submarketOverlap");
+              overlapReported = true;
+            }
+            break;
+          }
+          if (Math.abs(ratio - 1) > 0.01) {
+            add(
+              "warning",
+              "submarketSum",
+              { ...at, submarket: schema.totalSubmarket, field },
+              "submarketSum",
+              { sum: Math.round(sum), total: Math.round(total[field]) }
+            );
+          }
+        }
+      }
+    }
+  }
+
+  checkPercentConvention(raw, schema, add);
+  return summarize(issues);
+}
+
+// Percent fields mostly stored as percent (3.9) but with a value ≤ 1 here and
+// there: fmtPercent() would read 0.8 as 80%, so these are worth a look.
+function checkPercentConvention(raw, schema, add) {
+  const percentFields = Object.entries(schema.subMarketFields)
+    .filter(([, def]) => def.type === "percent")
+    .map(([f]) => f);
+
+  for (const field of percentFields) {
+    const small = [];
+    let large = 0;
+    for (const [country, countryNode] of Object.entries(raw.countries)) {
+      for (const [city, cityNode] of Object.entries(countryNode?.cities || {})) {
+        for (const [period, node] of Object.entries(cityNode?.periods || {})) {
+          for (const [submarket, fields] of Object.entries(node?.subMarkets || {})) {
+            const v = coerceNumber(fields?.[field]);
+            if (v === null || v === 0) continue;
+            if (Math.abs(v) > 1) large++;
+            else small.push({ country, city, period, submarket, field, v });
+          }
+        }
+      }
+    }
+    if (large > small.length) {
+      small.forEach(({ v, ...w }) =>
+        add("warning", "percentAmbiguous", w, "percentAmbiguous", {
+          field,
+          value: v,
+          percent: (v * 100).toFixed(1),
+        })
+      );
+    }
+  }
+}
+
+function summarize(issues) {
+  const counts = {};
+  for (const i of issues) counts[i.check] = (counts[i.check] || 0) + 1;
+  return { issues, counts };
+}
@@ -0,0 +1,178 @@
+// src/datasets.js
+// Dataset vintages: /datasets.json lists every published market data file.
+//
+//   { "default": "2025-q4",
+//     "datasets": [{ "id", "label", "file", "asOf", "version"?, "merge"? }, ...] }
+//
+// Files may use any layout known to dataAdapters.js; "merge" lists further
+// files whose countries / cities / periods are added to "file". "version" is
+// bumped whenever a file is republished: files are requested as
+// "file?v=<version>", which is what the service worker (public/sw.js) caches.
+import { coerceNumber, comparePeriods } from "./marketUtils.js";
+import { normalizeMarketData, mergeSectorData } from "./dataAdapters.js";
+
+// Used when the manifest is missing, so a bare deployment keeps working
+const FALLBACK_MANIFEST = {
+  default: "current",
+  datasets: [{ id: "current", label: "Current", file: "/market_data.json" }],
+};
+
+/* ===== Loading ===== */
+export function loadManifest() {
+  return fetch("/datasets.json")
+    .then((r) => (r.ok ? r.json() : FALLBACK_MANIFEST))
+    .then((m) => (m?.datasets?.length ? m : FALLBACK_MANIFEST))
+    .catch(() => FALLBACK_MANIFEST);
+}
+
+export function datasetVersion(entry) {
+  return entry?.version || entry?.asOf || "";
+}
+
+function fileUrl(file, version) {
+  return version ? `${file}?v=${encodeURIComponent(version)}` : file;
+}
+
+// One request per file, shared by the explorer and the diff view
+const cache = new Map();
+// url → when the service worker fetched it from the server (ISO string)
+const fetchedAt = new Map();
+
+function loadFile(url) {
+  if (!cache.has(url)) {
+    const p = fetch(url)
+      .then((r) => {
+        if (!r.ok) throw new Error(`HTTP ${r.status}`);
+        fetchedAt.set(url, r.headers.get("x-cached-at"));
+        return r.json();
+      })
+      .then(normalizeMarketData);
+    p.catch(() => cache.delete(url));
+    cache.set(url, p);
+  }
+  return cache.get(url);
+}
+
+export function loadDataset(entry) {
+  const version = datasetVersion(entry);
+  const files = [entry.file, ...(entry.merge || [])].map((f) => fileUrl(f, version));
+  return Promise.all(files.map(loadFile)).then(([base, ...extras]) =>
+    extras.reduce((acc, extra) => mergeSectorData(acc, extra), base)
+  );
+}
+
+// When the loaded copy of a dataset was downloaded; null without the service
+// worker (development, unsupported browsers)
+export function datasetFetchedAt(entry) {
+  const stamp = fetchedAt.get(fileUrl(entry.file, datasetVersion(entry)));
+  return stamp ? new Date(stamp) : null;
+}
+
+export function findDataset(manifest, id) {
+  return (
+    manifest.datasets.find((d) => d.id === id) ||
+    manifest.datasets.find((d) => d.id === manifest.default) ||
+    manifest.datasets[0]
+  );
+}
+
+/* ===== Vintage Diff ===== */
+// Walks countries → cities → periods → subMarkets / leasing of both vintages.
+function* cells(raw) {
+  for (const [country, countryNode] of Object.entries(raw?.countries || {})) {
+    for (const [city, cityNode] of Object.entries(countryNode.cities || {})) {
+      for (const [period, node] of Object.entries(cityNode.periods || {})) {
+        for (const [submarket, fields] of Object.entries(node.subMarkets || {})) {
+          yield { country, city, period, submarket, fields };
+        }
+        if (node.leasing) {
+          yield { country, city, period, submarket: "(leasing)", fields: node.leasing };
+        }
+      }
+    }
+  }
+}
+
+const cellId = (c) => `${c.country}|${c.city}|${c.period}|${c.submarket}`;
+
+function sameValue(a, b) {
+  const x = coerceNumber(a);
+  const y = coerceNumber(b);
+  if (x !== null && y !== null) {
+    return Math.abs(x - y) <= 1e-9 * Math.max(1, Math.abs(x), Math.abs(y));
+  }
+  return String(a) === String(b);
+}
+
+// Returns { revised, addedFields, droppedFields, newPeriods, removedPeriods }
+//   revised: [{ country, city, period, submarket, field, oldValue, newValue }]
+//   added / droppedFields: [{ country, city, period, submarket, field, value }],
+//     per cell of a period both datasets have (new / removed periods are
+//     listed as such, not field by field)
+//   new / removedPeriods: [{ country, city, period }]
+export function diffDatasets(oldRaw, newRaw) {
+  const periodId = (c) => `${c.country}|${c.city}|${c.period}`;
+  const index = (raw) => {
+    const byId = new Map();
+    const periods = new Set();
+    for (const c of cells(raw)) {
+      byId.set(cellId(c), c);
+      periods.add(periodId(c));
+    }
+    return { byId, periods };
+  };
+  const before = index(oldRaw);
+  const after = index(newRaw);
+
+  const revised = [];
+  for (const c of after.byId.values()) {
+    const prev = before.byId.get(cellId(c));
+    if (!prev) continue;
+    for (const [field, newValue] of Object.entries(c.fields)) {
+      if (!(field in prev.fields)) continue;
+      const oldValue = prev.fields[field];
+      if (!sameValue(oldValue, newValue)) {
+        const { country, city, period, submarket } = c;
+        revised.push({ country, city, period, submarket, field, oldValue, newValue });
+      }
+    }
+  }
+
+  // fields of a cell in `a` that the same cell in `b` lacks (a submarket
+  // missing from `b` lacks them all)
+  const fieldsOnlyIn = (a, b) => {
+    const out = [];
+    for (const c of a.byId.values()) {
+      if (!b.periods.has(periodId(c))) continue;
+      const other = b.byId.get(cellId(c))?.fields || {};
+      const { country, city, period, submarket } = c;
+      for (const [field, value] of Object.entries(c.fields)) {
+        if (!(field in other)) out.push({ country, city, period, submarket, field, value });
+      }
+    }
+    return out;
+  };
+
+  const periodsOnlyIn = (a, b) => {
+    const out = [];
+    for (const [country, countryNode] of Object.entries(a?.countries || {})) {
+      for (const [city, cityNode] of Object.entries(countryNode.cities || {})) {
+        const other = b?.countries?.[country]?.cities?.[city]?.periods || {};
+        for (const period of Object.keys(cityNode.periods || {})) {
+          if (!other[period]) out.push({ country, city, period });
+        }
+      }
+    }
+    return out.sort(
+      (x, y) => comparePeriods(x.period, y.period) || x.city.localeCompare(y.city)
+    );
+  };
+
+  return {
+    revised,
+    addedFields: fieldsOnlyIn(after, before),
+    droppedFields: fieldsOnlyIn(before, after),
+    newPeriods: periodsOnlyIn(newRaw, oldRaw),
+    removedPeriods: periodsOnlyIn(oldRaw, newRaw),
+  };
+}
@@ -0,0 +1,153 @@
+// src/derivedMetrics.js
+// Investment metrics derived from the published fields of each submarket
+// record (prime rent falls back to the leasing terms, see resolveMetric):
+//
+//   impliedCapitalValueEurSqm        annual prime rent ÷ prime yield
+//   reversionaryYield                annual prime rent ÷ published capital value
+//   yieldSpread                      prime yield − 10-year government bond yield (pp)
+//   rentFreeAdjustedRentEurSqmMonth  prime rent × (1 − rent-free months ÷ lease months)
+//
+// Like the currency and unit conversions they are added to a display copy of
+// the dataset, so panels, charts and rankings treat them as ordinary fields.
+//
+// Bond yields come from the bundled /bond_yields.json (quarter-end, percent)
+//
+//   { "rates": { "Q4 2025": { "Poland": 5.4, "Austria": 2.9, ... } } }
+//
+// or from values entered per country, which cover quarters the file lacks.
+import {
+  coerceNumber,
+  comparePeriods,
+  mapMarketFields,
+  rangeBounds,
+  resolveMetric,
+  toPercentValue,
+} from "./marketUtils.js";
+
+// `published`: field the derived value re-computes; `tolerance`: relative gap
+// to it that gets flagged. Capital values are rent ÷ yield by definition, while
+// published net effective rents also net off fit-out and other incentives.
+export const DERIVED_METRICS = [
+  {
+    key: "impliedCapitalValueEurSqm",
+    label: "Implied Capital Value (€/m²)",
+    unit: "€/m²",
+    kind: "money",
+    group: "Pricing",
+    published: "capitalValueEurSqm",
+    tolerance: 0.02,
+  },
+  {
+    key: "reversionaryYield",
+    label: "Reversionary Yield (%)",
+    unit: "%",
+    kind: "percent",
+    group: "Pricing",
+  },
+  {
+    key: "yieldSpread",
+    label: "Yield Spread vs. 10Y Bond (pp)",
+    unit: "pp",
+    kind: "number",
+    group: "Pricing",
+  },
+  {
+    key: "rentFreeAdjustedRentEurSqmMonth",
+    label: "Rent-Free Adjusted Net Effective Rent (€/m² pm)",
+    unit: "€/m² pm",
+    kind: "money",
+    group: "Pricing",
+    published: "netEffectiveRentEurSqmMonth",
+    tolerance: 0.1,
+  },
+];
+
+/* ===== Bond yields ===== */
+export function loadBondYields() {
+  return fetch("/bond_yields.json")
+    .then((r) => (r.ok ? r.json() : {}))
+    .then((b) => b?.rates || {})
+    .catch(() => ({}));
+}
+
+const BOND_KEY = "cbre-explorer.bondYields";
+
+// { [country]: percent } entered by the user
+export function loadUserBondYields() {
+  try {
+    return JSON.parse(localStorage.getItem(BOND_KEY)) || {};
+  } catch {
+    return {};
+  }
+}
+
+export function saveUserBondYields(yields) {
+  localStorage.setItem(BOND_KEY, JSON.stringify(yields));
+}
+
+// Bundled rate of the quarter (or the latest one before it), else the
+// user's value for the country
+export function bondYield(rates, userYields, country, period) {
+  const known = Object.keys(rates || {})
+    .filter((p) => coerceNumber(rates[p]?.[country]) !== null && comparePeriods(p, period) <= 0)
+    .sort(comparePeriods);
+  if (known.length) return coerceNumber(rates[known[known.length - 1]][country]);
+  return coerceNumber(userYields?.[country]);
+}
+
+/* ===== Engine ===== */
+// Lease terms are often ranges ("5-8"): use the midpoint
+const midpoint = (v) => rangeBounds(v)?.mid ?? null;
+
+// Derived values of one submarket of a period node; bond: percent or null
+export function deriveMetrics(node, submarket, bond) {
+  const num = (key) => coerceNumber(resolveMetric(node, submarket, key));
+  // EUR rents only: resolveMetric also falls back to primeRentLocal
+  const rent =
+    coerceNumber(node?.subMarkets?.[submarket]?.primeRentEurSqmMonth) ??
+    coerceNumber(node?.leasing?.primeRentEurSqmMonth);
+  const yieldPct = toPercentValue(resolveMetric(node, submarket, "primeYield"));
+  const capitalValue = num("capitalValueEurSqm");
+  // leaseLengthMonths is quoted in years, rentFreeMonthPerYear in months per lease
+  const leaseYears = midpoint(resolveMetric(node, submarket, "leaseLengthMonths"));
+  const rentFree = midpoint(resolveMetric(node, submarket, "rentFreeMonthPerYear"));
+
+  const out = {};
+  if (rent && yieldPct) out.impliedCapitalValueEurSqm = (rent * 12) / (yieldPct / 100);
+  if (rent && capitalValue) out.reversionaryYield = ((rent * 12) / capitalValue) * 100;
+  if (yieldPct !== null && bond !== null && bond !== undefined) {
+    out.yieldSpread = yieldPct - bond;
+  }
+  if (rent && leaseYears && rentFree !== null && rentFree < leaseYears * 12) {
+    out.rentFreeAdjustedRentEurSqmMonth = rent * (1 - rentFree / (leaseYears * 12));
+  }
+  return out;
+}
+
+// Display copy with the derived fields added to every submarket record;
+// bondOf(country, period) → percent or null
+export function addDerivedMetrics(raw, bondOf = () => null) {
+  return mapMarketFields(raw, (fields, { country, period, node, submarket }) =>
+    submarket === undefined
+      ? fields
+      : { ...fields, ...deriveMetrics(node, submarket, bondOf(country, period)) }
+  );
+}
+
+// Derived values that disagree with the field they re-compute, where the
+// record publishes it: [{ metric, field, published, derived, diff }]
+// (diff relative to the published value)
+export function publishedMismatches(node, submarket) {
+  const derived = deriveMetrics(node, submarket, null);
+  const out = [];
+  for (const def of DERIVED_METRICS) {
+    if (!def.published || derived[def.key] === undefined) continue;
+    const published = coerceNumber(node?.subMarkets?.[submarket]?.[def.published]);
+    if (!published) continue;
+    const diff = (derived[def.key] - published) / published;
+    if (Math.abs(diff) > def.tolerance) {
+      out.push({ metric: def.key, field: def.published, published, derived: derived[def.key], diff });
+    }
+  }
+  return out;
+}
@@ -0,0 +1,89 @@
+// src/exportData.js
+// Browser-side CSV / Excel export of the trend series and the snapshot panels.
+import { exportValueByKind } from "./marketUtils.js";
+
+/* ===== Table Builders ===== */
+// A table is { name, header: [...], rows: [[...], ...] }
+
+// series: [{ key, label: "Warsaw – Total", metric: { label, unit, kind } }, ...]
+export function buildTrendTable(mergedData, series) {
+  const unit = (m) => (m.unit ? ` (${m.unit})` : "");
+  return {
+    name: "Historical Trend",
+    header: ["Period", ...series.map((s) => `${s.label}${unit(s.metric)}`)],
+    rows: mergedData.map((d) => [
+      d.period,
+      ...series.map((s) => exportValueByKind(d[s.key], s.metric.kind)),
+    ]),
+  };
+}
+
+// sections: [{ title, rows: [{ key, label, kind }] }], g: value accessor
+export function buildSnapshotTable(sections, g, market) {
+  const rows = [];
+  for (const section of sections) {
+    for (const r of section.rows) {
+      rows.push([section.title, r.label, exportValueByKind(g(r.key), r.kind)]);
+    }
+  }
+  return {
+    name: "Snapshot",
+    header: ["Market", "Period", "Section", "Metric", "Value"],
+    rows: rows.map((r) => [market.label, market.period, ...r]),
+  };
+}
+
+/* ===== CSV ===== */
+function csvCell(v) {
+  if (v === null || v === undefined) return "";
+  const s = String(v);
+  return /[",\n;]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+export function tableToCsv(table) {
+  return [table.header, ...table.rows]
+    .map((row) => row.map(csvCell).join(","))
+    .join("\n");
+}
+
+/* ===== Downloads ===== */
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
+
+export function downloadCsv(table, filename) {
+  // BOM so Excel opens m² / € correctly
+  const blob = new Blob(["\uFEFF" + tableToCsv(table)], {
+    type: "text/csv;charset=utf-8",
+  });
+  downloadBlob(blob, filename);
+}
+
+// SheetJS is only loaded when somebody actually exports to Excel
+export function downloadXlsx(tables, filename) {
+  return import("xlsx").then((XLSX) => {
+    const wb = XLSX.utils.book_new();
+    for (const t of tables) {
+      const ws = XLSX.utils.aoa_to_sheet([t.header, ...t.rows]);
+      XLSX.utils.book_append_sheet(wb, ws, t.name.slice(0, 31));
+    }
+    XLSX.writeFile(wb, filename);
+  });
+}
+
+// "Warsaw – Total" → "warsaw-total"
+export function fileSlug(...parts) {
+  return parts
+    .filter(Boolean)
+    .join("-")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-|-$/g, "");
+}
@@ -0,0 +1,145 @@
+// src/forecast.js
+// Scenario forecaster: rolls a market forward from its latest period with
+// assumed quarterly net absorption and completions, and optionally
+// extrapolates prime rent. Everything runs client-side on the loaded data.
+import {
+  coerceNumber,
+  toPercentValue,
+  comparePeriods,
+  shiftPeriod,
+  resolveMetric,
+} from "./marketUtils.js";
+
+// Metrics the forecaster produces (chart series of the base market)
+export const FORECAST_METRICS = ["totalStock", "vacancy", "vacancyRate", "primeRentEurSqmMonth"];
+
+export const FORECAST_HORIZONS = [8, 12];
+
+export const RENT_MODELS = [
+  { key: "none", label: "No rent projection" },
+  { key: "trend", label: "Linear trend (last 8 quarters)" },
+  { key: "regression", label: "Regression on vacancy rate" },
+];
+
+// "trailing" = average of the last four quarters
+export const DEFAULT_SCENARIO = {
+  enabled: false,
+  horizon: 8,
+  absorption: "trailing",
+  completions: "trailing",
+  rentModel: "trend",
+};
+
+/* ===== History ===== */
+function marketHistory(raw, country, city, submarket) {
+  const periods = raw?.countries?.[country]?.cities?.[city]?.periods || {};
+  return Object.keys(periods)
+    .sort(comparePeriods)
+    .map((period) => {
+      const v = (key) => coerceNumber(resolveMetric(periods[period], submarket, key));
+      const totalStock = v("totalStock");
+      const rate = toPercentValue(resolveMetric(periods[period], submarket, "vacancyRate"));
+      let vacancy = v("vacancy");
+      if (vacancy === null && rate !== null && totalStock) vacancy = (rate / 100) * totalStock;
+      return {
+        period,
+        totalStock,
+        vacancy,
+        vacancyRate: rate,
+        netAbsorption: v("netAbsorption"),
+        // quarterly completions (see pipeline.js)
+        completions: v("completionsYTD"),
+        rent: v("primeRentEurSqmMonth"),
+      };
+    });
+}
+
+export function trailingAverage(history, key, quarters = 4) {
+  const values = history
+    .map((h) => h[key])
+    .filter((v) => v !== null)
+    .slice(-quarters);
+  return values.length ? values.reduce((a, b) => a + b, 0) / values.length : null;
+}
+
+// Ordinary least squares; null with fewer than three points or flat x
+function linearFit(xs, ys) {
+  const n = xs.length;
+  if (n < 3) return null;
+  const mx = xs.reduce((a, b) => a + b, 0) / n;
+  const my = ys.reduce((a, b) => a + b, 0) / n;
+  let sxx = 0;
+  let sxy = 0;
+  xs.forEach((x, i) => {
+    sxx += (x - mx) ** 2;
+    sxy += (x - mx) * (ys[i] - my);
+  });
+  return sxx ? { slope: sxy / sxx, intercept: my - (sxy / sxx) * mx } : null;
+}
+
+/* ===== Projection ===== */
+// scenario: { horizon, absorption, completions, rentModel }, where absorption /
+// completions are m² per quarter or "trailing".
+// Returns null without stock & vacancy in the latest period, else
+// { start, absorption, completions, rentSlope, rows: [{ period, totalStock,
+//   vacancy, vacancyRate, primeRentEurSqmMonth }] } — rows start with the
+// latest actual period so the dashed continuation joins the actuals.
+export function projectMarket(raw, country, city, submarket, scenario) {
+  const history = marketHistory(raw, country, city, submarket);
+  const last = history[history.length - 1];
+  if (!last || last.totalStock === null || last.vacancy === null) return null;
+
+  const assumption = (value, key) =>
+    value === "trailing" ? trailingAverage(history, key) ?? 0 : coerceNumber(value) ?? 0;
+  const absorption = assumption(scenario.absorption, "netAbsorption");
+  const completions = assumption(scenario.completions, "completions");
+
+  // --- rent model: slope per quarter (trend) or per vacancy point (regression) ---
+  let rentSlope = null;
+  if (scenario.rentModel === "trend") {
+    const recent = history.filter((h) => h.rent !== null).slice(-8);
+    rentSlope = linearFit(recent.map((_, i) => i), recent.map((h) => h.rent))?.slope ?? null;
+  }
+  if (scenario.rentModel === "regression" && last.vacancyRate !== null) {
+    const pairs = history.filter((h) => h.rent !== null && h.vacancyRate !== null);
+    rentSlope =
+      linearFit(pairs.map((h) => h.vacancyRate), pairs.map((h) => h.rent))?.slope ?? null;
+  }
+  const rentStart = history.filter((h) => h.rent !== null).pop()?.rent ?? null;
+
+  const rows = [
+    {
+      period: last.period,
+      totalStock: last.totalStock,
+      vacancy: last.vacancy,
+      vacancyRate: last.vacancyRate,
+      primeRentEurSqmMonth: rentSlope !== null ? rentStart : null,
+    },
+  ];
+  let stock = last.totalStock;
+  let vacancy = last.vacancy;
+  for (let h = 1; h <= scenario.horizon; h++) {
+    stock += completions;
+    vacancy = Math.min(Math.max(vacancy + completions - absorption, 0), stock);
+    const vacancyRate = stock ? (vacancy / stock) * 100 : null;
+
+    let rent = null;
+    if (rentSlope !== null && rentStart !== null) {
+      // anchored at the latest actual rent so the line continues without a jump
+      rent =
+        scenario.rentModel === "trend"
+          ? rentStart + rentSlope * h
+          : rentStart + rentSlope * (vacancyRate - last.vacancyRate);
+      rent = Math.max(rent, 0);
+    }
+    rows.push({
+      period: shiftPeriod(last.period, h),
+      totalStock: stock,
+      vacancy,
+      vacancyRate,
+      primeRentEurSqmMonth: rent,
+    });
+  }
+
+  return { start: last.period, absorption, completions, rentSlope, rows };
+}
@@ -0,0 +1,72 @@
+// src/i18n.js
+// UI language: translation catalogs (src/locales/*.js, flat "area.name"
+// keys with {param} placeholders) and the locale used for numbers, dates
+// and period labels. Missing keys fall back to English, then to the key.
+import en from "./locales/en.js";
+import de from "./locales/de.js";
+import pl from "./locales/pl.js";
+import cs from "./locales/cs.js";
+import hu from "./locales/hu.js";
+import ro from "./locales/ro.js";
+
+export const LANGUAGES = [
+  { key: "en", label: "English", locale: "en-GB" },
+  { key: "de", label: "Deutsch", locale: "de-DE" },
+  { key: "pl", label: "Polski", locale: "pl-PL" },
+  { key: "cs", label: "Čeština", locale: "cs-CZ" },
+  { key: "hu", label: "Magyar", locale: "hu-HU" },
+  { key: "ro", label: "Română", locale: "ro-RO" },
+];
+
+const CATALOGS = { en, de, pl, cs, hu, ro };
+
+/* ===== Active language (kept across sessions) ===== */
+const LANGUAGE_KEY = "cbre-explorer.language";
+
+function initialLanguage() {
+  try {
+    const saved = localStorage.getItem(LANGUAGE_KEY);
+    if (CATALOGS[saved]) return saved;
+    const browser = navigator.language.slice(0, 2);
+    return CATALOGS[browser] ? browser : "en";
+  } catch {
+    return "en";
+  }
+}
+
+let current = initialLanguage();
+
+export const getLanguage = () => current;
+
+// Components read the language while rendering; the caller re-renders
+// (DataExplorer keeps the language in state as well)
+export function setLanguage(lang) {
+  if (!CATALOGS[lang]) return;
+  current = lang;
+  localStorage.setItem(LANGUAGE_KEY, lang);
+  document.documentElement.lang = lang;
+}
+
+export const numberLocale = () => LANGUAGES.find((l) => l.key === current).locale;
+
+/* ===== Messages ===== */
+export function t(key, params) {
+  const msg = CATALOGS[current][key] ?? en[key] ?? key;
+  if (!params) return msg;
+  return msg.replace(/\{(\w+)\}/g, (m, name) => (name in params ? params[name] : m));
+}
+
+// Label of a keyed constant (metric, transform, check …): the catalog entry
+// "prefix.key" where one exists, otherwise the English label it carries
+export const tLabel = (prefix, item) =>
+  CATALOGS[current][`${prefix}.${item.key}`] ?? en[`${prefix}.${item.key}`] ?? item.label;
+
+/* ===== Periods ===== */
+const ROMAN = ["I", "II", "III", "IV"];
+
+// "Q4 2025" → "IV kw. 2025" (pl); data and URLs keep the "Qn YYYY" form
+export function fmtPeriod(period) {
+  const m = /^Q([1-4]) (\d{4})$/.exec(period || "");
+  if (!m) return period;
+  return t("period.format", { q: m[1], roman: ROMAN[m[1] - 1], year: m[2] });
+}
@@ -0,0 +1,83 @@
+// src/leaseDeal.js
+// Lease deal calculator: occupancy cost, face vs. effective rent and NPV of a
+// lease for one market, pre-filled from its leasing conditions. Lease length
+// (years) and rent-free (months per lease) are published as ranges ("5-7"),
+// so the low / mid / high scenarios take the matching bound of each.
+//
+// Cash flows are monthly in advance: rent after the rent-free months, service
+// charge for the whole term, the landlord's fit-out contribution up front.
+import { coerceNumber, rangeBounds, resolveMetric } from "./marketUtils.js";
+
+export const LEASE_SCENARIOS = [
+  { key: "low", label: "Low" },
+  { key: "mid", label: "Mid" },
+  { key: "high", label: "High" },
+];
+
+export const DEFAULT_DEAL = {
+  area: 1000,
+  fitOut: 0, // landlord contribution per area unit
+  discountRate: 6, // % per year
+  sqmPerWorkstation: 10,
+};
+
+// Inputs of a period node / submarket (rents and service charge in the
+// node's units); 0 terms count as not published
+export function dealDefaults(node, submarket) {
+  const bounds = (key) => {
+    const b = rangeBounds(resolveMetric(node, submarket, key));
+    return b && b.high > 0 ? b : null;
+  };
+  const term = bounds("leaseLengthMonths");
+  const rentFree = bounds("rentFreeMonthPerYear");
+  return {
+    // not resolveMetric: its primeRentLocal fallback is in another currency
+    rent:
+      coerceNumber(node?.subMarkets?.[submarket]?.primeRentEurSqmMonth) ??
+      coerceNumber(node?.leasing?.primeRentEurSqmMonth),
+    serviceCharge: bounds("serviceChargeEurSqmMonth")?.mid ?? 0,
+    scenarios: Object.fromEntries(
+      LEASE_SCENARIOS.map(({ key }) => [
+        key,
+        { termYears: term?.[key] ?? null, rentFreeMonths: rentFree?.[key] ?? 0 },
+      ])
+    ),
+  };
+}
+
+// { area, rent, serviceCharge, fitOut, discountRate, termYears, rentFreeMonths,
+//   workstations } → totals over the term, rents per area unit and month,
+// NPVs at the discount rate; null without a term, area or rent
+export function evaluateLease(deal) {
+  const { area, rent, serviceCharge = 0, fitOut = 0, discountRate = 0, workstations } = deal;
+  const months = Math.round((deal.termYears || 0) * 12);
+  if (!months || !area || !rent) return null;
+  const freeMonths = Math.min(Math.max(deal.rentFreeMonths || 0, 0), months);
+
+  const totalRent = rent * area * (months - freeMonths);
+  const totalServiceCharge = serviceCharge * area * months;
+  const contribution = fitOut * area;
+  const totalCost = totalRent + totalServiceCharge - contribution;
+
+  const monthlyRate = Math.pow(1 + discountRate / 100, 1 / 12) - 1;
+  let pvRent = 0;
+  let pvServiceCharge = 0;
+  for (let m = 0; m < months; m++) {
+    const df = Math.pow(1 + monthlyRate, -m);
+    if (m >= freeMonths) pvRent += rent * area * df;
+    pvServiceCharge += serviceCharge * area * df;
+  }
+
+  return {
+    months,
+    totalRent,
+    totalServiceCharge,
+    totalCost,
+    faceRent: rent,
+    effectiveRent: (totalRent - contribution) / (area * months),
+    // tenant: cost of occupation; landlord: rental income net of incentives
+    tenantNpv: pvRent + pvServiceCharge - contribution,
+    landlordNpv: pvRent - contribution,
+    costPerWorkstation: workstations > 0 ? totalCost / (months / 12) / workstations : null,
+  };
+}
@@ -0,0 +1,354 @@
+// src/locales/cs.js
+export default {
+  "period.format": "{q}Q {year}",
+
+  /* --- App frame --- */
+  "app.title.Office": "Trh kancelářských prostor – {city}",
+  "app.title.Industrial": "Trh průmyslových a logistických prostor – {city}",
+  "app.title.Retail": "Maloobchodní trh – {city}",
+  "app.title.Residential": "Rezidenční trh – {city}",
+  "app.market": "Trh",
+  "app.loading": "Načítání…",
+  "app.dataset": "Datová sada",
+  "app.currency": "Měna",
+  "app.currencyHint":
+    "Peněžní hodnoty přepočtené kurzem ke konci čtvrtletí; místní prime nájmy v kótované měně",
+  "app.units": "Jednotky",
+  "app.rentPeriodHint": "Nájemné a poplatky za služby",
+  "app.language": "Jazyk",
+  "app.imported": "Obsahuje importované soubory: {files} (neuloženo).",
+  "app.qualityBanner": "Zjištění ke kvalitě dat v této sadě: {n}.",
+  "app.offline": "Offline – data k {asOf}.",
+  "app.fetchedAt": "Staženo {date}.",
+  "app.updateAvailable": "Je k dispozici novější verze: {label}; jejím načtením se importované řádky zahodí.",
+  "app.loadUpdate": "Načíst aktualizaci",
+  "app.details": "Podrobnosti",
+  "sector.Office": "Kanceláře",
+  "sector.Industrial": "Průmysl a logistika",
+  "sector.Retail": "Maloobchod",
+  "sector.Residential": "Rezidenční",
+  "sector.noData": "bez dat",
+
+  "tab.explorer": "Průzkumník",
+  "tab.dashboard": "Přehled",
+  "tab.ranking": "Žebříček",
+  "tab.map": "Mapa",
+  "tab.pipeline": "Výstavba",
+  "tab.composition": "Struktura",
+  "tab.diff": "Změny",
+  "tab.report": "Zpráva",
+  "tab.quality": "Kvalita dat",
+  "tab.import": "Import",
+
+  "common.country": "Země",
+  "common.city": "Město",
+  "common.submarket": "Submarket",
+  "common.period": "Čtvrtletí",
+  "common.allCities": "Všechna města",
+  "common.openInExplorer": "Otevřít v průzkumníku",
+  "common.showMore": "Zobrazit další (zbývá {n})",
+
+  "group.Stock": "Fond",
+  "group.Vacancy": "Neobsazenost",
+  "group.Demand": "Poptávka",
+  "group.Pipeline": "Výstavba",
+  "group.Pricing": "Ceny",
+  "group.Other": "Ostatní",
+
+  "change.qoq": "Δ mezičtvrtletně",
+  "change.yoy": "Δ meziročně",
+  "unit.pp": "p. b.",
+
+  /* --- Metrics --- */
+  "metric.totalStock": "Celkový fond (m²)",
+  "metric.vacancy": "Neobsazené plochy (m²)",
+  "metric.vacancyRate": "Míra neobsazenosti (%)",
+  "metric.takeUp": "Hrubá realizovaná poptávka (m²)",
+  "metric.netAbsorption": "Čistá absorpce (m²)",
+  "metric.completionsYTD": "Dokončené plochy (m²)",
+  "metric.underConstruction": "Ve výstavbě (m²)",
+  "metric.primeYield": "Prime výnos – místní konvence (%)",
+  "metric.capitalValueEurSqm": "Kapitálová hodnota (€/m²)",
+  "metric.primeRentEurSqmMonth": "Prime nájemné (€/m² pm)",
+  "metric.averageRentEurSqmMonth": "Průměrné nájemné (€/m² pm)",
+  "metric.netEffectiveRentEurSqmMonth": "Čisté efektivní nájemné (€/m² pm)",
+  "metric.netAverageAskingRentEurSqmMonth": "Průměrné čisté nabídkové nájemné (€/m² pm)",
+  "metric.serviceChargeEurSqmMonth": "Poplatky za služby (€/m² pm)",
+  "metric.leaseLengthMonths": "Obvyklá délka nájmu (roky)",
+  "metric.rentFreeMonthPerYear": "Obvyklé období bez nájmu (měsíce)",
+  "metric.primeRentSmallUnitsEurSqmMonth": "Prime nájemné – malé jednotky (€/m² pm)",
+  "metric.zoneARentEurSqmMonth": "Prime nájemné zóny A – hlavní třídy (€/m² pm)",
+  "metric.shoppingCentrePrimeRentEurSqmMonth": "Prime nájemné – nákupní centra (€/m² pm)",
+  "metric.averageSalePriceEurSqm": "Průměrná prodejní cena (€/m²)",
+  "metric.impliedCapitalValueEurSqm": "Implikovaná kapitálová hodnota (€/m²)",
+  "metric.reversionaryYield": "Reverzní výnos (%)",
+  "metric.yieldSpread": "Výnosový rozdíl vůči 10letým dluhopisům (pp)",
+  "metric.rentFreeAdjustedRentEurSqmMonth": "Efektivní nájemné očištěné o bezplatné období (€/m² pm)",
+
+  "snapshot.market": "Tržní ukazatele",
+  "snapshot.leasing": "Nájemní podmínky",
+  "snapshot.more": "Další ukazatele",
+  "snapshot.derived": "Odvozené ukazatele",
+  "derived.bondYield": "Výnos 10letých státních dluhopisů, {country} (%)",
+  "derived.mismatch": "Zveřejněno {published}, odvozeno {derived} ({diff})",
+
+  /* --- Explorer --- */
+  "trend.title": "Historický vývoj",
+  "trend.bar": "Sloupce",
+  "trend.line": "Čára",
+  "trend.leftAxis": "levá osa",
+  "trend.rightAxis": "pravá osa",
+  "trend.addMetric": "Přidat ukazatel",
+  "trend.startPeriod": "Od",
+  "trend.endPeriod": "Do",
+  "trend.perAnnum": "p. a.",
+
+  "transform.raw": "Hodnoty",
+  "transform.qoq": "Mezičtvrtletní změna",
+  "transform.yoy": "Meziroční změna",
+  "transform.index": "Index (počáteční čtvrtletí = 100)",
+  "transform.roll4sum": "Klouzavý součet 4 čtvrtletí",
+  "transform.roll4avg": "Klouzavý průměr 4 čtvrtletí",
+
+  "scenario.title": "Scénářová prognóza pro {market}",
+  "scenario.horizon": "Horizont",
+  "scenario.quarters": "Čtvrtletí: {n}",
+  "scenario.absorption": "Čistá absorpce / čtvrtletí",
+  "scenario.completions": "Dokončení / čtvrtletí",
+  "scenario.primeRent": "Prime nájemné",
+  "scenario.trailing": "Průměr posledních 4 čtvrtletí",
+  "scenario.custom": "Vlastní hodnota",
+  "scenario.summary":
+    "Od {start}: čistá absorpce {absorption} a dokončení {completions} za čtvrtletí.",
+  "scenario.setEnd": "Pro zobrazení prognózy nastavte „Do“ na {period}.",
+  "scenario.selectMetric":
+    "Pro zobrazení prognózy zvolte celkový fond, neobsazené plochy, míru neobsazenosti nebo prime nájemné.",
+  "scenario.noData":
+    "V posledním čtvrtletí tohoto trhu chybí fond / neobsazenost, není co prognózovat.",
+  "scenario.forecast": "prognóza",
+  "scenario.forecastMarker": "Prognóza",
+  "rentModel.none": "Bez prognózy nájemného",
+  "rentModel.trend": "Lineární trend (posledních 8 čtvrtletí)",
+  "rentModel.regression": "Regrese na míru neobsazenosti",
+  "rentPeriod.month": "měsíčně",
+  "rentPeriod.year": "ročně",
+
+  "compare.market": "Trh {n}",
+  "compare.moveUp": "Posunout nahoru",
+  "compare.moveDown": "Posunout dolů",
+  "compare.remove": "Odebrat",
+  "compare.add": "Přidat trh",
+  "compare.addAll": "Přidat všechna města: {country}",
+
+  "export.factSheet": "Přehled trhu (PDF)",
+  "export.footer":
+    "Zdroj: CBRE Research · Data k {period} · Měna: {currency} · Vytvořeno {date}",
+
+  /* --- Saved Views / Dashboard --- */
+  "saved.save": "Uložit pohled",
+  "saved.namePrompt": "Název uloženého pohledu",
+  "saved.openPlaceholder": "Uložené pohledy…",
+  "saved.name": "Název",
+  "saved.open": "Otevřít",
+  "saved.export": "Exportovat pohledy",
+  "saved.import": "Importovat pohledy",
+  "saved.invalidFile": "{file} není soubor s uloženými pohledy.",
+  "dashboard.title": "Můj přehled",
+  "dashboard.favorite": "V přehledu",
+  "dashboard.empty":
+    "V přehledu zatím nejsou žádné pohledy – přidejte je tlačítkem „☆ Uložit pohled“ na libovolné stránce.",
+  "dashboard.footnote":
+    "Každá karta ukazuje první ukazatel trendu pohledu ★ od počátečního po nejnovější čtvrtletí; kliknutím na kartu pohled otevřete.",
+
+  /* --- Lease Deal Calculator --- */
+  "lease.title": "Kalkulačka nájemní smlouvy",
+  "lease.area": "Plocha ({unit})",
+  "lease.rent": "Nominální nájemné ({unit})",
+  "lease.serviceCharge": "Servisní poplatek ({unit})",
+  "lease.fitOut": "Příspěvek pronajímatele na fit-out ({unit})",
+  "lease.discountRate": "Diskontní sazba (% p. a.)",
+  "lease.areaPerWorkstation": "Plocha na pracovní místo ({unit})",
+  "lease.noRent": "Pro tento trh není zveřejněno prime nájemné – zadejte nominální nájemné.",
+  "lease.termYears": "Doba nájmu (roky)",
+  "lease.rentFreeMonths": "Období bez nájemného (měsíce)",
+  "lease.totalRent": "Nájemné celkem",
+  "lease.totalServiceCharge": "Servisní poplatky celkem",
+  "lease.totalCost": "Celkové náklady na obsazení",
+  "lease.faceRent": "Nominální nájemné",
+  "lease.effectiveRent": "Efektivní nájemné",
+  "lease.tenantNpv": "Současná hodnota nákladů (nájemce)",
+  "lease.landlordNpv": "Současná hodnota čistého nájemného (pronajímatel)",
+  "lease.costPerWorkstation": "Náklady na pracovní místo ročně",
+  "lease.footnote":
+    "Nízká / střední / vysoká varianta používá meze zveřejněných rozpětí doby nájmu a období bez nájemného. Nájemné se platí měsíčně předem po období bez nájemného, servisní poplatek po celou dobu; příspěvek na fit-out na začátku.",
+  "leaseScenario.low": "Nízká",
+  "leaseScenario.mid": "Střední",
+  "leaseScenario.high": "Vysoká",
+
+  /* --- Quarterly Report --- */
+  "report.title": "Čtvrtletní zpráva o trhu",
+  "report.market": "Město",
+  "report.period": "Čtvrtletí",
+  "report.commentary": "Komentář",
+  "report.metric": "Ukazatel",
+  "report.copy": "Kopírovat Markdown",
+  "report.copied": "Zkopírováno",
+  "report.copyFailed": "Kopírování zde není povoleno – označte Markdown níže a zkopírujte jej.",
+  "report.noData": "Pro {city} nejsou za {period} žádná data.",
+  "report.bps": "{n} bb",
+  "report.change.up": "nárůst o {delta}",
+  "report.change.upSlight": "mírný nárůst o {delta}",
+  "report.change.upSharp": "výrazný nárůst o {delta}",
+  "report.change.down": "pokles o {delta}",
+  "report.change.downSlight": "mírný pokles o {delta}",
+  "report.change.downSharp": "výrazný pokles o {delta}",
+  "report.record.high": " – nejvýše od začátku řady ({start})",
+  "report.record.low": " – nejníže od začátku řady ({start})",
+  "report.record.highSince": " – nejvýše od {period}",
+  "report.record.lowSince": " – nejníže od {period}",
+  "report.headline": "{vacancy}; poptávka: {takeUp}",
+  "report.takeUpOnly": "{city} – poptávka: {takeUp}",
+  "report.vacancyRate": "{city} – míra neobsazenosti: {change} mezičtvrtletně na {value}{record}",
+  "report.vacancyRate.flat":
+    "{city} – míra neobsazenosti mezičtvrtletně beze změny: {value}{record}",
+  "report.takeUp": "{value} ({delta} meziročně){record}",
+  "report.takeUp.flat": "{value}, na úrovni před rokem{record}",
+  "report.netAbsorption.positive": "čistá absorpce kladná: {value}",
+  "report.netAbsorption.negative": "čistá absorpce záporná: {value}",
+  "report.primeRentEurSqmMonth": "prime nájemné: {change} meziročně na {value}{record}",
+  "report.primeRentEurSqmMonth.flat": "prime nájemné meziročně beze změny: {value}{record}",
+  "report.primeYield": "prime výnos: {change} mezičtvrtletně na {value}{record}",
+  "report.primeYield.flat": "prime výnos mezičtvrtletně stabilní: {value}{record}",
+  "report.supply": "nová nabídka ve čtvrtletí: {completions}, ve výstavbě: {pipeline}",
+  "report.supply.completedOnly": "nová nabídka ve čtvrtletí: {completions}",
+  "report.supply.none": "ve čtvrtletí nebyla dokončena žádná nová nabídka, ve výstavbě: {pipeline}",
+  "report.supply.pipelineOnly": "ve výstavbě: {pipeline}",
+
+  /* --- Ranking / Map --- */
+  "ranking.title": "Žebříček trhů",
+  "ranking.rank": "Pořadí",
+  "ranking.includeSubmarkets": "Zahrnout submarkety",
+  "ranking.empty": "Žádné hodnoty {metric} za {period}.",
+
+  "map.title": "Mapa trhů",
+  "map.loading": "Načítání mapy…",
+  "map.geometryError": "Geometrie mapy: {error}",
+
+  /* --- Pipeline --- */
+  "pipeline.title": "Developerská výstavba",
+  "pipeline.ytd": "od začátku roku",
+  "pipeline.completed": "Dokončeno",
+  "pipeline.forecast": "Prognóza",
+  "pipeline.noForecast":
+    "Tato sada neobsahuje prognózu dokončení; níže uvedená výstavba jsou plochy ve výstavbě.",
+  "pipeline.stock": "Celkový fond ({period})",
+  "pipeline.underConstruction": "Ve výstavbě",
+  "pipeline.forecastAhead": "Prognózovaná dokončení, která teprve přijdou",
+  "pipeline.forecastCompletions": "Prognózovaná dokončení",
+  "pipeline.growth": "Očekávaný růst fondu",
+  "pipeline.absorption4Q": "Čistá absorpce, poslední 4 čtvrtletí",
+  "pipeline.pressureRatio": "Tlak nabídky (výstavba ÷ roční absorpce: {ratio})",
+  "pipeline.years": "{n} let",
+  "pipeline.col.stock": "Fond",
+  "pipeline.col.pipeline": "Výstavba",
+  "pipeline.col.growth": "Růst fondu",
+  "pipeline.col.absorption": "Čistá absorpce 4Q",
+  "pipeline.col.years": "Roky absorpce",
+  "pipeline.col.pressure": "Tlak nabídky",
+  "pipeline.footnote":
+    "Výstavba = prognózovaná dokončení, pokud je sada obsahuje, jinak plochy ve výstavbě.",
+  "pressure.low": "Nízký",
+  "pressure.moderate": "Střední",
+  "pressure.high": "Vysoký",
+
+  /* --- Composition --- */
+  "composition.title": "Struktura submarketů",
+  "composition.empty": "{city} za {period} nevykazuje žádné submarkety.",
+  "composition.nested":
+    "Submarkety se zde překrývají (např. centrální oblast zahrnující CBD): sloupce ukazují podíl na součtu submarketů a podíly na celku města dávají dohromady více než 100 %.",
+  "composition.share": "Podíl",
+  "composition.cityTotal": "Celé město",
+  "composition.field.totalStock": "Fond",
+  "composition.field.vacancy": "Neobsazenost",
+  "composition.field.takeUp": "Poptávka",
+
+  /* --- What Changed --- */
+  "diff.title": "Změny",
+  "diff.comparing": "Porovnávání…",
+  "diff.summary":
+    "Revidované hodnoty: {revised} · nová čtvrtletí: {periods} · přidaná pole: {added} · odebraná pole: {dropped}",
+  "diff.newPeriods": "Nová čtvrtletí",
+  "diff.removedPeriods": "Odebraná čtvrtletí",
+  "diff.fieldChanges": "Přidaná a odebraná pole",
+  "diff.change": "Změna",
+  "diff.added": "přidáno",
+  "diff.dropped": "odebráno",
+  "diff.value": "Hodnota",
+  "diff.revisedValues": "Revidované hodnoty",
+  "diff.allFields": "Všechna pole",
+  "diff.field": "Pole",
+  "diff.old": "Původně",
+  "diff.new": "Nově",
+  "diff.none": "Žádné revidované hodnoty.",
+
+  /* --- Data Quality --- */
+  "quality.title": "Kvalita dat",
+  "quality.findings": "zjištění: {n}",
+  "quality.allChecks": "Všechny kontroly",
+  "quality.check": "Kontrola",
+  "quality.finding": "Zjištění",
+  "quality.none": "Žádná zjištění.",
+  "check.structure": "Struktura",
+  "check.missingPeriod": "Chybějící čtvrtletí",
+  "check.nonNumeric": "Nečíselná hodnota",
+  "check.outOfRange": "Mimo rozsah",
+  "check.vacancyMismatch": "Neobsazenost ≠ míra × fond",
+  "check.submarketSum": "Submarkety ≠ celek",
+  "check.percentAmbiguous": "Nejednoznačné procento / podíl",
+  "check.derivedMismatch": "Zveřejněno ≠ odvozeno",
+  "finding.noCountries": "Chybí objekt „countries“ na nejvyšší úrovni",
+  "finding.noCities": "Země nemá objekt „cities“",
+  "finding.noPeriods": "Město nemá „periods“",
+  "finding.badPeriodKey": "Klíč období „{period}“ není ve tvaru „Qn RRRR“",
+  "finding.noSubMarkets": "Období nemá „subMarkets“",
+  "finding.noTotal": "Chybí submarket „{total}“",
+  "finding.missingPeriod": "{period} chybí",
+  "finding.notNumeric": "{field} není číslo: „{value}“",
+  "finding.outOfRange": "{field} = {value} mimo rozsah {min} … {max}",
+  "finding.derivedMismatch": "{field} {published} vs. odvozeno {derived} ({diff})",
+  "finding.vacancyMismatch": "neobsazenost {vacancy} vs. míra × fond {implied}",
+  "finding.submarketOverlap": "Submarkety se překrývají (vnořené), kontrola součtu vynechána",
+  "finding.submarketSum": "součet submarketů {sum} vs. celek {total}",
+  "finding.percentAmbiguous": "{field} = {value} se čte jako {percent} %",
+
+  /* --- Import --- */
+  "import.title": "Import tabulky",
+  "import.noData": "Soubor neobsahuje žádná data",
+  "import.dropZone": "Přetáhněte sem export .xlsx nebo .csv, nebo klikněte a vyberte soubor",
+  "import.headerRow": "Řádek záhlaví",
+  "import.dataRows": "datové řádky: {n}",
+  "import.savedMapping": "použito uložené mapování",
+  "import.columnMapping": "Mapování sloupců",
+  "import.column": "Sloupec",
+  "import.firstValue": "První hodnota",
+  "import.mapsTo": "Mapovat na",
+  "import.ignore": "ignorovat",
+  "import.market": "Trh",
+  "import.fields": "Pole",
+  "import.preview": "Náhled",
+  "import.values": "hodnoty: {n}",
+  "import.rowsSkipped": "přeskočené řádky: {n}",
+  "import.status": "Stav",
+  "import.submarkets": "Submarkety",
+  "import.valuesCol": "Hodnoty",
+  "import.differ": "Liší se od načtených",
+  "import.skipped": "Přeskočeno",
+  "import.row": "řádek {n}",
+  "import.skip.noMarket": "Chybí země, město nebo čtvrtletí",
+  "import.skip.noValues": "Žádné přiřazené hodnoty",
+  "import.overwrite": "Přepsat hodnoty, které se liší od načtené sady",
+  "import.merge": "Sloučit do sady",
+  "import.status.new market": "nový trh",
+  "import.status.new period": "nové čtvrtletí",
+  "import.status.update": "aktualizace",
+};
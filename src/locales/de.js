@@ -0,0 +1,358 @@
+// src/locales/de.js
+export default {
+  "period.format": "Q{q} {year}",
+
+  /* --- App frame --- */
+  "app.title.Office": "Büromarkt {city}",
+  "app.title.Industrial": "Industrie- und Logistikmarkt {city}",
+  "app.title.Retail": "Einzelhandelsmarkt {city}",
+  "app.title.Residential": "Wohnungsmarkt {city}",
+  "app.market": "Markt",
+  "app.loading": "Wird geladen…",
+  "app.dataset": "Datenstand",
+  "app.currency": "Währung",
+  "app.currencyHint":
+    "Geldwerte zum Wechselkurs am Quartalsende umgerechnet; lokale Spitzenmieten wie notiert",
+  "app.units": "Einheiten",
+  "app.rentPeriodHint": "Mieten und Nebenkosten",
+  "app.language": "Sprache",
+  "app.imported": "Enthält importierte Dateien: {files} (nicht gespeichert).",
+  "app.qualityBanner": "Datenqualitäts-Hinweise in diesem Datensatz: {n}.",
+  "app.offline": "Offline – Datenstand {asOf}.",
+  "app.fetchedAt": "Heruntergeladen am {date}.",
+  "app.updateAvailable": "Eine neuere Version von {label} ist verfügbar; beim Laden gehen die importierten Zeilen verloren.",
+  "app.loadUpdate": "Aktualisierung laden",
+  "app.details": "Details",
+  "sector.Office": "Büro",
+  "sector.Industrial": "Industrie & Logistik",
+  "sector.Retail": "Einzelhandel",
+  "sector.Residential": "Wohnen",
+  "sector.noData": "keine Daten",
+
+  "tab.explorer": "Explorer",
+  "tab.dashboard": "Dashboard",
+  "tab.ranking": "Ranking",
+  "tab.map": "Karte",
+  "tab.pipeline": "Pipeline",
+  "tab.composition": "Zusammensetzung",
+  "tab.diff": "Änderungen",
+  "tab.report": "Bericht",
+  "tab.quality": "Datenqualität",
+  "tab.import": "Import",
+
+  "common.country": "Land",
+  "common.city": "Stadt",
+  "common.submarket": "Teilmarkt",
+  "common.period": "Quartal",
+  "common.allCities": "Alle Städte",
+  "common.openInExplorer": "Im Explorer öffnen",
+  "common.showMore": "Mehr anzeigen (noch {n})",
+
+  "group.Stock": "Bestand",
+  "group.Vacancy": "Leerstand",
+  "group.Demand": "Nachfrage",
+  "group.Pipeline": "Pipeline",
+  "group.Pricing": "Preise",
+  "group.Other": "Sonstiges",
+
+  "change.qoq": "Δ ggü. Vorquartal",
+  "change.yoy": "Δ ggü. Vorjahr",
+  "unit.pp": "Pp.",
+
+  /* --- Metrics --- */
+  "metric.totalStock": "Flächenbestand (m²)",
+  "metric.vacancy": "Leerstand (m²)",
+  "metric.vacancyRate": "Leerstandsquote (%)",
+  "metric.takeUp": "Flächenumsatz (m²)",
+  "metric.netAbsorption": "Nettoabsorption (m²)",
+  "metric.completionsYTD": "Fertigstellungen (m²)",
+  "metric.underConstruction": "Im Bau (m²)",
+  "metric.primeYield": "Spitzenrendite – lokale Konvention (%)",
+  "metric.capitalValueEurSqm": "Kapitalwert (€/m²)",
+  "metric.primeRentEurSqmMonth": "Spitzenmiete (€/m² pm)",
+  "metric.averageRentEurSqmMonth": "Durchschnittsmiete (€/m² pm)",
+  "metric.netEffectiveRentEurSqmMonth": "Netto-Effektivmiete (€/m² pm)",
+  "metric.netAverageAskingRentEurSqmMonth": "Durchschn. Angebotsmiete netto (€/m² pm)",
+  "metric.serviceChargeEurSqmMonth": "Nebenkosten (€/m² pm)",
+  "metric.leaseLengthMonths": "Übliche Mietvertragslaufzeit (Jahre)",
+  "metric.rentFreeMonthPerYear": "Übliche mietfreie Zeit (Monate)",
+  "metric.primeRentSmallUnitsEurSqmMonth": "Spitzenmiete – kleine Einheiten (€/m² pm)",
+  "metric.zoneARentEurSqmMonth": "Spitzenmiete Zone A – Highstreet (€/m² pm)",
+  "metric.shoppingCentrePrimeRentEurSqmMonth": "Spitzenmiete – Einkaufszentren (€/m² pm)",
+  "metric.averageSalePriceEurSqm": "Durchschnittlicher Kaufpreis (€/m²)",
+  "metric.impliedCapitalValueEurSqm": "Impliziter Kapitalwert (€/m²)",
+  "metric.reversionaryYield": "Reversionsrendite (%)",
+  "metric.yieldSpread": "Renditeabstand zu 10J-Anleihen (pp)",
+  "metric.rentFreeAdjustedRentEurSqmMonth": "Um mietfreie Zeit bereinigte Effektivmiete (€/m² pm)",
+
+  "snapshot.market": "Marktkennzahlen",
+  "snapshot.leasing": "Vermietungskonditionen",
+  "snapshot.more": "Weitere Kennzahlen",
+  "snapshot.derived": "Abgeleitete Kennzahlen",
+  "derived.bondYield": "Rendite 10-jähriger Staatsanleihen, {country} (%)",
+  "derived.mismatch": "Veröffentlicht {published} vs. abgeleitet {derived} ({diff})",
+
+  /* --- Explorer --- */
+  "trend.title": "Historische Entwicklung",
+  "trend.bar": "Balken",
+  "trend.line": "Linie",
+  "trend.leftAxis": "linke Achse",
+  "trend.rightAxis": "rechte Achse",
+  "trend.addMetric": "Kennzahl hinzufügen",
+  "trend.startPeriod": "Von",
+  "trend.endPeriod": "Bis",
+  "trend.perAnnum": "p. a.",
+
+  "transform.raw": "Werte",
+  "transform.qoq": "Veränderung ggü. Vorquartal",
+  "transform.yoy": "Veränderung ggü. Vorjahr",
+  "transform.index": "Indexiert (Startquartal = 100)",
+  "transform.roll4sum": "Gleitende 4-Quartals-Summe",
+  "transform.roll4avg": "Gleitender 4-Quartals-Durchschnitt",
+
+  "scenario.title": "Szenario-Prognose für {market}",
+  "scenario.horizon": "Horizont",
+  "scenario.quarters": "{n} Quartale",
+  "scenario.absorption": "Nettoabsorption / Quartal",
+  "scenario.completions": "Fertigstellungen / Quartal",
+  "scenario.primeRent": "Spitzenmiete",
+  "scenario.trailing": "Ø letzte 4 Quartale",
+  "scenario.custom": "Eigener Wert",
+  "scenario.summary":
+    "Ab {start}: {absorption} Nettoabsorption und {completions} Fertigstellungen je Quartal.",
+  "scenario.setEnd": "Für die Prognose „Bis“ auf {period} setzen.",
+  "scenario.selectMetric":
+    "Für die Prognose Flächenbestand, Leerstand, Leerstandsquote oder Spitzenmiete wählen.",
+  "scenario.noData":
+    "Kein Bestand / Leerstand im letzten Quartal dieses Marktes, keine Prognose möglich.",
+  "scenario.forecast": "Prognose",
+  "scenario.forecastMarker": "Prognose",
+  "rentModel.none": "Keine Mietprognose",
+  "rentModel.trend": "Linearer Trend (letzte 8 Quartale)",
+  "rentModel.regression": "Regression auf die Leerstandsquote",
+  "rentPeriod.month": "pro Monat",
+  "rentPeriod.year": "pro Jahr",
+
+  "compare.market": "Markt {n}",
+  "compare.moveUp": "Nach oben",
+  "compare.moveDown": "Nach unten",
+  "compare.remove": "Entfernen",
+  "compare.add": "Markt hinzufügen",
+  "compare.addAll": "Alle Städte in {country} hinzufügen",
+
+  "export.factSheet": "Factsheet (PDF)",
+  "export.footer":
+    "Quelle: CBRE Research · Datenstand {period} · Währung: {currency} · Erstellt am {date}",
+
+  /* --- Saved Views / Dashboard --- */
+  "saved.save": "Ansicht speichern",
+  "saved.namePrompt": "Name der gespeicherten Ansicht",
+  "saved.openPlaceholder": "Gespeicherte Ansichten…",
+  "saved.name": "Name",
+  "saved.open": "Öffnen",
+  "saved.export": "Ansichten exportieren",
+  "saved.import": "Ansichten importieren",
+  "saved.invalidFile": "{file} ist keine Datei mit gespeicherten Ansichten.",
+  "dashboard.title": "Mein Dashboard",
+  "dashboard.favorite": "Im Dashboard",
+  "dashboard.empty":
+    "Noch keine Ansichten im Dashboard – mit „☆ Ansicht speichern“ auf jeder Seite eine hinzufügen.",
+  "dashboard.footnote":
+    "Jede Karte zeigt die erste Trendkennzahl einer ★-Ansicht vom Startquartal bis zum neuesten Quartal; Klick auf eine Karte öffnet die Ansicht.",
+
+  /* --- Lease Deal Calculator --- */
+  "lease.title": "Mietvertragsrechner",
+  "lease.area": "Fläche ({unit})",
+  "lease.rent": "Nominalmiete ({unit})",
+  "lease.serviceCharge": "Nebenkosten ({unit})",
+  "lease.fitOut": "Ausbaukostenzuschuss des Vermieters ({unit})",
+  "lease.discountRate": "Diskontierungszins (% p. a.)",
+  "lease.areaPerWorkstation": "Fläche pro Arbeitsplatz ({unit})",
+  "lease.noRent":
+    "Für diesen Markt ist keine Spitzenmiete veröffentlicht – bitte Nominalmiete eingeben.",
+  "lease.termYears": "Laufzeit (Jahre)",
+  "lease.rentFreeMonths": "Mietfreie Zeit (Monate)",
+  "lease.totalRent": "Miete gesamt",
+  "lease.totalServiceCharge": "Nebenkosten gesamt",
+  "lease.totalCost": "Flächenkosten gesamt",
+  "lease.faceRent": "Nominalmiete",
+  "lease.effectiveRent": "Effektivmiete",
+  "lease.tenantNpv": "Barwert der Flächenkosten (Mieter)",
+  "lease.landlordNpv": "Barwert der Nettomiete (Vermieter)",
+  "lease.costPerWorkstation": "Flächenkosten pro Arbeitsplatz p. a.",
+  "lease.footnote":
+    "Niedrig / Mittel / Hoch verwenden die Grenzen der veröffentlichten Spannen für Laufzeit und mietfreie Zeit. Die Miete wird nach der mietfreien Zeit monatlich im Voraus gezahlt, Nebenkosten über die gesamte Laufzeit; der Ausbaukostenzuschuss fließt zu Beginn.",
+  "leaseScenario.low": "Niedrig",
+  "leaseScenario.mid": "Mittel",
+  "leaseScenario.high": "Hoch",
+
+  /* --- Quarterly Report --- */
+  "report.title": "Quartalsmarktbericht",
+  "report.market": "Stadt",
+  "report.period": "Quartal",
+  "report.commentary": "Kommentar",
+  "report.metric": "Kennzahl",
+  "report.copy": "Markdown kopieren",
+  "report.copied": "Kopiert",
+  "report.copyFailed": "Kopieren ist hier nicht erlaubt – Markdown unten markieren und kopieren.",
+  "report.noData": "Keine Daten für {city} im {period}.",
+  "report.bps": "{n} Bp.",
+  "report.change.up": "stieg um {delta}",
+  "report.change.upSlight": "stieg leicht um {delta}",
+  "report.change.upSharp": "stieg deutlich um {delta}",
+  "report.change.down": "sank um {delta}",
+  "report.change.downSlight": "sank leicht um {delta}",
+  "report.change.downSharp": "sank deutlich um {delta}",
+  "report.record.high": ", der höchste Stand seit Beginn der Reihe ({start})",
+  "report.record.low": ", der niedrigste Stand seit Beginn der Reihe ({start})",
+  "report.record.highSince": ", der höchste Stand seit {period}",
+  "report.record.lowSince": ", der niedrigste Stand seit {period}",
+  "report.headline": "{vacancy}; der Flächenumsatz erreichte {takeUp}",
+  "report.takeUpOnly": "der Flächenumsatz in {city} erreichte {takeUp}",
+  "report.vacancyRate":
+    "die Leerstandsquote in {city} {change} ggü. Vorquartal auf {value}{record}",
+  "report.vacancyRate.flat":
+    "die Leerstandsquote in {city} blieb ggü. Vorquartal unverändert bei {value}{record}",
+  "report.takeUp": "{value} ({delta} ggü. Vorjahr){record}",
+  "report.takeUp.flat": "{value}, auf Vorjahresniveau{record}",
+  "report.netAbsorption.positive": "die Nettoabsorption war mit {value} positiv",
+  "report.netAbsorption.negative": "die Nettoabsorption war mit {value} negativ",
+  "report.primeRentEurSqmMonth": "die Spitzenmiete {change} ggü. Vorjahr auf {value}{record}",
+  "report.primeRentEurSqmMonth.flat":
+    "die Spitzenmiete blieb ggü. Vorjahr unverändert bei {value}{record}",
+  "report.primeYield": "die Spitzenrendite {change} ggü. Vorquartal auf {value}{record}",
+  "report.primeYield.flat": "die Spitzenrendite blieb ggü. Vorquartal stabil bei {value}{record}",
+  "report.supply": "im Quartal wurden {completions} fertiggestellt, {pipeline} sind im Bau",
+  "report.supply.completedOnly": "im Quartal wurden {completions} fertiggestellt",
+  "report.supply.none":
+    "im Quartal wurden keine neuen Flächen fertiggestellt, {pipeline} sind im Bau",
+  "report.supply.pipelineOnly": "{pipeline} sind im Bau",
+
+  /* --- Ranking / Map --- */
+  "ranking.title": "Marktranking",
+  "ranking.rank": "Rang",
+  "ranking.includeSubmarkets": "Teilmärkte einbeziehen",
+  "ranking.empty": "Keine Werte für {metric} in {period}.",
+
+  "map.title": "Marktkarte",
+  "map.loading": "Karte wird geladen…",
+  "map.geometryError": "Kartengeometrie: {error}",
+
+  /* --- Pipeline --- */
+  "pipeline.title": "Projektpipeline",
+  "pipeline.ytd": "bisher",
+  "pipeline.completed": "Fertiggestellt",
+  "pipeline.forecast": "Prognose",
+  "pipeline.noForecast":
+    "Keine Fertigstellungsprognose in diesem Datensatz; die Pipeline unten ist die Fläche im Bau.",
+  "pipeline.stock": "Flächenbestand ({period})",
+  "pipeline.underConstruction": "Im Bau",
+  "pipeline.forecastAhead": "Noch ausstehende prognostizierte Fertigstellungen",
+  "pipeline.forecastCompletions": "Prognostizierte Fertigstellungen",
+  "pipeline.growth": "Erwartetes Bestandswachstum",
+  "pipeline.absorption4Q": "Nettoabsorption, letzte 4 Quartale",
+  "pipeline.pressureRatio": "Angebotsdruck (Pipeline ÷ jährliche Absorption: {ratio})",
+  "pipeline.years": "{n} J.",
+  "pipeline.col.stock": "Bestand",
+  "pipeline.col.pipeline": "Pipeline",
+  "pipeline.col.growth": "Bestandswachstum",
+  "pipeline.col.absorption": "Nettoabsorption 4Q",
+  "pipeline.col.years": "Jahre Absorption",
+  "pipeline.col.pressure": "Angebotsdruck",
+  "pipeline.footnote":
+    "Pipeline = prognostizierte Fertigstellungen, wo vorhanden, sonst Fläche im Bau.",
+  "pressure.low": "Niedrig",
+  "pressure.moderate": "Mittel",
+  "pressure.high": "Hoch",
+
+  /* --- Composition --- */
+  "composition.title": "Teilmarkt-Struktur",
+  "composition.empty": "{city} meldet für {period} keine Teilmärkte.",
+  "composition.nested":
+    "Die Teilmärkte überschneiden sich hier (z. B. ein Innenstadtbereich, der den CBD enthält): Die Balken zeigen den Anteil an der Teilmarktsumme, die Anteile am Stadtwert ergeben zusammen mehr als 100 %.",
+  "composition.share": "Anteil",
+  "composition.cityTotal": "Stadt gesamt",
+  "composition.field.totalStock": "Bestand",
+  "composition.field.vacancy": "Leerstand",
+  "composition.field.takeUp": "Flächenumsatz",
+
+  /* --- What Changed --- */
+  "diff.title": "Änderungen",
+  "diff.comparing": "Wird verglichen…",
+  "diff.summary":
+    "Revidierte Werte: {revised} · neue Quartale: {periods} · neue Felder: {added} · entfallene Felder: {dropped}",
+  "diff.newPeriods": "Neue Quartale",
+  "diff.removedPeriods": "Entfallene Quartale",
+  "diff.fieldChanges": "Neue und entfallene Felder",
+  "diff.change": "Änderung",
+  "diff.added": "neu",
+  "diff.dropped": "entfallen",
+  "diff.value": "Wert",
+  "diff.revisedValues": "Revidierte Werte",
+  "diff.allFields": "Alle Felder",
+  "diff.field": "Feld",
+  "diff.old": "Alt",
+  "diff.new": "Neu",
+  "diff.none": "Keine revidierten Werte.",
+
+  /* --- Data Quality --- */
+  "quality.title": "Datenqualität",
+  "quality.findings": "{n} Hinweise",
+  "quality.allChecks": "Alle Prüfungen",
+  "quality.check": "Prüfung",
+  "quality.finding": "Hinweis",
+  "quality.none": "Keine Hinweise.",
+  "check.structure": "Struktur",
+  "check.missingPeriod": "Fehlendes Quartal",
+  "check.nonNumeric": "Nicht numerischer Wert",
+  "check.outOfRange": "Außerhalb des Wertebereichs",
+  "check.vacancyMismatch": "Leerstand ≠ Quote × Bestand",
+  "check.submarketSum": "Teilmärkte ≠ Gesamt",
+  "check.percentAmbiguous": "Prozent / Anteil mehrdeutig",
+  "check.derivedMismatch": "Veröffentlicht ≠ abgeleitet",
+  "finding.noCountries": "Objekt „countries“ auf oberster Ebene fehlt",
+  "finding.noCities": "Land ohne Objekt „cities“",
+  "finding.noPeriods": "Stadt ohne „periods“",
+  "finding.badPeriodKey": "Quartalsschlüssel „{period}“ hat nicht die Form „Qn JJJJ“",
+  "finding.noSubMarkets": "Quartal ohne „subMarkets“",
+  "finding.noTotal": "Kein Teilmarkt „{total}“",
+  "finding.missingPeriod": "{period} fehlt",
+  "finding.notNumeric": "{field} ist nicht numerisch: „{value}“",
+  "finding.outOfRange": "{field} = {value} außerhalb von {min} … {max}",
+  "finding.derivedMismatch": "{field} {published} ggü. abgeleitet {derived} ({diff})",
+  "finding.vacancyMismatch": "Leerstand {vacancy} ggü. Quote × Bestand {implied}",
+  "finding.submarketOverlap": "Teilmärkte überschneiden sich (verschachtelt), Summenprüfung übersprungen",
+  "finding.submarketSum": "Summe der Teilmärkte {sum} ggü. Gesamt {total}",
+  "finding.percentAmbiguous": "{field} = {value} wird als {percent} % gelesen",
+
+  /* --- Import --- */
+  "import.title": "Tabelle importieren",
+  "import.noData": "Die Datei enthält keine Daten",
+  "import.dropZone": "Einen .xlsx- oder .csv-Export hier ablegen oder klicken, um eine Datei zu wählen",
+  "import.headerRow": "Kopfzeile",
+  "import.dataRows": "{n} Datenzeilen",
+  "import.savedMapping": "gespeicherte Zuordnung übernommen",
+  "import.columnMapping": "Spaltenzuordnung",
+  "import.column": "Spalte",
+  "import.firstValue": "Erster Wert",
+  "import.mapsTo": "Zuordnung",
+  "import.ignore": "ignorieren",
+  "import.market": "Markt",
+  "import.fields": "Felder",
+  "import.preview": "Vorschau",
+  "import.values": "{n} Werte",
+  "import.rowsSkipped": "{n} Zeilen übersprungen",
+  "import.status": "Status",
+  "import.submarkets": "Teilmärkte",
+  "import.valuesCol": "Werte",
+  "import.differ": "Abweichend vom Datensatz",
+  "import.skipped": "Übersprungen",
+  "import.row": "Zeile {n}",
+  "import.skip.noMarket": "Land, Stadt oder Quartal fehlt",
+  "import.skip.noValues": "Keine zugeordneten Werte",
+  "import.overwrite": "Vom geladenen Datensatz abweichende Werte überschreiben",
+  "import.merge": "In Datensatz übernehmen",
+  "import.status.new market": "neuer Markt",
+  "import.status.new period": "neues Quartal",
+  "import.status.update": "Aktualisierung",
+};
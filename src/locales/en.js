@@ -0,0 +1,297 @@
+// src/locales/en.js
+// Source catalog: every key used in the UI. Labels of keyed constants
+// (metric.*, transform.*, check.* …) fall back to the constant's own
+// English label and are only listed in the other catalogs.
+export default {
+  "period.format": "Q{q} {year}",
+
+  /* --- App frame --- */
+  "app.title.Office": "{city} Office Market",
+  "app.title.Industrial": "{city} Industrial & Logistics Market",
+  "app.title.Retail": "{city} Retail Market",
+  "app.title.Residential": "{city} Residential Market",
+  "app.market": "Market",
+  "app.loading": "Loading…",
+  "app.dataset": "Dataset",
+  "app.currency": "Currency",
+  "app.currencyHint":
+    "Money values converted at quarter-end FX rates; local prime rents shown as quoted",
+  "app.units": "Units",
+  "app.rentPeriodHint": "Rents and service charges",
+  "app.language": "Language",
+  "app.imported": "Includes imported {files} (not saved).",
+  "app.qualityBanner": "Data-quality findings in this dataset: {n}.",
+  "app.offline": "Offline – showing data as of {asOf}.",
+  "app.fetchedAt": "Downloaded {date}.",
+  "app.updateAvailable": "A newer version of {label} is available; loading it discards the imported rows.",
+  "app.loadUpdate": "Load update",
+  "app.details": "Details",
+  "sector.Office": "Office",
+  "sector.Industrial": "Industrial & Logistics",
+  "sector.Retail": "Retail",
+  "sector.Residential": "Residential",
+  "sector.noData": "no data",
+
+  "tab.explorer": "Explorer",
+  "tab.dashboard": "Dashboard",
+  "tab.ranking": "Ranking",
+  "tab.map": "Map",
+  "tab.pipeline": "Pipeline",
+  "tab.composition": "Composition",
+  "tab.diff": "What Changed",
+  "tab.report": "Report",
+  "tab.quality": "Data Quality",
+  "tab.import": "Import",
+
+  "common.country": "Country",
+  "common.city": "City",
+  "common.submarket": "Submarket",
+  "common.period": "Period",
+  "common.allCities": "All cities",
+  "common.openInExplorer": "Open in explorer",
+  "common.showMore": "Show more ({n} left)",
+
+  "group.Stock": "Stock",
+  "group.Vacancy": "Vacancy",
+  "group.Demand": "Demand",
+  "group.Pipeline": "Pipeline",
+  "group.Pricing": "Pricing",
+  "group.Other": "Other",
+
+  "change.qoq": "Δ QoQ",
+  "change.yoy": "Δ YoY",
+  "unit.pp": "pp",
+
+  /* --- Explorer --- */
+  "snapshot.market": "Market Metrics",
+  "snapshot.leasing": "Leasing Conditions",
+  "snapshot.more": "More Metrics",
+  "snapshot.derived": "Derived Metrics",
+  "derived.bondYield": "10Y government bond yield, {country} (%)",
+  "derived.mismatch": "Published {published} vs. derived {derived} ({diff})",
+
+  "trend.title": "Historical Trend",
+  "trend.bar": "Bar",
+  "trend.line": "Line",
+  "trend.leftAxis": "left axis",
+  "trend.rightAxis": "right axis",
+  "trend.addMetric": "Add metric",
+  "trend.startPeriod": "Start Period",
+  "trend.endPeriod": "End Period",
+  "trend.perAnnum": "p.a.",
+
+  "scenario.title": "Scenario forecast for {market}",
+  "scenario.horizon": "Horizon",
+  "scenario.quarters": "{n} quarters",
+  "scenario.absorption": "Net absorption / quarter",
+  "scenario.completions": "Completions / quarter",
+  "scenario.primeRent": "Prime rent",
+  "scenario.trailing": "Trailing 4Q average",
+  "scenario.custom": "Custom",
+  "scenario.summary":
+    "From {start}: {absorption} net absorption and {completions} completions per quarter.",
+  "scenario.setEnd": "Set the End Period to {period} to see the forecast.",
+  "scenario.selectMetric":
+    "Select Total Stock, Vacancy, Vacancy Rate or Prime Rent to see the forecast.",
+  "scenario.noData": "No stock / vacancy in the latest period of this market, nothing to project.",
+  "scenario.forecast": "forecast",
+  "scenario.forecastMarker": "Forecast",
+
+  "compare.market": "Market {n}",
+  "compare.moveUp": "Move up",
+  "compare.moveDown": "Move down",
+  "compare.remove": "Remove",
+  "compare.add": "Add Market",
+  "compare.addAll": "Add all {country} cities",
+
+  "export.factSheet": "Fact Sheet (PDF)",
+  "export.footer":
+    "Source: CBRE Research · Data as of {period} · Currency: {currency} · Generated {date}",
+
+  /* --- Saved Views / Dashboard --- */
+  "saved.save": "Save view",
+  "saved.namePrompt": "Name of the saved view",
+  "saved.openPlaceholder": "Saved views…",
+  "saved.name": "Name",
+  "saved.open": "Open",
+  "saved.export": "Export views",
+  "saved.import": "Import views",
+  "saved.invalidFile": "{file} is not a saved-views file.",
+  "dashboard.title": "My Dashboard",
+  "dashboard.favorite": "On dashboard",
+  "dashboard.empty": "No views on the dashboard yet – use “☆ Save view” on any page to add one.",
+  "dashboard.footnote":
+    "Each card shows the first trend metric of a ★ view from its start period to the latest quarter; click a card to open the view.",
+
+  /* --- Lease Deal Calculator --- */
+  "lease.title": "Lease Deal Calculator",
+  "lease.area": "Area ({unit})",
+  "lease.rent": "Face rent ({unit})",
+  "lease.serviceCharge": "Service charge ({unit})",
+  "lease.fitOut": "Landlord fit-out contribution ({unit})",
+  "lease.discountRate": "Discount rate (% pa)",
+  "lease.areaPerWorkstation": "Area per workstation ({unit})",
+  "lease.noRent": "No prime rent published for this market – enter the face rent.",
+  "lease.termYears": "Lease term (years)",
+  "lease.rentFreeMonths": "Rent-free (months)",
+  "lease.totalRent": "Total rent",
+  "lease.totalServiceCharge": "Total service charge",
+  "lease.totalCost": "Total occupancy cost",
+  "lease.faceRent": "Face rent",
+  "lease.effectiveRent": "Effective rent",
+  "lease.tenantNpv": "NPV of occupancy cost (tenant)",
+  "lease.landlordNpv": "NPV of net rent (landlord)",
+  "lease.costPerWorkstation": "Occupancy cost per workstation pa",
+  "lease.footnote":
+    "Low / mid / high take the bounds of the published lease term and rent-free ranges. Rent is paid monthly in advance after the rent-free months, service charge over the whole term; the fit-out contribution is paid up front.",
+
+  /* --- Quarterly Report --- */
+  "report.title": "Quarterly Market Report",
+  "report.market": "City",
+  "report.period": "Quarter",
+  "report.commentary": "Commentary",
+  "report.metric": "Metric",
+  "report.copy": "Copy Markdown",
+  "report.copied": "Copied",
+  "report.copyFailed": "Copying is not allowed here – select the Markdown below and copy it.",
+  "report.noData": "No data for {city} in {period}.",
+  "report.bps": "{n} bps",
+  "report.change.up": "rose {delta}",
+  "report.change.upSlight": "edged up {delta}",
+  "report.change.upSharp": "rose sharply by {delta}",
+  "report.change.down": "fell {delta}",
+  "report.change.downSlight": "edged down {delta}",
+  "report.change.downSharp": "fell sharply by {delta}",
+  "report.record.high": ", the highest since the series began ({start})",
+  "report.record.low": ", the lowest since the series began ({start})",
+  "report.record.highSince": ", the highest since {period}",
+  "report.record.lowSince": ", the lowest since {period}",
+  "report.headline": "{vacancy}, as take-up reached {takeUp}",
+  "report.takeUpOnly": "take-up in {city} reached {takeUp}",
+  "report.vacancyRate": "{city} vacancy {change} q-o-q to {value}{record}",
+  "report.vacancyRate.flat": "{city} vacancy was unchanged q-o-q at {value}{record}",
+  "report.takeUp": "{value} ({delta} y-o-y){record}",
+  "report.takeUp.flat": "{value}, in line with a year earlier{record}",
+  "report.netAbsorption.positive": "net absorption was positive at {value}",
+  "report.netAbsorption.negative": "net absorption was negative at {value}",
+  "report.primeRentEurSqmMonth": "prime rent {change} y-o-y to {value}{record}",
+  "report.primeRentEurSqmMonth.flat": "prime rent was unchanged y-o-y at {value}{record}",
+  "report.primeYield": "the prime yield {change} q-o-q to {value}{record}",
+  "report.primeYield.flat": "the prime yield was stable q-o-q at {value}{record}",
+  "report.supply": "{completions} was completed in the quarter, with {pipeline} under construction",
+  "report.supply.completedOnly": "{completions} was completed in the quarter",
+  "report.supply.none":
+    "no new supply was completed in the quarter, with {pipeline} under construction",
+  "report.supply.pipelineOnly": "{pipeline} is under construction",
+
+  /* --- Ranking / Map --- */
+  "ranking.title": "Market Ranking",
+  "ranking.rank": "Rank",
+  "ranking.includeSubmarkets": "Include submarkets",
+  "ranking.empty": "No {metric} values for {period}.",
+
+  "map.title": "Market Map",
+  "map.loading": "Loading map…",
+  "map.geometryError": "Map geometry: {error}",
+
+  /* --- Pipeline --- */
+  "pipeline.title": "Development Pipeline",
+  "pipeline.ytd": "YTD",
+  "pipeline.completed": "Completed",
+  "pipeline.forecast": "Forecast",
+  "pipeline.noForecast":
+    "No completion forecast in this dataset; the pipeline below is space under construction.",
+  "pipeline.stock": "Total stock ({period})",
+  "pipeline.underConstruction": "Under construction",
+  "pipeline.forecastAhead": "Forecast completions still to come",
+  "pipeline.forecastCompletions": "Forecast completions",
+  "pipeline.growth": "Projected stock growth",
+  "pipeline.absorption4Q": "Net absorption, trailing 4 quarters",
+  "pipeline.pressureRatio": "Supply pressure (pipeline ÷ annual absorption: {ratio})",
+  "pipeline.years": "{n} yrs",
+  "pipeline.col.stock": "Stock",
+  "pipeline.col.pipeline": "Pipeline",
+  "pipeline.col.growth": "Stock growth",
+  "pipeline.col.absorption": "Net absorption 4Q",
+  "pipeline.col.years": "Years of absorption",
+  "pipeline.col.pressure": "Pressure",
+  "pipeline.footnote":
+    "Pipeline = forecast completions where the dataset has them, else space under construction.",
+
+  /* --- Composition --- */
+  "composition.title": "Submarket Composition",
+  "composition.empty": "{city} reports no submarkets for {period}.",
+  "composition.nested":
+    "Submarkets overlap here (e.g. a central area containing the CBD): bars show each submarket's part of the submarket sum, and shares of the city Total add up to more than 100%.",
+  "composition.share": "Share",
+  "composition.cityTotal": "City Total",
+
+  /* --- What Changed --- */
+  "diff.title": "What Changed",
+  "diff.comparing": "Comparing…",
+  "diff.summary":
+    "Revised values: {revised} · new periods: {periods} · added fields: {added} · dropped fields: {dropped}",
+  "diff.newPeriods": "New periods",
+  "diff.removedPeriods": "Removed periods",
+  "diff.fieldChanges": "Added and dropped fields",
+  "diff.change": "Change",
+  "diff.added": "added",
+  "diff.dropped": "dropped",
+  "diff.value": "Value",
+  "diff.revisedValues": "Revised values",
+  "diff.allFields": "All fields",
+  "diff.field": "Field",
+  "diff.old": "Old",
+  "diff.new": "New",
+  "diff.none": "No revised values.",
+
+  /* --- Data Quality --- */
+  "quality.title": "Data Quality",
+  "quality.findings": "{n} findings",
+  "quality.allChecks": "All checks",
+  "quality.check": "Check",
+  "quality.finding": "Finding",
+  "quality.none": "No findings.",
+  "finding.noCountries": 'Top-level "countries" object is missing',
+  "finding.noCities": 'Country has no "cities" object',
+  "finding.noPeriods": 'City has no "periods"',
+  "finding.badPeriodKey": 'Period key "{period}" is not "Qn YYYY"',
+  "finding.noSubMarkets": 'Period has no "subMarkets"',
+  "finding.noTotal": 'No "{total}" submarket',
+  "finding.missingPeriod": "{period} is missing",
+  "finding.notNumeric": '{field} is not numeric: "{value}"',
+  "finding.outOfRange": "{field} = {value} outside {min} … {max}",
+  "finding.derivedMismatch": "{field} {published} vs. derived {derived} ({diff})",
+  "finding.vacancyMismatch": "vacancy {vacancy} vs. rate × stock {implied}",
+  "finding.submarketOverlap": "Submarkets overlap (nested), sum check skipped",
+  "finding.submarketSum": "sum of submarkets {sum} vs. Total {total}",
+  "finding.percentAmbiguous": "{field} = {value} reads as {percent}%",
+
+  /* --- Import --- */
+  "import.title": "Import Spreadsheet",
+  "import.noData": "The file contains no data",
+  "import.dropZone": "Drop an .xlsx or .csv export here, or click to choose a file",
+  "import.headerRow": "Header row",
+  "import.dataRows": "{n} data rows",
+  "import.savedMapping": "saved mapping applied",
+  "import.columnMapping": "Column mapping",
+  "import.column": "Column",
+  "import.firstValue": "First value",
+  "import.mapsTo": "Maps to",
+  "import.ignore": "ignore",
+  "import.market": "Market",
+  "import.fields": "Fields",
+  "import.preview": "Preview",
+  "import.values": "{n} values",
+  "import.rowsSkipped": "{n} rows skipped",
+  "import.status": "Status",
+  "import.submarkets": "Submarkets",
+  "import.valuesCol": "Values",
+  "import.differ": "Differ from loaded",
+  "import.skipped": "Skipped",
+  "import.row": "row {n}",
+  "import.skip.noMarket": "Country, city or period missing",
+  "import.skip.noValues": "No mapped values",
+  "import.overwrite": "Overwrite values that differ from the loaded dataset",
+  "import.merge": "Merge into dataset",
+};
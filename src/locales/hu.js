@@ -0,0 +1,354 @@
+// src/locales/hu.js
+export default {
+  "period.format": "{year}. {roman}. n.év",
+
+  /* --- App frame --- */
+  "app.title.Office": "{city} irodapiac",
+  "app.title.Industrial": "{city} ipari-logisztikai piac",
+  "app.title.Retail": "{city} kiskereskedelmi piac",
+  "app.title.Residential": "{city} lakáspiac",
+  "app.market": "Piac",
+  "app.loading": "Betöltés…",
+  "app.dataset": "Adatkészlet",
+  "app.currency": "Pénznem",
+  "app.currencyHint":
+    "A pénzértékek negyedév végi árfolyamon átszámítva; a helyi prime bérleti díjak a jegyzett pénznemben",
+  "app.units": "Mértékegységek",
+  "app.rentPeriodHint": "Bérleti és üzemeltetési díjak",
+  "app.language": "Nyelv",
+  "app.imported": "Importált fájlokat tartalmaz: {files} (nincs mentve).",
+  "app.qualityBanner": "Adatminőségi megállapítások ebben az adatkészletben: {n}.",
+  "app.offline": "Offline – adatok: {asOf}.",
+  "app.fetchedAt": "Letöltve: {date}.",
+  "app.updateAvailable": "Elérhető egy újabb verzió: {label}; betöltése elveti az importált sorokat.",
+  "app.loadUpdate": "Frissítés betöltése",
+  "app.details": "Részletek",
+  "sector.Office": "Iroda",
+  "sector.Industrial": "Ipar és logisztika",
+  "sector.Retail": "Kiskereskedelem",
+  "sector.Residential": "Lakóingatlan",
+  "sector.noData": "nincs adat",
+
+  "tab.explorer": "Elemző",
+  "tab.dashboard": "Irányítópult",
+  "tab.ranking": "Rangsor",
+  "tab.map": "Térkép",
+  "tab.pipeline": "Fejlesztések",
+  "tab.composition": "Összetétel",
+  "tab.diff": "Változások",
+  "tab.report": "Jelentés",
+  "tab.quality": "Adatminőség",
+  "tab.import": "Importálás",
+
+  "common.country": "Ország",
+  "common.city": "Város",
+  "common.submarket": "Alpiac",
+  "common.period": "Negyedév",
+  "common.allCities": "Minden város",
+  "common.openInExplorer": "Megnyitás az elemzőben",
+  "common.showMore": "Továbbiak ({n} maradt)",
+
+  "group.Stock": "Állomány",
+  "group.Vacancy": "Üresedés",
+  "group.Demand": "Kereslet",
+  "group.Pipeline": "Fejlesztések",
+  "group.Pricing": "Árak",
+  "group.Other": "Egyéb",
+
+  "change.qoq": "Δ negyedéves",
+  "change.yoy": "Δ éves",
+  "unit.pp": "szp.",
+
+  /* --- Metrics --- */
+  "metric.totalStock": "Teljes állomány (m²)",
+  "metric.vacancy": "Üres terület (m²)",
+  "metric.vacancyRate": "Kihasználatlansági ráta (%)",
+  "metric.takeUp": "Bérbeadott terület (m²)",
+  "metric.netAbsorption": "Nettó abszorpció (m²)",
+  "metric.completionsYTD": "Átadások (m²)",
+  "metric.underConstruction": "Építés alatt (m²)",
+  "metric.primeYield": "Prime hozam – helyi konvenció (%)",
+  "metric.capitalValueEurSqm": "Tőkeérték (€/m²)",
+  "metric.primeRentEurSqmMonth": "Prime bérleti díj (€/m² pm)",
+  "metric.averageRentEurSqmMonth": "Átlagos bérleti díj (€/m² pm)",
+  "metric.netEffectiveRentEurSqmMonth": "Nettó effektív bérleti díj (€/m² pm)",
+  "metric.netAverageAskingRentEurSqmMonth": "Átlagos nettó kínálati bérleti díj (€/m² pm)",
+  "metric.serviceChargeEurSqmMonth": "Üzemeltetési díj (€/m² pm)",
+  "metric.leaseLengthMonths": "Jellemző bérleti futamidő (év)",
+  "metric.rentFreeMonthPerYear": "Jellemző bérletidíj-mentes időszak (hónap)",
+  "metric.primeRentSmallUnitsEurSqmMonth": "Prime bérleti díj – kis egységek (€/m² pm)",
+  "metric.zoneARentEurSqmMonth": "Prime A zónás bérleti díj – főutca (€/m² pm)",
+  "metric.shoppingCentrePrimeRentEurSqmMonth": "Prime bérleti díj – bevásárlóközpontok (€/m² pm)",
+  "metric.averageSalePriceEurSqm": "Átlagos eladási ár (€/m²)",
+  "metric.impliedCapitalValueEurSqm": "Implikált tőkeérték (€/m²)",
+  "metric.reversionaryYield": "Reverziós hozam (%)",
+  "metric.yieldSpread": "Hozamfelár a 10 éves állampapírhoz képest (pp)",
+  "metric.rentFreeAdjustedRentEurSqmMonth": "Bérletidíj-mentességgel korrigált effektív bérleti díj (€/m² pm)",
+
+  "snapshot.market": "Piaci mutatók",
+  "snapshot.leasing": "Bérleti feltételek",
+  "snapshot.more": "További mutatók",
+  "snapshot.derived": "Származtatott mutatók",
+  "derived.bondYield": "10 éves állampapírhozam, {country} (%)",
+  "derived.mismatch": "Közzétett {published}, számított {derived} ({diff})",
+
+  /* --- Explorer --- */
+  "trend.title": "Historikus alakulás",
+  "trend.bar": "Oszlop",
+  "trend.line": "Vonal",
+  "trend.leftAxis": "bal tengely",
+  "trend.rightAxis": "jobb tengely",
+  "trend.addMetric": "Mutató hozzáadása",
+  "trend.startPeriod": "Kezdő negyedév",
+  "trend.endPeriod": "Záró negyedév",
+  "trend.perAnnum": "évente",
+
+  "transform.raw": "Értékek",
+  "transform.qoq": "Negyedéves változás",
+  "transform.yoy": "Éves változás",
+  "transform.index": "Index (kezdő negyedév = 100)",
+  "transform.roll4sum": "Gördülő 4 negyedéves összeg",
+  "transform.roll4avg": "Gördülő 4 negyedéves átlag",
+
+  "scenario.title": "Szcenárió-előrejelzés: {market}",
+  "scenario.horizon": "Időtáv",
+  "scenario.quarters": "{n} negyedév",
+  "scenario.absorption": "Nettó abszorpció / negyedév",
+  "scenario.completions": "Átadások / negyedév",
+  "scenario.primeRent": "Prime bérleti díj",
+  "scenario.trailing": "Utolsó 4 negyedév átlaga",
+  "scenario.custom": "Egyéni érték",
+  "scenario.summary":
+    "{start} után: negyedévente {absorption} nettó abszorpció és {completions} átadás.",
+  "scenario.setEnd": "Az előrejelzéshez állítsa a záró negyedévet erre: {period}.",
+  "scenario.selectMetric":
+    "Az előrejelzéshez válassza a teljes állományt, az üres területet, a kihasználatlansági rátát vagy a prime bérleti díjat.",
+  "scenario.noData":
+    "A piac utolsó negyedévében nincs állomány / üresedés, nincs mit előrejelezni.",
+  "scenario.forecast": "előrejelzés",
+  "scenario.forecastMarker": "Előrejelzés",
+  "rentModel.none": "Nincs bérletidíj-előrejelzés",
+  "rentModel.trend": "Lineáris trend (utolsó 8 negyedév)",
+  "rentModel.regression": "Regresszió a kihasználatlansági rátára",
+  "rentPeriod.month": "havonta",
+  "rentPeriod.year": "évente",
+
+  "compare.market": "{n}. piac",
+  "compare.moveUp": "Fel",
+  "compare.moveDown": "Le",
+  "compare.remove": "Eltávolítás",
+  "compare.add": "Piac hozzáadása",
+  "compare.addAll": "Minden város hozzáadása: {country}",
+
+  "export.factSheet": "Piaci adatlap (PDF)",
+  "export.footer":
+    "Forrás: CBRE Research · Adatok: {period} · Pénznem: {currency} · Készült: {date}",
+
+  /* --- Saved Views / Dashboard --- */
+  "saved.save": "Nézet mentése",
+  "saved.namePrompt": "A mentett nézet neve",
+  "saved.openPlaceholder": "Mentett nézetek…",
+  "saved.name": "Név",
+  "saved.open": "Megnyitás",
+  "saved.export": "Nézetek exportálása",
+  "saved.import": "Nézetek importálása",
+  "saved.invalidFile": "{file} nem mentett nézeteket tartalmazó fájl.",
+  "dashboard.title": "Saját irányítópult",
+  "dashboard.favorite": "Az irányítópulton",
+  "dashboard.empty":
+    "Az irányítópulton még nincs nézet – bármelyik oldalon a „☆ Nézet mentése” gombbal adhat hozzá.",
+  "dashboard.footnote":
+    "Minden kártya egy ★ nézet első trendmutatóját mutatja a kezdő negyedévtől a legfrissebbig; a kártyára kattintva megnyílik a nézet.",
+
+  /* --- Lease Deal Calculator --- */
+  "lease.title": "Bérleti szerződés kalkulátor",
+  "lease.area": "Terület ({unit})",
+  "lease.rent": "Névleges bérleti díj ({unit})",
+  "lease.serviceCharge": "Üzemeltetési díj ({unit})",
+  "lease.fitOut": "Bérbeadói kialakítási hozzájárulás ({unit})",
+  "lease.discountRate": "Diszkontráta (% évente)",
+  "lease.areaPerWorkstation": "Terület munkaállomásonként ({unit})",
+  "lease.noRent": "Ehhez a piachoz nincs közzétett prime bérleti díj – adja meg a névleges díjat.",
+  "lease.termYears": "Bérleti idő (év)",
+  "lease.rentFreeMonths": "Bérletidíj-mentes időszak (hónap)",
+  "lease.totalRent": "Bérleti díj összesen",
+  "lease.totalServiceCharge": "Üzemeltetési díj összesen",
+  "lease.totalCost": "Teljes elhelyezési költség",
+  "lease.faceRent": "Névleges bérleti díj",
+  "lease.effectiveRent": "Effektív bérleti díj",
+  "lease.tenantNpv": "Elhelyezési költség jelenértéke (bérlő)",
+  "lease.landlordNpv": "Nettó bérleti díj jelenértéke (bérbeadó)",
+  "lease.costPerWorkstation": "Elhelyezési költség munkaállomásonként évente",
+  "lease.footnote":
+    "Az alacsony / közepes / magas változat a közzétett bérleti idő és bérletidíj-mentes időszak sávjainak határait használja. A bérleti díj a mentes időszak után havonta előre fizetendő, az üzemeltetési díj a teljes időszakra; a kialakítási hozzájárulás az elején.",
+  "leaseScenario.low": "Alacsony",
+  "leaseScenario.mid": "Közepes",
+  "leaseScenario.high": "Magas",
+
+  /* --- Quarterly Report --- */
+  "report.title": "Negyedéves piaci jelentés",
+  "report.market": "Város",
+  "report.period": "Negyedév",
+  "report.commentary": "Kommentár",
+  "report.metric": "Mutató",
+  "report.copy": "Markdown másolása",
+  "report.copied": "Másolva",
+  "report.copyFailed": "A másolás itt nem engedélyezett – jelölje ki és másolja ki az alábbi Markdown szöveget.",
+  "report.noData": "Nincs adat: {city}, {period}.",
+  "report.bps": "{n} bp",
+  "report.change.up": "{delta} emelkedés",
+  "report.change.upSlight": "enyhe, {delta} emelkedés",
+  "report.change.upSharp": "erős, {delta} emelkedés",
+  "report.change.down": "{delta} csökkenés",
+  "report.change.downSlight": "enyhe, {delta} csökkenés",
+  "report.change.downSharp": "erős, {delta} csökkenés",
+  "report.record.high": " – a sor kezdete ({start}) óta a legmagasabb",
+  "report.record.low": " – a sor kezdete ({start}) óta a legalacsonyabb",
+  "report.record.highSince": " – {period} óta a legmagasabb",
+  "report.record.lowSince": " – {period} óta a legalacsonyabb",
+  "report.headline": "{vacancy}; bérbeadott terület: {takeUp}",
+  "report.takeUpOnly": "{city} – bérbeadott terület: {takeUp}",
+  "report.vacancyRate": "{city} – üresedési ráta: negyedéves alapon {change}, {value}{record}",
+  "report.vacancyRate.flat":
+    "{city} – üresedési ráta negyedéves alapon változatlan: {value}{record}",
+  "report.takeUp": "{value} (éves alapon {delta}){record}",
+  "report.takeUp.flat": "{value}, az egy évvel korábbi szinten{record}",
+  "report.netAbsorption.positive": "nettó abszorpció pozitív: {value}",
+  "report.netAbsorption.negative": "nettó abszorpció negatív: {value}",
+  "report.primeRentEurSqmMonth": "prime bérleti díj: éves alapon {change}, {value}{record}",
+  "report.primeRentEurSqmMonth.flat": "prime bérleti díj éves alapon változatlan: {value}{record}",
+  "report.primeYield": "prime hozam: negyedéves alapon {change}, {value}{record}",
+  "report.primeYield.flat": "prime hozam negyedéves alapon stabil: {value}{record}",
+  "report.supply": "átadott új terület a negyedévben: {completions}, építés alatt: {pipeline}",
+  "report.supply.completedOnly": "átadott új terület a negyedévben: {completions}",
+  "report.supply.none": "a negyedévben nem adtak át új területet, építés alatt: {pipeline}",
+  "report.supply.pipelineOnly": "építés alatt: {pipeline}",
+
+  /* --- Ranking / Map --- */
+  "ranking.title": "Piaci rangsor",
+  "ranking.rank": "Helyezés",
+  "ranking.includeSubmarkets": "Alpiacokkal együtt",
+  "ranking.empty": "Nincs {metric} érték erre: {period}.",
+
+  "map.title": "Piaci térkép",
+  "map.loading": "Térkép betöltése…",
+  "map.geometryError": "Térképgeometria: {error}",
+
+  /* --- Pipeline --- */
+  "pipeline.title": "Fejlesztési kínálat",
+  "pipeline.ytd": "év eleje óta",
+  "pipeline.completed": "Átadva",
+  "pipeline.forecast": "Előrejelzés",
+  "pipeline.noForecast":
+    "Ebben az adatkészletben nincs átadási előrejelzés; az alábbi kínálat az építés alatt álló terület.",
+  "pipeline.stock": "Teljes állomány ({period})",
+  "pipeline.underConstruction": "Építés alatt",
+  "pipeline.forecastAhead": "Még hátralévő előre jelzett átadások",
+  "pipeline.forecastCompletions": "Előre jelzett átadások",
+  "pipeline.growth": "Várható állománynövekedés",
+  "pipeline.absorption4Q": "Nettó abszorpció, utolsó 4 negyedév",
+  "pipeline.pressureRatio": "Kínálati nyomás (fejlesztések ÷ éves abszorpció: {ratio})",
+  "pipeline.years": "{n} év",
+  "pipeline.col.stock": "Állomány",
+  "pipeline.col.pipeline": "Fejlesztések",
+  "pipeline.col.growth": "Állománynövekedés",
+  "pipeline.col.absorption": "Nettó abszorpció 4 n.év",
+  "pipeline.col.years": "Abszorpciós évek",
+  "pipeline.col.pressure": "Nyomás",
+  "pipeline.footnote":
+    "Fejlesztések = előre jelzett átadások, ha az adatkészlet tartalmazza, egyébként az építés alatt álló terület.",
+  "pressure.low": "Alacsony",
+  "pressure.moderate": "Mérsékelt",
+  "pressure.high": "Magas",
+
+  /* --- Composition --- */
+  "composition.title": "Alpiacok összetétele",
+  "composition.empty": "{city} nem közöl alpiacokat erre: {period}.",
+  "composition.nested":
+    "Az alpiacok itt átfedik egymást (pl. a CBD-t is tartalmazó belvárosi terület): az oszlopok az alpiacok összegén belüli részt mutatják, a városi összesenhez viszonyított részarányok együtt 100% fölé mennek.",
+  "composition.share": "Részarány",
+  "composition.cityTotal": "Város összesen",
+  "composition.field.totalStock": "Állomány",
+  "composition.field.vacancy": "Üresedés",
+  "composition.field.takeUp": "Bérbeadás",
+
+  /* --- What Changed --- */
+  "diff.title": "Változások",
+  "diff.comparing": "Összehasonlítás…",
+  "diff.summary":
+    "Módosított értékek: {revised} · új negyedévek: {periods} · új mezők: {added} · megszűnt mezők: {dropped}",
+  "diff.newPeriods": "Új negyedévek",
+  "diff.removedPeriods": "Megszűnt negyedévek",
+  "diff.fieldChanges": "Új és megszűnt mezők",
+  "diff.change": "Változás",
+  "diff.added": "új",
+  "diff.dropped": "megszűnt",
+  "diff.value": "Érték",
+  "diff.revisedValues": "Módosított értékek",
+  "diff.allFields": "Minden mező",
+  "diff.field": "Mező",
+  "diff.old": "Régi",
+  "diff.new": "Új",
+  "diff.none": "Nincsenek módosított értékek.",
+
+  /* --- Data Quality --- */
+  "quality.title": "Adatminőség",
+  "quality.findings": "{n} megállapítás",
+  "quality.allChecks": "Minden ellenőrzés",
+  "quality.check": "Ellenőrzés",
+  "quality.finding": "Megállapítás",
+  "quality.none": "Nincs megállapítás.",
+  "check.structure": "Szerkezet",
+  "check.missingPeriod": "Hiányzó negyedév",
+  "check.nonNumeric": "Nem számérték",
+  "check.outOfRange": "Tartományon kívül",
+  "check.vacancyMismatch": "Üres terület ≠ ráta × állomány",
+  "check.submarketSum": "Alpiacok ≠ összesen",
+  "check.percentAmbiguous": "Százalék / tört kétértelmű",
+  "check.derivedMismatch": "Közzétett ≠ számított",
+  "finding.noCountries": "Hiányzik a legfelső szintű „countries” objektum",
+  "finding.noCities": "Az országnak nincs „cities” objektuma",
+  "finding.noPeriods": "A városnak nincs „periods” eleme",
+  "finding.badPeriodKey": "A(z) „{period}” negyedévkulcs nem „Qn ÉÉÉÉ” alakú",
+  "finding.noSubMarkets": "A negyedévnek nincs „subMarkets” eleme",
+  "finding.noTotal": "Nincs „{total}” alpiac",
+  "finding.missingPeriod": "{period} hiányzik",
+  "finding.notNumeric": "{field} nem szám: „{value}”",
+  "finding.outOfRange": "{field} = {value}, a(z) {min} … {max} tartományon kívül",
+  "finding.derivedMismatch": "{field} {published}, számított {derived} ({diff})",
+  "finding.vacancyMismatch": "üres terület {vacancy}, ráta × állomány {implied}",
+  "finding.submarketOverlap": "Az alpiacok átfedik egymást (egymásba ágyazottak), az összegellenőrzés kimarad",
+  "finding.submarketSum": "alpiacok összege {sum}, összesen {total}",
+  "finding.percentAmbiguous": "{field} = {value} értelmezése: {percent}%",
+
+  /* --- Import --- */
+  "import.title": "Táblázat importálása",
+  "import.noData": "A fájl nem tartalmaz adatot",
+  "import.dropZone": "Húzzon ide egy .xlsx vagy .csv exportot, vagy kattintson a fájl kiválasztásához",
+  "import.headerRow": "Fejlécsor",
+  "import.dataRows": "{n} adatsor",
+  "import.savedMapping": "mentett hozzárendelés alkalmazva",
+  "import.columnMapping": "Oszlopok hozzárendelése",
+  "import.column": "Oszlop",
+  "import.firstValue": "Első érték",
+  "import.mapsTo": "Hozzárendelés",
+  "import.ignore": "kihagyás",
+  "import.market": "Piac",
+  "import.fields": "Mezők",
+  "import.preview": "Előnézet",
+  "import.values": "{n} érték",
+  "import.rowsSkipped": "{n} sor kihagyva",
+  "import.status": "Állapot",
+  "import.submarkets": "Alpiacok",
+  "import.valuesCol": "Értékek",
+  "import.differ": "Eltér a betöltöttől",
+  "import.skipped": "Kihagyva",
+  "import.row": "{n}. sor",
+  "import.skip.noMarket": "Hiányzik az ország, a város vagy a negyedév",
+  "import.skip.noValues": "Nincs hozzárendelt érték",
+  "import.overwrite": "A betöltött adatkészlettől eltérő értékek felülírása",
+  "import.merge": "Egyesítés az adatkészlettel",
+  "import.status.new market": "új piac",
+  "import.status.new period": "új negyedév",
+  "import.status.update": "frissítés",
+};
@@ -0,0 +1,353 @@
+// src/locales/pl.js
+export default {
+  "period.format": "{roman} kw. {year}",
+
+  /* --- App frame --- */
+  "app.title.Office": "Rynek biurowy – {city}",
+  "app.title.Industrial": "Rynek przemysłowo-logistyczny – {city}",
+  "app.title.Retail": "Rynek handlowy – {city}",
+  "app.title.Residential": "Rynek mieszkaniowy – {city}",
+  "app.market": "Rynek",
+  "app.loading": "Ładowanie…",
+  "app.dataset": "Zbiór danych",
+  "app.currency": "Waluta",
+  "app.currencyHint":
+    "Wartości pieniężne przeliczone po kursie z końca kwartału; lokalne czynsze prime w walucie notowania",
+  "app.units": "Jednostki",
+  "app.rentPeriodHint": "Czynsze i opłaty eksploatacyjne",
+  "app.language": "Język",
+  "app.imported": "Zawiera zaimportowane pliki: {files} (niezapisane).",
+  "app.qualityBanner": "Uwagi dotyczące jakości danych w tym zbiorze: {n}.",
+  "app.offline": "Offline – dane na {asOf}.",
+  "app.fetchedAt": "Pobrano {date}.",
+  "app.updateAvailable": "Dostępna jest nowsza wersja: {label}; jej wczytanie usunie zaimportowane wiersze.",
+  "app.loadUpdate": "Wczytaj aktualizację",
+  "app.details": "Szczegóły",
+  "sector.Office": "Biura",
+  "sector.Industrial": "Przemysł i logistyka",
+  "sector.Retail": "Handel",
+  "sector.Residential": "Mieszkania",
+  "sector.noData": "brak danych",
+
+  "tab.explorer": "Eksplorator",
+  "tab.dashboard": "Pulpit",
+  "tab.ranking": "Ranking",
+  "tab.map": "Mapa",
+  "tab.pipeline": "Podaż w budowie",
+  "tab.composition": "Struktura",
+  "tab.diff": "Zmiany",
+  "tab.report": "Raport",
+  "tab.quality": "Jakość danych",
+  "tab.import": "Import",
+
+  "common.country": "Kraj",
+  "common.city": "Miasto",
+  "common.submarket": "Strefa",
+  "common.period": "Kwartał",
+  "common.allCities": "Wszystkie miasta",
+  "common.openInExplorer": "Otwórz w eksploratorze",
+  "common.showMore": "Pokaż więcej (pozostało {n})",
+
+  "group.Stock": "Zasoby",
+  "group.Vacancy": "Pustostany",
+  "group.Demand": "Popyt",
+  "group.Pipeline": "Nowa podaż",
+  "group.Pricing": "Ceny",
+  "group.Other": "Inne",
+
+  "change.qoq": "Δ kw./kw.",
+  "change.yoy": "Δ r/r",
+  "unit.pp": "p.p.",
+
+  /* --- Metrics --- */
+  "metric.totalStock": "Całkowite zasoby (m²)",
+  "metric.vacancy": "Pustostany (m²)",
+  "metric.vacancyRate": "Współczynnik pustostanów (%)",
+  "metric.takeUp": "Popyt (m²)",
+  "metric.netAbsorption": "Absorpcja netto (m²)",
+  "metric.completionsYTD": "Nowa podaż (m²)",
+  "metric.underConstruction": "W budowie (m²)",
+  "metric.primeYield": "Stopa kapitalizacji prime – konwencja lokalna (%)",
+  "metric.capitalValueEurSqm": "Wartość kapitałowa (€/m²)",
+  "metric.primeRentEurSqmMonth": "Czynsz prime (€/m² pm)",
+  "metric.averageRentEurSqmMonth": "Czynsz średni (€/m² pm)",
+  "metric.netEffectiveRentEurSqmMonth": "Czynsz efektywny netto (€/m² pm)",
+  "metric.netAverageAskingRentEurSqmMonth": "Średni czynsz ofertowy netto (€/m² pm)",
+  "metric.serviceChargeEurSqmMonth": "Opłaty eksploatacyjne (€/m² pm)",
+  "metric.leaseLengthMonths": "Typowy okres najmu (lata)",
+  "metric.rentFreeMonthPerYear": "Typowy okres bezczynszowy (miesiące)",
+  "metric.primeRentSmallUnitsEurSqmMonth": "Czynsz prime – małe moduły (€/m² pm)",
+  "metric.zoneARentEurSqmMonth": "Czynsz prime strefy A – ulice handlowe (€/m² pm)",
+  "metric.shoppingCentrePrimeRentEurSqmMonth": "Czynsz prime – centra handlowe (€/m² pm)",
+  "metric.averageSalePriceEurSqm": "Średnia cena sprzedaży (€/m²)",
+  "metric.impliedCapitalValueEurSqm": "Implikowana wartość kapitałowa (€/m²)",
+  "metric.reversionaryYield": "Stopa kapitalizacji rewersyjna (%)",
+  "metric.yieldSpread": "Spread wobec obligacji 10-letnich (pp)",
+  "metric.rentFreeAdjustedRentEurSqmMonth": "Czynsz efektywny skorygowany o okres bezczynszowy (€/m² pm)",
+
+  "snapshot.market": "Wskaźniki rynkowe",
+  "snapshot.leasing": "Warunki najmu",
+  "snapshot.more": "Pozostałe wskaźniki",
+  "snapshot.derived": "Wskaźniki pochodne",
+  "derived.bondYield": "Rentowność 10-letnich obligacji skarbowych, {country} (%)",
+  "derived.mismatch": "Opublikowano {published}, wyliczono {derived} ({diff})",
+
+  /* --- Explorer --- */
+  "trend.title": "Dane historyczne",
+  "trend.bar": "Słupki",
+  "trend.line": "Linia",
+  "trend.leftAxis": "lewa oś",
+  "trend.rightAxis": "prawa oś",
+  "trend.addMetric": "Dodaj wskaźnik",
+  "trend.startPeriod": "Od",
+  "trend.endPeriod": "Do",
+  "trend.perAnnum": "r/r",
+
+  "transform.raw": "Wartości",
+  "transform.qoq": "Zmiana kw./kw.",
+  "transform.yoy": "Zmiana r/r",
+  "transform.index": "Indeks (kwartał początkowy = 100)",
+  "transform.roll4sum": "Suma krocząca 4 kwartałów",
+  "transform.roll4avg": "Średnia krocząca 4 kwartałów",
+
+  "scenario.title": "Prognoza scenariuszowa dla {market}",
+  "scenario.horizon": "Horyzont",
+  "scenario.quarters": "Kwartały: {n}",
+  "scenario.absorption": "Absorpcja netto / kwartał",
+  "scenario.completions": "Nowa podaż / kwartał",
+  "scenario.primeRent": "Czynsz prime",
+  "scenario.trailing": "Średnia z ostatnich 4 kw.",
+  "scenario.custom": "Własna wartość",
+  "scenario.summary":
+    "Od {start}: absorpcja netto {absorption} i nowa podaż {completions} na kwartał.",
+  "scenario.setEnd": "Ustaw „Do” na {period}, aby zobaczyć prognozę.",
+  "scenario.selectMetric":
+    "Wybierz całkowite zasoby, pustostany, współczynnik pustostanów lub czynsz prime, aby zobaczyć prognozę.",
+  "scenario.noData":
+    "Brak zasobów / pustostanów w ostatnim kwartale tego rynku, nie ma czego prognozować.",
+  "scenario.forecast": "prognoza",
+  "scenario.forecastMarker": "Prognoza",
+  "rentModel.none": "Bez prognozy czynszu",
+  "rentModel.trend": "Trend liniowy (ostatnie 8 kwartałów)",
+  "rentModel.regression": "Regresja względem współczynnika pustostanów",
+  "rentPeriod.month": "miesięcznie",
+  "rentPeriod.year": "rocznie",
+
+  "compare.market": "Rynek {n}",
+  "compare.moveUp": "W górę",
+  "compare.moveDown": "W dół",
+  "compare.remove": "Usuń",
+  "compare.add": "Dodaj rynek",
+  "compare.addAll": "Dodaj wszystkie miasta: {country}",
+
+  "export.factSheet": "Karta rynku (PDF)",
+  "export.footer":
+    "Źródło: CBRE Research · Dane na {period} · Waluta: {currency} · Wygenerowano {date}",
+
+  /* --- Saved Views / Dashboard --- */
+  "saved.save": "Zapisz widok",
+  "saved.namePrompt": "Nazwa zapisanego widoku",
+  "saved.openPlaceholder": "Zapisane widoki…",
+  "saved.name": "Nazwa",
+  "saved.open": "Otwórz",
+  "saved.export": "Eksportuj widoki",
+  "saved.import": "Importuj widoki",
+  "saved.invalidFile": "{file} nie jest plikiem zapisanych widoków.",
+  "dashboard.title": "Mój pulpit",
+  "dashboard.favorite": "Na pulpicie",
+  "dashboard.empty":
+    "Na pulpicie nie ma jeszcze widoków – dodaj je przyciskiem „☆ Zapisz widok” na dowolnej stronie.",
+  "dashboard.footnote":
+    "Każda karta pokazuje pierwszy wskaźnik trendu widoku ★ od kwartału początkowego do najnowszego; kliknięcie karty otwiera widok.",
+
+  /* --- Lease Deal Calculator --- */
+  "lease.title": "Kalkulator umowy najmu",
+  "lease.area": "Powierzchnia ({unit})",
+  "lease.rent": "Czynsz nominalny ({unit})",
+  "lease.serviceCharge": "Opłata eksploatacyjna ({unit})",
+  "lease.fitOut": "Dopłata wynajmującego do aranżacji ({unit})",
+  "lease.discountRate": "Stopa dyskontowa (% rocznie)",
+  "lease.areaPerWorkstation": "Powierzchnia na stanowisko pracy ({unit})",
+  "lease.noRent": "Dla tego rynku nie opublikowano czynszu prime – wpisz czynsz nominalny.",
+  "lease.termYears": "Okres najmu (lata)",
+  "lease.rentFreeMonths": "Okres bezczynszowy (miesiące)",
+  "lease.totalRent": "Czynsz łącznie",
+  "lease.totalServiceCharge": "Opłaty eksploatacyjne łącznie",
+  "lease.totalCost": "Całkowity koszt zajmowania powierzchni",
+  "lease.faceRent": "Czynsz nominalny",
+  "lease.effectiveRent": "Czynsz efektywny",
+  "lease.tenantNpv": "NPV kosztu zajmowania (najemca)",
+  "lease.landlordNpv": "NPV czynszu netto (wynajmujący)",
+  "lease.costPerWorkstation": "Koszt na stanowisko pracy rocznie",
+  "lease.footnote":
+    "Warianty niski / średni / wysoki przyjmują granice opublikowanych przedziałów okresu najmu i okresu bezczynszowego. Czynsz płatny miesięcznie z góry po okresie bezczynszowym, opłata eksploatacyjna przez cały okres; dopłata do aranżacji na początku.",
+  "leaseScenario.low": "Niski",
+  "leaseScenario.mid": "Średni",
+  "leaseScenario.high": "Wysoki",
+
+  /* --- Quarterly Report --- */
+  "report.title": "Kwartalny raport rynkowy",
+  "report.market": "Miasto",
+  "report.period": "Kwartał",
+  "report.commentary": "Komentarz",
+  "report.metric": "Wskaźnik",
+  "report.copy": "Kopiuj Markdown",
+  "report.copied": "Skopiowano",
+  "report.copyFailed": "Kopiowanie jest tu niedozwolone – zaznacz poniższy Markdown i skopiuj go.",
+  "report.noData": "Brak danych dla {city} w {period}.",
+  "report.bps": "{n} pb",
+  "report.change.up": "wzrost o {delta}",
+  "report.change.upSlight": "lekki wzrost o {delta}",
+  "report.change.upSharp": "silny wzrost o {delta}",
+  "report.change.down": "spadek o {delta}",
+  "report.change.downSlight": "lekki spadek o {delta}",
+  "report.change.downSharp": "silny spadek o {delta}",
+  "report.record.high": " – najwyżej od początku serii ({start})",
+  "report.record.low": " – najniżej od początku serii ({start})",
+  "report.record.highSince": " – najwyżej od {period}",
+  "report.record.lowSince": " – najniżej od {period}",
+  "report.headline": "{vacancy}; popyt: {takeUp}",
+  "report.takeUpOnly": "{city} – popyt: {takeUp}",
+  "report.vacancyRate": "{city} – współczynnik pustostanów: {change} kw/kw do {value}{record}",
+  "report.vacancyRate.flat": "{city} – współczynnik pustostanów bez zmian kw/kw: {value}{record}",
+  "report.takeUp": "{value} ({delta} r/r){record}",
+  "report.takeUp.flat": "{value}, na poziomie sprzed roku{record}",
+  "report.netAbsorption.positive": "absorpcja netto dodatnia: {value}",
+  "report.netAbsorption.negative": "absorpcja netto ujemna: {value}",
+  "report.primeRentEurSqmMonth": "czynsz prime: {change} r/r do {value}{record}",
+  "report.primeRentEurSqmMonth.flat": "czynsz prime bez zmian r/r: {value}{record}",
+  "report.primeYield": "stopa kapitalizacji prime: {change} kw/kw do {value}{record}",
+  "report.primeYield.flat": "stopa kapitalizacji prime stabilna kw/kw: {value}{record}",
+  "report.supply": "nowa podaż w kwartale: {completions}, w budowie: {pipeline}",
+  "report.supply.completedOnly": "nowa podaż w kwartale: {completions}",
+  "report.supply.none": "brak nowej podaży w kwartale, w budowie: {pipeline}",
+  "report.supply.pipelineOnly": "w budowie: {pipeline}",
+
+  /* --- Ranking / Map --- */
+  "ranking.title": "Ranking rynków",
+  "ranking.rank": "Miejsce",
+  "ranking.includeSubmarkets": "Uwzględnij strefy",
+  "ranking.empty": "Brak wartości {metric} za {period}.",
+
+  "map.title": "Mapa rynków",
+  "map.loading": "Ładowanie mapy…",
+  "map.geometryError": "Geometria mapy: {error}",
+
+  /* --- Pipeline --- */
+  "pipeline.title": "Podaż w budowie",
+  "pipeline.ytd": "od pocz. roku",
+  "pipeline.completed": "Oddane",
+  "pipeline.forecast": "Prognoza",
+  "pipeline.noForecast":
+    "Brak prognozy nowej podaży w tym zbiorze; poniższa podaż to powierzchnia w budowie.",
+  "pipeline.stock": "Całkowite zasoby ({period})",
+  "pipeline.underConstruction": "W budowie",
+  "pipeline.forecastAhead": "Prognozowana podaż jeszcze do oddania",
+  "pipeline.forecastCompletions": "Prognozowana nowa podaż",
+  "pipeline.growth": "Prognozowany wzrost zasobów",
+  "pipeline.absorption4Q": "Absorpcja netto, ostatnie 4 kwartały",
+  "pipeline.pressureRatio": "Presja podażowa (podaż ÷ roczna absorpcja: {ratio})",
+  "pipeline.years": "{n} lat",
+  "pipeline.col.stock": "Zasoby",
+  "pipeline.col.pipeline": "Nowa podaż",
+  "pipeline.col.growth": "Wzrost zasobów",
+  "pipeline.col.absorption": "Absorpcja netto 4 kw.",
+  "pipeline.col.years": "Lata absorpcji",
+  "pipeline.col.pressure": "Presja",
+  "pipeline.footnote":
+    "Nowa podaż = prognozowana podaż, jeśli zbiór ją zawiera, w przeciwnym razie powierzchnia w budowie.",
+  "pressure.low": "Niska",
+  "pressure.moderate": "Umiarkowana",
+  "pressure.high": "Wysoka",
+
+  /* --- Composition --- */
+  "composition.title": "Struktura stref",
+  "composition.empty": "{city} nie raportuje stref za {period}.",
+  "composition.nested":
+    "Strefy nakładają się tutaj (np. obszar centralny obejmujący CBD): słupki pokazują udział w sumie stref, a udziały w wartości dla miasta sumują się do ponad 100%.",
+  "composition.share": "Udział",
+  "composition.cityTotal": "Całe miasto",
+  "composition.field.totalStock": "Zasoby",
+  "composition.field.vacancy": "Pustostany",
+  "composition.field.takeUp": "Popyt",
+
+  /* --- What Changed --- */
+  "diff.title": "Zmiany",
+  "diff.comparing": "Porównywanie…",
+  "diff.summary":
+    "Skorygowane wartości: {revised} · nowe kwartały: {periods} · nowe pola: {added} · usunięte pola: {dropped}",
+  "diff.newPeriods": "Nowe kwartały",
+  "diff.removedPeriods": "Usunięte kwartały",
+  "diff.fieldChanges": "Nowe i usunięte pola",
+  "diff.change": "Zmiana",
+  "diff.added": "nowe",
+  "diff.dropped": "usunięte",
+  "diff.value": "Wartość",
+  "diff.revisedValues": "Skorygowane wartości",
+  "diff.allFields": "Wszystkie pola",
+  "diff.field": "Pole",
+  "diff.old": "Poprzednio",
+  "diff.new": "Obecnie",
+  "diff.none": "Brak skorygowanych wartości.",
+
+  /* --- Data Quality --- */
+  "quality.title": "Jakość danych",
+  "quality.findings": "uwagi: {n}",
+  "quality.allChecks": "Wszystkie testy",
+  "quality.check": "Test",
+  "quality.finding": "Uwaga",
+  "quality.none": "Brak uwag.",
+  "check.structure": "Struktura",
+  "check.missingPeriod": "Brakujący kwartał",
+  "check.nonNumeric": "Wartość nieliczbowa",
+  "check.outOfRange": "Poza zakresem",
+  "check.vacancyMismatch": "Pustostany ≠ współczynnik × zasoby",
+  "check.submarketSum": "Strefy ≠ suma",
+  "check.percentAmbiguous": "Niejednoznaczny procent / ułamek",
+  "check.derivedMismatch": "Opublikowane ≠ wyliczone",
+  "finding.noCountries": "Brak obiektu „countries” na najwyższym poziomie",
+  "finding.noCities": "Kraj bez obiektu „cities”",
+  "finding.noPeriods": "Miasto bez „periods”",
+  "finding.badPeriodKey": "Klucz kwartału „{period}” nie ma postaci „Qn RRRR”",
+  "finding.noSubMarkets": "Kwartał bez „subMarkets”",
+  "finding.noTotal": "Brak strefy „{total}”",
+  "finding.missingPeriod": "Brak kwartału {period}",
+  "finding.notNumeric": "{field} nie jest liczbą: „{value}”",
+  "finding.outOfRange": "{field} = {value} poza zakresem {min} … {max}",
+  "finding.derivedMismatch": "{field} {published}, wyliczono {derived} ({diff})",
+  "finding.vacancyMismatch": "pustostany {vacancy}, współczynnik × zasoby {implied}",
+  "finding.submarketOverlap": "Strefy nakładają się (zagnieżdżone), pominięto test sumy",
+  "finding.submarketSum": "suma stref {sum}, suma całkowita {total}",
+  "finding.percentAmbiguous": "{field} = {value} odczytane jako {percent}%",
+
+  /* --- Import --- */
+  "import.title": "Import arkusza",
+  "import.noData": "Plik nie zawiera danych",
+  "import.dropZone": "Upuść tutaj eksport .xlsx lub .csv albo kliknij, aby wybrać plik",
+  "import.headerRow": "Wiersz nagłówka",
+  "import.dataRows": "wiersze danych: {n}",
+  "import.savedMapping": "zastosowano zapisane mapowanie",
+  "import.columnMapping": "Mapowanie kolumn",
+  "import.column": "Kolumna",
+  "import.firstValue": "Pierwsza wartość",
+  "import.mapsTo": "Mapuj na",
+  "import.ignore": "pomiń",
+  "import.market": "Rynek",
+  "import.fields": "Pola",
+  "import.preview": "Podgląd",
+  "import.values": "wartości: {n}",
+  "import.rowsSkipped": "pominięte wiersze: {n}",
+  "import.status": "Status",
+  "import.submarkets": "Strefy",
+  "import.valuesCol": "Wartości",
+  "import.differ": "Różne od wczytanych",
+  "import.skipped": "Pominięto",
+  "import.row": "wiersz {n}",
+  "import.skip.noMarket": "Brak kraju, miasta lub kwartału",
+  "import.skip.noValues": "Brak przypisanych wartości",
+  "import.overwrite": "Nadpisz wartości różniące się od wczytanego zbioru",
+  "import.merge": "Scal ze zbiorem",
+  "import.status.new market": "nowy rynek",
+  "import.status.new period": "nowy kwartał",
+  "import.status.update": "aktualizacja",
+};
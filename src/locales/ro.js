@@ -0,0 +1,354 @@
+// src/locales/ro.js
+export default {
+  "period.format": "T{q} {year}",
+
+  /* --- App frame --- */
+  "app.title.Office": "Piața de birouri din {city}",
+  "app.title.Industrial": "Piața industrială și logistică din {city}",
+  "app.title.Retail": "Piața de retail din {city}",
+  "app.title.Residential": "Piața rezidențială din {city}",
+  "app.market": "Piață",
+  "app.loading": "Se încarcă…",
+  "app.dataset": "Set de date",
+  "app.currency": "Monedă",
+  "app.currencyHint":
+    "Valorile monetare sunt convertite la cursul de la sfârșitul trimestrului; chiriile prime locale sunt afișate în moneda cotată",
+  "app.units": "Unități",
+  "app.rentPeriodHint": "Chirii și taxe de servicii",
+  "app.language": "Limbă",
+  "app.imported": "Include fișiere importate: {files} (nesalvate).",
+  "app.qualityBanner": "Constatări privind calitatea datelor în acest set: {n}.",
+  "app.offline": "Offline – date la {asOf}.",
+  "app.fetchedAt": "Descărcat la {date}.",
+  "app.updateAvailable": "Este disponibilă o versiune mai nouă: {label}; încărcarea ei elimină rândurile importate.",
+  "app.loadUpdate": "Încarcă actualizarea",
+  "app.details": "Detalii",
+  "sector.Office": "Birouri",
+  "sector.Industrial": "Industrial și logistică",
+  "sector.Retail": "Retail",
+  "sector.Residential": "Rezidențial",
+  "sector.noData": "fără date",
+
+  "tab.explorer": "Explorator",
+  "tab.dashboard": "Panou",
+  "tab.ranking": "Clasament",
+  "tab.map": "Hartă",
+  "tab.pipeline": "Proiecte",
+  "tab.composition": "Structură",
+  "tab.diff": "Modificări",
+  "tab.report": "Raport",
+  "tab.quality": "Calitatea datelor",
+  "tab.import": "Import",
+
+  "common.country": "Țară",
+  "common.city": "Oraș",
+  "common.submarket": "Subpiață",
+  "common.period": "Trimestru",
+  "common.allCities": "Toate orașele",
+  "common.openInExplorer": "Deschide în explorator",
+  "common.showMore": "Mai multe (încă {n})",
+
+  "group.Stock": "Stoc",
+  "group.Vacancy": "Spații libere",
+  "group.Demand": "Cerere",
+  "group.Pipeline": "Proiecte",
+  "group.Pricing": "Prețuri",
+  "group.Other": "Altele",
+
+  "change.qoq": "Δ trim./trim.",
+  "change.yoy": "Δ an/an",
+  "unit.pp": "p.p.",
+
+  /* --- Metrics --- */
+  "metric.totalStock": "Stoc total (m²)",
+  "metric.vacancy": "Spații libere (m²)",
+  "metric.vacancyRate": "Rata de neocupare (%)",
+  "metric.takeUp": "Cerere brută (m²)",
+  "metric.netAbsorption": "Absorbție netă (m²)",
+  "metric.completionsYTD": "Livrări (m²)",
+  "metric.underConstruction": "În construcție (m²)",
+  "metric.primeYield": "Randament prime – convenție locală (%)",
+  "metric.capitalValueEurSqm": "Valoare de capital (€/m²)",
+  "metric.primeRentEurSqmMonth": "Chirie prime (€/m² pm)",
+  "metric.averageRentEurSqmMonth": "Chirie medie (€/m² pm)",
+  "metric.netEffectiveRentEurSqmMonth": "Chirie netă efectivă (€/m² pm)",
+  "metric.netAverageAskingRentEurSqmMonth": "Chirie medie netă solicitată (€/m² pm)",
+  "metric.serviceChargeEurSqmMonth": "Taxă de servicii (€/m² pm)",
+  "metric.leaseLengthMonths": "Durată uzuală a contractului (ani)",
+  "metric.rentFreeMonthPerYear": "Perioadă uzuală fără chirie (luni)",
+  "metric.primeRentSmallUnitsEurSqmMonth": "Chirie prime – unități mici (€/m² pm)",
+  "metric.zoneARentEurSqmMonth": "Chirie prime zona A – stradal (€/m² pm)",
+  "metric.shoppingCentrePrimeRentEurSqmMonth": "Chirie prime – centre comerciale (€/m² pm)",
+  "metric.averageSalePriceEurSqm": "Preț mediu de vânzare (€/m²)",
+  "metric.impliedCapitalValueEurSqm": "Valoare de capital implicită (€/m²)",
+  "metric.reversionaryYield": "Randament reversionar (%)",
+  "metric.yieldSpread": "Diferență față de obligațiunile la 10 ani (pp)",
+  "metric.rentFreeAdjustedRentEurSqmMonth": "Chirie netă efectivă ajustată pentru perioada fără chirie (€/m² pm)",
+
+  "snapshot.market": "Indicatori de piață",
+  "snapshot.leasing": "Condiții de închiriere",
+  "snapshot.more": "Alți indicatori",
+  "snapshot.derived": "Indicatori derivați",
+  "derived.bondYield": "Randamentul obligațiunilor de stat la 10 ani, {country} (%)",
+  "derived.mismatch": "Publicat {published}, derivat {derived} ({diff})",
+
+  /* --- Explorer --- */
+  "trend.title": "Evoluție istorică",
+  "trend.bar": "Bare",
+  "trend.line": "Linie",
+  "trend.leftAxis": "axa stângă",
+  "trend.rightAxis": "axa dreaptă",
+  "trend.addMetric": "Adaugă indicator",
+  "trend.startPeriod": "De la",
+  "trend.endPeriod": "Până la",
+  "trend.perAnnum": "pe an",
+
+  "transform.raw": "Valori",
+  "transform.qoq": "Variație trim./trim.",
+  "transform.yoy": "Variație an/an",
+  "transform.index": "Indice (trimestrul de start = 100)",
+  "transform.roll4sum": "Sumă mobilă pe 4 trimestre",
+  "transform.roll4avg": "Medie mobilă pe 4 trimestre",
+
+  "scenario.title": "Prognoză de scenariu pentru {market}",
+  "scenario.horizon": "Orizont",
+  "scenario.quarters": "{n} trimestre",
+  "scenario.absorption": "Absorbție netă / trimestru",
+  "scenario.completions": "Livrări / trimestru",
+  "scenario.primeRent": "Chirie prime",
+  "scenario.trailing": "Media ultimelor 4 trimestre",
+  "scenario.custom": "Valoare proprie",
+  "scenario.summary":
+    "Din {start}: absorbție netă {absorption} și livrări {completions} pe trimestru.",
+  "scenario.setEnd": "Setați „Până la” pe {period} pentru a vedea prognoza.",
+  "scenario.selectMetric":
+    "Alegeți stocul total, spațiile libere, rata de neocupare sau chiria prime pentru a vedea prognoza.",
+  "scenario.noData":
+    "Nu există stoc / spații libere în ultimul trimestru al acestei piețe, nimic de prognozat.",
+  "scenario.forecast": "prognoză",
+  "scenario.forecastMarker": "Prognoză",
+  "rentModel.none": "Fără prognoză de chirie",
+  "rentModel.trend": "Trend liniar (ultimele 8 trimestre)",
+  "rentModel.regression": "Regresie pe rata de neocupare",
+  "rentPeriod.month": "pe lună",
+  "rentPeriod.year": "pe an",
+
+  "compare.market": "Piața {n}",
+  "compare.moveUp": "Mută în sus",
+  "compare.moveDown": "Mută în jos",
+  "compare.remove": "Elimină",
+  "compare.add": "Adaugă piață",
+  "compare.addAll": "Adaugă toate orașele: {country}",
+
+  "export.factSheet": "Fișă de piață (PDF)",
+  "export.footer":
+    "Sursa: CBRE Research · Date la {period} · Monedă: {currency} · Generat la {date}",
+
+  /* --- Saved Views / Dashboard --- */
+  "saved.save": "Salvează vizualizarea",
+  "saved.namePrompt": "Numele vizualizării salvate",
+  "saved.openPlaceholder": "Vizualizări salvate…",
+  "saved.name": "Nume",
+  "saved.open": "Deschide",
+  "saved.export": "Exportă vizualizările",
+  "saved.import": "Importă vizualizări",
+  "saved.invalidFile": "{file} nu este un fișier cu vizualizări salvate.",
+  "dashboard.title": "Panoul meu",
+  "dashboard.favorite": "Pe panou",
+  "dashboard.empty":
+    "Nu există încă vizualizări pe panou – adăugați una cu „☆ Salvează vizualizarea” de pe orice pagină.",
+  "dashboard.footnote":
+    "Fiecare card arată primul indicator de trend al unei vizualizări ★, de la trimestrul de start până la cel mai recent; clic pe card pentru a deschide vizualizarea.",
+
+  /* --- Lease Deal Calculator --- */
+  "lease.title": "Calculator pentru contractul de închiriere",
+  "lease.area": "Suprafață ({unit})",
+  "lease.rent": "Chirie nominală ({unit})",
+  "lease.serviceCharge": "Taxă de servicii ({unit})",
+  "lease.fitOut": "Contribuția proprietarului la amenajare ({unit})",
+  "lease.discountRate": "Rată de actualizare (% pe an)",
+  "lease.areaPerWorkstation": "Suprafață per post de lucru ({unit})",
+  "lease.noRent":
+    "Pentru această piață nu este publicată o chirie prime – introduceți chiria nominală.",
+  "lease.termYears": "Durata contractului (ani)",
+  "lease.rentFreeMonths": "Perioadă fără chirie (luni)",
+  "lease.totalRent": "Chirie totală",
+  "lease.totalServiceCharge": "Taxe de servicii totale",
+  "lease.totalCost": "Cost total de ocupare",
+  "lease.faceRent": "Chirie nominală",
+  "lease.effectiveRent": "Chirie efectivă",
+  "lease.tenantNpv": "VAN al costului de ocupare (chiriaș)",
+  "lease.landlordNpv": "VAN al chiriei nete (proprietar)",
+  "lease.costPerWorkstation": "Cost de ocupare per post de lucru pe an",
+  "lease.footnote":
+    "Variantele scăzută / medie / ridicată folosesc limitele intervalelor publicate pentru durata contractului și perioada fără chirie. Chiria se plătește lunar în avans după perioada fără chirie, taxa de servicii pe toată durata; contribuția la amenajare la început.",
+  "leaseScenario.low": "Scăzută",
+  "leaseScenario.mid": "Medie",
+  "leaseScenario.high": "Ridicată",
+
+  /* --- Quarterly Report --- */
+  "report.title": "Raport trimestrial de piață",
+  "report.market": "Oraș",
+  "report.period": "Trimestru",
+  "report.commentary": "Comentariu",
+  "report.metric": "Indicator",
+  "report.copy": "Copiază Markdown",
+  "report.copied": "Copiat",
+  "report.copyFailed": "Copierea nu este permisă aici – selectați textul Markdown de mai jos și copiați-l.",
+  "report.noData": "Nu există date pentru {city} în {period}.",
+  "report.bps": "{n} pb",
+  "report.change.up": "creștere cu {delta}",
+  "report.change.upSlight": "ușoară creștere cu {delta}",
+  "report.change.upSharp": "creștere puternică cu {delta}",
+  "report.change.down": "scădere cu {delta}",
+  "report.change.downSlight": "ușoară scădere cu {delta}",
+  "report.change.downSharp": "scădere puternică cu {delta}",
+  "report.record.high": " – cel mai ridicat nivel de la începutul seriei ({start})",
+  "report.record.low": " – cel mai scăzut nivel de la începutul seriei ({start})",
+  "report.record.highSince": " – cel mai ridicat nivel din {period}",
+  "report.record.lowSince": " – cel mai scăzut nivel din {period}",
+  "report.headline": "{vacancy}; cerere brută: {takeUp}",
+  "report.takeUpOnly": "{city} – cerere brută: {takeUp}",
+  "report.vacancyRate": "{city} – rata de neocupare: {change} trim./trim., la {value}{record}",
+  "report.vacancyRate.flat": "{city} – rata de neocupare neschimbată trim./trim.: {value}{record}",
+  "report.takeUp": "{value} ({delta} an/an){record}",
+  "report.takeUp.flat": "{value}, la nivelul de acum un an{record}",
+  "report.netAbsorption.positive": "absorbție netă pozitivă: {value}",
+  "report.netAbsorption.negative": "absorbție netă negativă: {value}",
+  "report.primeRentEurSqmMonth": "chiria prime: {change} an/an, la {value}{record}",
+  "report.primeRentEurSqmMonth.flat": "chiria prime neschimbată an/an: {value}{record}",
+  "report.primeYield": "randamentul prime: {change} trim./trim., la {value}{record}",
+  "report.primeYield.flat": "randamentul prime stabil trim./trim.: {value}{record}",
+  "report.supply": "livrări noi în trimestru: {completions}, în construcție: {pipeline}",
+  "report.supply.completedOnly": "livrări noi în trimestru: {completions}",
+  "report.supply.none": "nicio livrare nouă în trimestru, în construcție: {pipeline}",
+  "report.supply.pipelineOnly": "în construcție: {pipeline}",
+
+  /* --- Ranking / Map --- */
+  "ranking.title": "Clasamentul piețelor",
+  "ranking.rank": "Loc",
+  "ranking.includeSubmarkets": "Include subpiețele",
+  "ranking.empty": "Nicio valoare {metric} pentru {period}.",
+
+  "map.title": "Harta piețelor",
+  "map.loading": "Se încarcă harta…",
+  "map.geometryError": "Geometria hărții: {error}",
+
+  /* --- Pipeline --- */
+  "pipeline.title": "Proiecte în dezvoltare",
+  "pipeline.ytd": "de la începutul anului",
+  "pipeline.completed": "Livrat",
+  "pipeline.forecast": "Prognoză",
+  "pipeline.noForecast":
+    "Setul nu conține o prognoză de livrări; proiectele de mai jos sunt spațiile în construcție.",
+  "pipeline.stock": "Stoc total ({period})",
+  "pipeline.underConstruction": "În construcție",
+  "pipeline.forecastAhead": "Livrări prognozate încă de venit",
+  "pipeline.forecastCompletions": "Livrări prognozate",
+  "pipeline.growth": "Creștere estimată a stocului",
+  "pipeline.absorption4Q": "Absorbție netă, ultimele 4 trimestre",
+  "pipeline.pressureRatio": "Presiunea ofertei (proiecte ÷ absorbție anuală: {ratio})",
+  "pipeline.years": "{n} ani",
+  "pipeline.col.stock": "Stoc",
+  "pipeline.col.pipeline": "Proiecte",
+  "pipeline.col.growth": "Creșterea stocului",
+  "pipeline.col.absorption": "Absorbție netă 4T",
+  "pipeline.col.years": "Ani de absorbție",
+  "pipeline.col.pressure": "Presiune",
+  "pipeline.footnote":
+    "Proiecte = livrări prognozate acolo unde setul le conține, altfel spații în construcție.",
+  "pressure.low": "Scăzută",
+  "pressure.moderate": "Moderată",
+  "pressure.high": "Ridicată",
+
+  /* --- Composition --- */
+  "composition.title": "Structura subpiețelor",
+  "composition.empty": "{city} nu raportează subpiețe pentru {period}.",
+  "composition.nested":
+    "Subpiețele se suprapun aici (de ex. o zonă centrală care include CBD): barele arată partea fiecărei subpiețe din suma subpiețelor, iar ponderile din totalul orașului însumează peste 100%.",
+  "composition.share": "Pondere",
+  "composition.cityTotal": "Total oraș",
+  "composition.field.totalStock": "Stoc",
+  "composition.field.vacancy": "Spații libere",
+  "composition.field.takeUp": "Cerere",
+
+  /* --- What Changed --- */
+  "diff.title": "Modificări",
+  "diff.comparing": "Se compară…",
+  "diff.summary":
+    "Valori revizuite: {revised} · trimestre noi: {periods} · câmpuri noi: {added} · câmpuri eliminate: {dropped}",
+  "diff.newPeriods": "Trimestre noi",
+  "diff.removedPeriods": "Trimestre eliminate",
+  "diff.fieldChanges": "Câmpuri noi și eliminate",
+  "diff.change": "Modificare",
+  "diff.added": "nou",
+  "diff.dropped": "eliminat",
+  "diff.value": "Valoare",
+  "diff.revisedValues": "Valori revizuite",
+  "diff.allFields": "Toate câmpurile",
+  "diff.field": "Câmp",
+  "diff.old": "Vechi",
+  "diff.new": "Nou",
+  "diff.none": "Nicio valoare revizuită.",
+
+  /* --- Data Quality --- */
+  "quality.title": "Calitatea datelor",
+  "quality.findings": "{n} constatări",
+  "quality.allChecks": "Toate verificările",
+  "quality.check": "Verificare",
+  "quality.finding": "Constatare",
+  "quality.none": "Nicio constatare.",
+  "check.structure": "Structură",
+  "check.missingPeriod": "Trimestru lipsă",
+  "check.nonNumeric": "Valoare nenumerică",
+  "check.outOfRange": "În afara intervalului",
+  "check.vacancyMismatch": "Spații libere ≠ rată × stoc",
+  "check.submarketSum": "Subpiețe ≠ total",
+  "check.percentAmbiguous": "Procent / fracție ambiguu",
+  "check.derivedMismatch": "Publicat ≠ derivat",
+  "finding.noCountries": "Lipsește obiectul „countries” de la nivelul superior",
+  "finding.noCities": "Țara nu are obiectul „cities”",
+  "finding.noPeriods": "Orașul nu are „periods”",
+  "finding.badPeriodKey": "Cheia de trimestru „{period}” nu are forma „Qn AAAA”",
+  "finding.noSubMarkets": "Trimestrul nu are „subMarkets”",
+  "finding.noTotal": "Lipsește subpiața „{total}”",
+  "finding.missingPeriod": "{period} lipsește",
+  "finding.notNumeric": "{field} nu este numeric: „{value}”",
+  "finding.outOfRange": "{field} = {value} în afara intervalului {min} … {max}",
+  "finding.derivedMismatch": "{field} {published} față de derivat {derived} ({diff})",
+  "finding.vacancyMismatch": "spații libere {vacancy} față de rată × stoc {implied}",
+  "finding.submarketOverlap": "Subpiețele se suprapun (imbricate), verificarea sumei a fost omisă",
+  "finding.submarketSum": "suma subpiețelor {sum} față de total {total}",
+  "finding.percentAmbiguous": "{field} = {value} se citește ca {percent}%",
+
+  /* --- Import --- */
+  "import.title": "Import foaie de calcul",
+  "import.noData": "Fișierul nu conține date",
+  "import.dropZone": "Trageți aici un export .xlsx sau .csv sau faceți clic pentru a alege un fișier",
+  "import.headerRow": "Rând de antet",
+  "import.dataRows": "{n} rânduri de date",
+  "import.savedMapping": "maparea salvată a fost aplicată",
+  "import.columnMapping": "Maparea coloanelor",
+  "import.column": "Coloană",
+  "import.firstValue": "Prima valoare",
+  "import.mapsTo": "Mapare la",
+  "import.ignore": "ignoră",
+  "import.market": "Piață",
+  "import.fields": "Câmpuri",
+  "import.preview": "Previzualizare",
+  "import.values": "{n} valori",
+  "import.rowsSkipped": "{n} rânduri omise",
+  "import.status": "Stare",
+  "import.submarkets": "Subpiețe",
+  "import.valuesCol": "Valori",
+  "import.differ": "Diferite de cele încărcate",
+  "import.skipped": "Omis",
+  "import.row": "rândul {n}",
+  "import.skip.noMarket": "Lipsește țara, orașul sau trimestrul",
+  "import.skip.noValues": "Nicio valoare asociată",
+  "import.overwrite": "Suprascrie valorile care diferă de setul încărcat",
+  "import.merge": "Îmbină în set",
+  "import.status.new market": "piață nouă",
+  "import.status.new period": "trimestru nou",
+  "import.status.update": "actualizare",
+};
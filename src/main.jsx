@@ -2,9 +2,12 @@ import React from "react";
 import ReactDOM from "react-dom/client";
 import "./index.css";
 import DataExplorer from "./DataExplorer.jsx";
+import { registerServiceWorker } from "./offline.js";
 
 ReactDOM.createRoot(document.getElementById("root")).render(
   <React.StrictMode>
     <DataExplorer />
   </React.StrictMode>
 );
+
+registerServiceWorker();
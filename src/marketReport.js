@@ -0,0 +1,275 @@
+// src/marketReport.js
+// Quarterly market report for one city: the key metrics of a quarter with
+// their q-o-q / y-o-y changes, and a commentary written from fixed rules
+//
+//   direction   rose / fell / unchanged (below the metric's `flat` threshold)
+//   magnitude   "edged" below `slight`, "sharply" from `sharp` on
+//   records     highest / lowest of the series, or since a quarter at least
+//               two years back
+//
+// Rates change in basis points, everything else in percent. The sentence
+// templates live in the catalogs ("report.*"), so the text follows the UI
+// language; toMarkdown() / toHtml() turn a report into newsletter copy.
+import {
+  buildTrendSeries,
+  citySubmarket,
+  comparePeriods,
+  fmtFixed,
+  fmtMoney,
+  fmtNumber,
+  fmtPct,
+  shiftPeriod,
+  toPercentValue,
+} from "./marketUtils.js";
+import { numberLocale, t, fmtPeriod } from "./i18n.js";
+
+// change: the comparison the commentary quotes; thresholds in bps / %
+export const REPORT_METRICS = [
+  { key: "vacancyRate", change: "qoq", digits: 1, flat: 5, slight: 25, sharp: 100 },
+  { key: "takeUp", change: "yoy", flat: 2, slight: 10, sharp: 30 },
+  { key: "netAbsorption" },
+  { key: "primeRentEurSqmMonth", change: "yoy", flat: 0.5, slight: 2, sharp: 10 },
+  { key: "primeYield", change: "qoq", digits: 2, flat: 5, slight: 15, sharp: 50 },
+  { key: "completionsYTD" },
+  { key: "underConstruction" },
+  { key: "totalStock" },
+];
+
+// A record needs this much history, a "since" this many quarters back
+const RECORD_MIN_QUARTERS = 8;
+
+/* ===== Figures ===== */
+// bps for rates, % otherwise; null without both values or, for flows that
+// can turn negative (net absorption), from a base that is not positive
+function changeOf(def, value, before) {
+  if (value == null || before == null) return null;
+  if (def.kind === "percent") return (toPercentValue(value) - toPercentValue(before)) * 100;
+  return before > 0 ? (value / before - 1) * 100 : null;
+}
+
+// { type: "high" | "low", since: period | null (whole series) } or null
+function recordOf(series, period, value) {
+  const history = series.filter((p) => comparePeriods(p.period, period) < 0);
+  if (value == null || history.length < RECORD_MIN_QUARTERS) return null;
+  for (const type of ["high", "low"]) {
+    const beats = (v) => (type === "high" ? value > v : value < v);
+    if (history.every((p) => beats(p.value))) return { type, since: null };
+    const last = history.filter((p) => !beats(p.value)).pop();
+    const gap = history.length - history.indexOf(last);
+    if (gap >= RECORD_MIN_QUARTERS) return { type, since: last.period };
+  }
+  return null;
+}
+
+// defs: metric catalog in the display units (labels, units, kinds);
+// null when the city has no data for the period
+export function buildMarketReport(raw, country, city, period, defs) {
+  const cityNode = raw?.countries?.[country]?.cities?.[city];
+  const node = cityNode?.periods?.[period];
+  if (!node) return null;
+  const submarket = citySubmarket(node);
+  const start = Object.keys(cityNode.periods).sort(comparePeriods)[0];
+
+  const rows = REPORT_METRICS.map((m) => {
+    const def = { ...m, ...(defs.find((d) => d.key === m.key) || {}) };
+    const series = buildTrendSeries(raw, country, city, submarket, m.key).filter(
+      (p) => comparePeriods(p.period, period) <= 0
+    );
+    const at = (p) => series.find((s) => s.period === p)?.value ?? null;
+    const value = at(period);
+    return {
+      ...def,
+      value,
+      qoq: changeOf(def, value, at(shiftPeriod(period, -1))),
+      yoy: changeOf(def, value, at(shiftPeriod(period, -4))),
+      record: recordOf(series, period, value),
+    };
+  }).filter((r) => r.value !== null);
+
+  return {
+    country,
+    city,
+    submarket,
+    period,
+    start,
+    rows,
+    commentary: commentary(city, start, rows),
+  };
+}
+
+/* ===== Formatting ===== */
+// Whole units; compact: "111K" (commentary) instead of "110,030" (table)
+function formatArea(v, compact) {
+  if (Math.abs(v) < 1000) return fmtFixed(v, 0);
+  if (!compact) return fmtNumber(v);
+  return v.toLocaleString(numberLocale(), { notation: "compact", maximumFractionDigits: 0 });
+}
+
+export function formatReportValue(row, compact = false) {
+  if (row.kind === "percent") return fmtPct(toPercentValue(row.value), row.digits ?? 1);
+  if (row.kind === "money") return `${fmtMoney(row.value)} ${row.unit}`;
+  const n = formatArea(row.value, compact);
+  return row.unit ? `${n} ${row.unit}` : n;
+}
+
+// Rounded as shown: whole bps, % to one decimal
+const roundChange = (row, change) =>
+  row.kind === "percent" ? Math.round(change) : Math.round(change * 10) / 10;
+
+// Signed change for the table: "−40 bps", "+12.5%"
+export function formatReportChange(row, change) {
+  if (change == null) return "–";
+  const shown = roundChange(row, change);
+  const sign = shown > 0 ? "+" : shown < 0 ? "−" : "±";
+  return `${sign}${formatDelta(row, shown)}`;
+}
+
+function formatDelta(row, change) {
+  return row.kind === "percent"
+    ? t("report.bps", { n: fmtFixed(Math.abs(change), 0) })
+    : fmtPct(Math.abs(change), 1);
+}
+
+/* ===== Commentary ===== */
+// Change phrase by direction and magnitude, null when flat
+function changePhrase(row, change) {
+  if (change == null || Math.abs(change) < row.flat) return null;
+  const abs = Math.abs(change);
+  const size = abs < row.slight ? "Slight" : abs >= row.sharp ? "Sharp" : "";
+  return t(`report.change.${change > 0 ? "up" : "down"}${size}`, {
+    delta: formatDelta(row, change),
+  });
+}
+
+function recordClause(row, start) {
+  const r = row.record;
+  if (!r) return "";
+  if (!r.since) return t(`report.record.${r.type}`, { start: fmtPeriod(start) });
+  return t(`report.record.${r.type}Since`, { period: fmtPeriod(r.since) });
+}
+
+// Sentence of a metric with a quoted change: "report.<key>" / "report.<key>.flat";
+// templates get the change as a phrase ("fell 40 bps") and signed ("−40 bps")
+function changeSentence(row, start, params) {
+  const change = changePhrase(row, row[row.change]);
+  return t(change ? `report.${row.key}` : `report.${row.key}.flat`, {
+    ...params,
+    change,
+    delta: formatReportChange(row, row[row.change]),
+    value: formatReportValue(row, true),
+    record: recordClause(row, start),
+  });
+}
+
+function commentary(city, start, rows) {
+  const row = (key) => rows.find((r) => r.key === key);
+  const out = [];
+
+  // headline: vacancy, as take-up reached …
+  const vacancy = row("vacancyRate");
+  const takeUp = row("takeUp");
+  const takeUpText =
+    takeUp &&
+    (takeUp.yoy == null
+      ? `${formatReportValue(takeUp, true)}${recordClause(takeUp, start)}`
+      : changeSentence(takeUp, start));
+  if (vacancy) {
+    const text = changeSentence(vacancy, start, { city });
+    out.push(takeUpText ? t("report.headline", { vacancy: text, takeUp: takeUpText }) : text);
+  } else if (takeUpText) {
+    out.push(t("report.takeUpOnly", { city, takeUp: takeUpText }));
+  }
+
+  const absorption = row("netAbsorption");
+  if (absorption && absorption.value !== 0) {
+    out.push(
+      t(`report.netAbsorption.${absorption.value > 0 ? "positive" : "negative"}`, {
+        value: formatReportValue({ ...absorption, value: Math.abs(absorption.value) }, true),
+      })
+    );
+  }
+
+  for (const key of ["primeRentEurSqmMonth", "primeYield"]) {
+    if (row(key)) out.push(changeSentence(row(key), start));
+  }
+
+  // supply: completions of the quarter and the pipeline
+  const completed = row("completionsYTD");
+  const pipeline = row("underConstruction");
+  const pipelineText = pipeline?.value ? formatReportValue(pipeline, true) : null;
+  if (completed?.value) {
+    const completions = formatReportValue(completed, true);
+    out.push(
+      pipelineText
+        ? t("report.supply", { completions, pipeline: pipelineText })
+        : t("report.supply.completedOnly", { completions })
+    );
+  } else if (pipelineText) {
+    out.push(
+      t(completed ? "report.supply.none" : "report.supply.pipelineOnly", {
+        pipeline: pipelineText,
+      })
+    );
+  }
+
+  return out.map((s) => `${s.charAt(0).toUpperCase()}${s.slice(1)}.`);
+}
+
+/* ===== Newsletter copy ===== */
+// title: e.g. "Warsaw Office Market – Q4 2025"; footer: source line
+export function toMarkdown(report, title, footer) {
+  const head = [t("report.metric"), fmtPeriod(report.period), t("change.qoq"), t("change.yoy")];
+  const lines = [
+    `## ${title}`,
+    "",
+    report.commentary.join(" "),
+    "",
+    `| ${head.join(" | ")} |`,
+    `|${head.map((_, i) => (i ? " ---: " : " --- ")).join("|")}|`,
+    ...report.rows.map(
+      (r) =>
+        `| ${[
+          r.label,
+          formatReportValue(r),
+          formatReportChange(r, r.qoq),
+          formatReportChange(r, r.yoy),
+        ].join(" | ")} |`
+    ),
+    "",
+    `_${footer}_`,
+  ];
+  return lines.join("\n") + "\n";
+}
+
+const HTML_ESCAPES = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" };
+const escapeHtml = (s) => String(s).replace(/[&<>"]/g, (c) => HTML_ESCAPES[c]);
+
+// Self-contained fragment with inline styles, for pasting into a mail tool
+export function toHtml(report, title, footer) {
+  const cell = "padding:4px 8px;border-bottom:1px solid #ddd;";
+  const right = `${cell}text-align:right;`;
+  const head = [t("report.metric"), fmtPeriod(report.period), t("change.qoq"), t("change.yoy")];
+  const rows = report.rows
+    .map(
+      (r) =>
+        `    <tr><td style="${cell}">${escapeHtml(r.label)}</td>` +
+        [formatReportValue(r), formatReportChange(r, r.qoq), formatReportChange(r, r.yoy)]
+          .map((v) => `<td style="${right}">${escapeHtml(v)}</td>`)
+          .join("") +
+        "</tr>"
+    )
+    .join("\n");
+
+  return `<div style="font-family:Arial,sans-serif;color:#222;max-width:640px">
+  <h2 style="color:#003f2d">${escapeHtml(title)}</h2>
+  <p>${escapeHtml(report.commentary.join(" "))}</p>
+  <table style="border-collapse:collapse;font-size:14px;width:100%">
+    <tr style="background:#f0f4fa">${head
+      .map((h, i) => `<th style="${i ? right : cell}">${escapeHtml(h)}</th>`)
+      .join("")}</tr>
+${rows}
+  </table>
+  <p style="font-size:12px;color:#777">${escapeHtml(footer)}</p>
+</div>
+`;
+}
@@ -0,0 +1,265 @@
+// src/marketUtils.js
+import { numberLocale } from "./i18n.js";
+
+/* ===== Formatting Helpers (in the UI locale, see i18n.js) ===== */
+export function fmtNumber(n) {
+  if (n === null || n === undefined || n === "" || Number.isNaN(n)) return "–";
+  const v = Number(n);
+
+  // ✅ Large values (>= 1000) – show as integers
+  if (Math.abs(v) >= 1000) {
+    return v.toLocaleString(numberLocale(), {
+      minimumFractionDigits: 0,
+      maximumFractionDigits: 0,
+    });
+  }
+
+  // ✅ Small values (< 1000) – always two decimals
+  return v.toLocaleString(numberLocale(), {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  });
+}
+
+export function fmtMoney(n) {
+  if (n === null || n === undefined || n === "" || Number.isNaN(n)) return "–";
+  const v = Number(n);
+  return v.toLocaleString(numberLocale(), {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  });
+}
+
+// Percent values are stored both as fraction (0.039) and as percent (3.9)
+export function toPercentValue(n) {
+  const v = coerceNumber(n);
+  if (v === null) return null;
+  return Math.abs(v) <= 1 ? v * 100 : v;
+}
+
+export function fmtPercent(n) {
+  return fmtPct(toPercentValue(n));
+}
+
+// Value already in percent: 3.9 → "3.90%" (en) / "3,90 %" (de)
+export function fmtPct(v, digits = 2) {
+  if (v === null || v === undefined || Number.isNaN(v)) return "–";
+  return (v / 100).toLocaleString(numberLocale(), {
+    style: "percent",
+    minimumFractionDigits: digits,
+    maximumFractionDigits: digits,
+  });
+}
+
+// Fixed decimals without grouping rules of fmtNumber (ratios, changes)
+export function fmtFixed(v, digits = 1) {
+  if (v === null || v === undefined || Number.isNaN(v)) return "–";
+  return v.toLocaleString(numberLocale(), {
+    minimumFractionDigits: digits,
+    maximumFractionDigits: digits,
+  });
+}
+
+export function coerceNumber(v) {
+  if (v === null || v === undefined) return null;
+  if (typeof v === "number") return v;
+  let s = String(v).trim();
+  if (s === "" || s === "–") return null;
+  s = s.replace(/[€%\s]/g, "");
+  if (s.includes(",") && s.includes(".")) s = s.replace(/\./g, "").replace(",", ".");
+  else if (s.includes(",")) s = s.replace(",", ".");
+  const num = parseFloat(s);
+  return Number.isNaN(num) ? null : num;
+}
+
+export function formatMaybeRange(v, kind = "number") {
+  if (v === null || v === undefined || v === "") return "–";
+  if (typeof v === "number")
+    return kind === "money" ? fmtMoney(v) : fmtNumber(v);
+
+  const parts = String(v)
+    .replace(/€/g, "")
+    .split(/\s*(?:-|–|to)\s*/i);
+  if (parts.length >= 2) return `${parts[0]} – ${parts[1]}`;
+  return v;
+}
+
+// "5-7" → { low: 5, mid: 6, high: 7 }; a single value fills all three,
+// null when nothing numeric is found
+export function rangeBounds(v) {
+  if (v === null || v === undefined) return null;
+  const parts = (typeof v === "number" ? [v] : String(v).split(/\s*(?:-|–|to)\s*/i))
+    .map(coerceNumber)
+    .filter((n) => n !== null);
+  if (!parts.length) return null;
+  const low = Math.min(...parts);
+  const high = Math.max(...parts);
+  return { low, mid: (low + high) / 2, high };
+}
+
+/* ===== Metric accessor (submarket first, then leasing / Total) ===== */
+// periodNode: raw.countries[c].cities[ct].periods[p]; returns a value or "–"
+export function resolveMetric(periodNode, submarket, key) {
+  const metricSource = periodNode?.subMarkets?.[submarket] || {};
+  const leasingSource = periodNode?.leasing || {};
+
+  // === PRIME RENT ===
+  if (key === "primeRentEurSqmMonth") {
+    // 1️⃣ Prime Rent exists ONLY where explicitly provided
+    const prime =
+      coerceNumber(metricSource?.primeRentEurSqmMonth) ??
+      coerceNumber(metricSource?.primeRentLocal) ??
+      coerceNumber(leasingSource?.primeRentEurSqmMonth) ??
+      coerceNumber(leasingSource?.primeRentLocal);
+
+    return prime ?? "–";
+  }
+
+  // === AVERAGE RENT €/m² pm ===
+  if (key === "averageRentEurSqmMonth") {
+    // 1️⃣ Submarket first
+    const sub = coerceNumber(metricSource?.[key]);
+    if (sub != null) return sub;
+
+    // 2️⃣ Fallback: TOTAL
+    const total = coerceNumber(leasingSource?.[key]);
+    if (total != null) return total;
+
+    return "–";
+  }
+
+  // === SERVICE CHARGE ===
+  if (key === "serviceChargeEurSqmMonth") {
+    const sc =
+      coerceNumber(leasingSource?.serviceChargeEurSqmMonth) ??
+      coerceNumber(leasingSource?.serviceCharge);
+
+    return sc ?? "–";
+  }
+
+  // === EVERYTHING ELSE ===
+  return metricSource[key] ?? leasingSource[key] ?? "–";
+}
+
+// Numeric value for charts / rankings; rates normalized to percent
+export function numericMetric(periodNode, submarket, metric) {
+  const v = resolveMetric(periodNode, submarket, metric.key);
+  return metric.kind === "percent" ? toPercentValue(v) : coerceNumber(v);
+}
+
+// Submarket that stands for the whole city ("Total" where the data has one)
+export function citySubmarket(periodNode) {
+  const subs = Object.keys(periodNode?.subMarkets || {});
+  return subs.includes("Total") ? "Total" : subs[0] || "";
+}
+
+/* ===== Row kinds used by the snapshot panels ===== */
+// number | percent | money | range
+export function formatByKind(v, kind) {
+  if (kind === "percent") return fmtPercent(v);
+  if (kind === "money") return fmtMoney(v);
+  if (kind === "range") return formatMaybeRange(v);
+  return fmtNumber(v);
+}
+
+// Plain value for exports: numbers stay numbers, percents are normalized,
+// ranges ("5-7") are kept as text.
+export function exportValueByKind(v, kind) {
+  if (kind === "percent") return toPercentValue(v);
+  if (kind === "range") {
+    if (v === null || v === undefined || v === "" || v === "–") return null;
+    return typeof v === "number" ? v : String(v);
+  }
+  return coerceNumber(v);
+}
+
+// "Q1 2025" shifted by -1 → "Q4 2024", by -4 → "Q1 2024"
+export function shiftPeriod(p, quarters) {
+  const [q, y] = p.split(" ");
+  const idx = Number(y) * 4 + Number(q.replace("Q", "")) - 1 + quarters;
+  return `Q${(idx % 4) + 1} ${Math.floor(idx / 4)}`;
+}
+
+// === Helper for comparing periods chronologically (e.g. Q1 2020 < Q4 2020) ===
+export function comparePeriods(a, b) {
+  if (!a || !b) return 0;
+  const [qa, ya] = a.split(" ");
+  const [qb, yb] = b.split(" ");
+  if (ya !== yb) return Number(ya) - Number(yb);
+  return Number(qa.replace("Q", "")) - Number(qb.replace("Q", ""));
+}
+
+// Every period of every city, newest first
+export function allPeriods(raw) {
+  const set = new Set();
+  for (const countryNode of Object.values(raw?.countries || {})) {
+    for (const cityNode of Object.values(countryNode.cities || {})) {
+      Object.keys(cityNode.periods || {}).forEach((p) => set.add(p));
+    }
+  }
+  return [...set].sort(comparePeriods).reverse();
+}
+
+/* ===== Historical Series Builder ===== */
+// [{ period, value }] of one market and metric, oldest first
+export function buildTrendSeries(raw, country, city, submarket, metric) {
+  const cityNode = raw?.countries?.[country]?.cities?.[city];
+  if (!cityNode?.periods) return [];
+  const periods = Object.keys(cityNode.periods);
+
+  const sortPeriods = (a, b) => {
+    const [qa, ya] = a.split(" ");
+    const [qb, yb] = b.split(" ");
+    if (ya !== yb) return Number(ya) - Number(yb);
+    return Number(qa.replace("Q", "")) - Number(qb.replace("Q", ""));
+  };
+
+  const out = [];
+  for (const p of periods.sort(sortPeriods)) {
+    const cityData = cityNode.periods?.[p];
+    if (!cityData) continue;
+    const subData = cityData?.subMarkets?.[submarket] || {};
+    const leasing = cityData?.leasing || {};
+    const merged = { ...leasing, ...subData };
+    const val = coerceNumber(merged?.[metric]);
+    if (val !== null) out.push({ period: p, value: val });
+  }
+  return out;
+}
+
+/* ===== Color Scale ===== */
+// light blue (low) → dark red (high), grey for missing values
+export function scaleColor(v, min, max) {
+  if (v == null) return "#ccc";
+  const t = max > min ? (v - min) / (max - min) : 0.5;
+  const from = [198, 219, 239];
+  const to = [165, 15, 21];
+  const c = from.map((f, i) => Math.round(f + (to[i] - f) * t));
+  return `rgb(${c.join(",")})`;
+}
+
+/* ===== Dataset Traversal ===== */
+// Copy of the dataset with every subMarkets / leasing record replaced by
+// fn(fields, { country, city, period, node, submarket }) — used by the display
+// conversions. node is the period node; submarket is undefined for leasing.
+export function mapMarketFields(raw, fn) {
+  if (!raw?.countries) return raw;
+  const countries = {};
+  for (const [country, countryNode] of Object.entries(raw.countries)) {
+    const cities = {};
+    for (const [city, cityNode] of Object.entries(countryNode.cities || {})) {
+      const periods = {};
+      for (const [period, node] of Object.entries(cityNode.periods || {})) {
+        const ctx = { country, city, period, node };
+        const subMarkets = {};
+        for (const [sm, fields] of Object.entries(node.subMarkets || {})) {
+          subMarkets[sm] = fn(fields, { ...ctx, submarket: sm });
+        }
+        periods[period] = { ...node, subMarkets, leasing: node.leasing && fn(node.leasing, ctx) };
+      }
+      cities[city] = { ...cityNode, periods };
+    }
+    countries[country] = { ...countryNode, cities };
+  }
+  return { ...raw, countries };
+}
@@ -0,0 +1,128 @@
+// src/metricRegistry.js
+// Metric catalog built from the loaded data: every field found in
+// subMarkets / leasing becomes a metric with label, unit, formatting kind
+// and group. Curated definitions win; unknown fields are described from
+// their key or label, so new columns appear without code changes.
+import { DERIVED_METRICS } from "./derivedMetrics.js";
+
+export const METRIC_GROUPS = ["Stock", "Vacancy", "Demand", "Pipeline", "Pricing", "Other"];
+
+/* ===== Curated definitions ===== */
+// kind "range" (lease terms like "5-10") is shown in panels but not charted
+const KNOWN_METRICS = [
+  { key: "totalStock", label: "Total Stock (m²)", unit: "m²", kind: "number", group: "Stock" },
+  { key: "vacancy", label: "Vacancy (m²)", unit: "m²", kind: "number", group: "Vacancy" },
+  { key: "vacancyRate", label: "Vacancy Rate (%)", unit: "%", kind: "percent", group: "Vacancy" },
+  { key: "takeUp", label: "Take-up (m²)", unit: "m²", kind: "number", group: "Demand" },
+  { key: "netAbsorption", label: "Net Absorption (m²)", unit: "m²", kind: "number", group: "Demand" },
+  { key: "completionsYTD", label: "Completions (m²)", unit: "m²", kind: "number", group: "Pipeline" },
+  { key: "underConstruction", label: "Under Construction (m²)", unit: "m²", kind: "number", group: "Pipeline" },
+  { key: "primeYield", label: "Prime Yield - Local Convention (%)", unit: "%", kind: "percent", group: "Pricing" },
+  { key: "capitalValueEurSqm", label: "Capital Value (€/m²)", unit: "€/m²", kind: "money", group: "Pricing" },
+  { key: "primeRentEurSqmMonth", label: "Prime Rent (€/m² pm)", unit: "€/m² pm", kind: "money", group: "Pricing" },
+  { key: "averageRentEurSqmMonth", label: "Average Rent (€/m² pm)", unit: "€/m² pm", kind: "money", group: "Pricing" },
+  { key: "netEffectiveRentEurSqmMonth", label: "Net Effective Rent (€/m² pm)", unit: "€/m² pm", kind: "money", group: "Pricing" },
+  { key: "netAverageAskingRentEurSqmMonth", label: "Net Average Asking Rent (€/m² pm)", unit: "€/m² pm", kind: "money", group: "Pricing" },
+  { key: "serviceChargeEurSqmMonth", label: "Service Charge (€/m² pm)", unit: "€/m² pm", kind: "money", group: "Pricing" },
+  { key: "leaseLengthMonths", label: "Typical Lease Terms (years)", unit: "years", kind: "range", group: "Pricing" },
+  { key: "rentFreeMonthPerYear", label: "Typical Rent Free Period (months)", unit: "months", kind: "range", group: "Pricing" },
+  // sector-specific (Industrial, Retail, Residential)
+  { key: "primeRentSmallUnitsEurSqmMonth", label: "Prime Rent - Small Units (€/m² pm)", unit: "€/m² pm", kind: "money", group: "Pricing" },
+  { key: "zoneARentEurSqmMonth", label: "Prime Zone A Rent - High Street (€/m² pm)", unit: "€/m² pm", kind: "money", group: "Pricing" },
+  { key: "shoppingCentrePrimeRentEurSqmMonth", label: "Prime Rent - Shopping Centres (€/m² pm)", unit: "€/m² pm", kind: "money", group: "Pricing" },
+  { key: "averageSalePriceEurSqm", label: "Average Sale Price (€/m²)", unit: "€/m²", kind: "money", group: "Pricing" },
+  // computed by derivedMetrics.js
+  ...DERIVED_METRICS.map(({ key, label, unit, kind, group }) => ({ key, label, unit, kind, group })),
+  // typo in the source export
+  { key: "Take-up - Expmnsion ('000m²)", label: "Take-up - Expansion (m²)", unit: "m²", kind: "number", group: "Demand" },
+];
+
+const KNOWN = new Map(KNOWN_METRICS.map((m, i) => [m.key, { ...m, order: i }]));
+const knownDef = (key) => {
+  const m = KNOWN.get(key);
+  return m && { key: m.key, label: m.label, unit: m.unit, kind: m.kind, group: m.group };
+};
+
+/* ===== Inference for unknown fields ===== */
+const GROUP_RULES = [
+  ["Pipeline", /complet|comps|construction|pipeline/i],
+  ["Vacancy", /vacan/i],
+  ["Demand", /take-?up|absorption|leasing activity|renew|expan/i],
+  ["Stock", /stock/i],
+  ["Pricing", /rent|yield|capital|charge|price/i],
+];
+
+// "netEffectiveRent" → "Net Effective Rent"
+const splitCamel = (s) =>
+  s
+    .replace(/([a-z])([A-Z0-9])/g, "$1 $2")
+    .replace(/^./, (c) => c.toUpperCase());
+
+function inferMetric(key) {
+  let unit = "m²";
+  let kind = "number";
+  let name = key;
+
+  if (/\(%\)|rate|yield/i.test(key)) {
+    unit = "%";
+    kind = "percent";
+  } else if (/EurSqmMonth$|€\/m²\s*(pm|\/month)/i.test(key)) {
+    unit = "€/m² pm";
+    kind = "money";
+  } else if (/EurSqm$|€\/m²/i.test(key)) {
+    unit = "€/m²";
+    kind = "money";
+  }
+
+  // camelCase keys: drop the unit suffix, then split words
+  if (/^[a-z][A-Za-z0-9]*$/.test(key)) {
+    name = splitCamel(key.replace(/EurSqmMonth$|EurSqm$/, "")).replace(/\bComps\b/, "Completions");
+  } else {
+    // the export labels say ('000m²) but carry plain m² values
+    name = key.replace(/\s*\([^)]*\)\s*$/, "").replace(/\bComps\b/, "Completions");
+  }
+
+  const group = GROUP_RULES.find(([, re]) => re.test(key))?.[0] || "Other";
+  return { key, label: `${name} (${unit})`, unit, kind, group };
+}
+
+/* ===== Registry ===== */
+// Returns metric definitions [{ key, label, unit, kind, group }] for every
+// field present in the dataset, ordered by group, curated ones first.
+export function buildMetricRegistry(raw) {
+  const keys = new Set();
+  for (const countryNode of Object.values(raw?.countries || {})) {
+    for (const cityNode of Object.values(countryNode?.cities || {})) {
+      for (const node of Object.values(cityNode?.periods || {})) {
+        for (const fields of Object.values(node?.subMarkets || {})) {
+          Object.keys(fields || {}).forEach((k) => keys.add(k));
+        }
+        Object.keys(node?.leasing || {}).forEach((k) => keys.add(k));
+      }
+    }
+  }
+
+  const order = (m) => (KNOWN.has(m.key) ? KNOWN.get(m.key).order : Infinity);
+  return [...keys]
+    .map((k) => metricDef([], k))
+    .sort(
+      (a, b) =>
+        METRIC_GROUPS.indexOf(a.group) - METRIC_GROUPS.indexOf(b.group) ||
+        order(a) - order(b) ||
+        a.label.localeCompare(b.label)
+    );
+}
+
+// Metrics that can be plotted (numeric series)
+export const chartableMetrics = (registry) => registry.filter((m) => m.kind !== "range");
+
+export function metricDef(registry, key) {
+  return registry.find((m) => m.key === key) || knownDef(key) || inferMetric(key);
+}
+
+// [[group, defs]] in METRIC_GROUPS order, for <optgroup>s
+export function groupMetrics(defs) {
+  return METRIC_GROUPS.map((g) => [g, defs.filter((m) => m.group === g)]).filter(
+    ([, list]) => list.length
+  );
+}
@@ -0,0 +1,26 @@
+// src/offline.js
+// Service worker registration (public/sw.js) and the messages it posts:
+//
+//   { type: "updated", url }  a cached file was replaced by a newer server copy
+//   { type: "offline", url }  the background refresh of a cached file failed
+
+/* ===== Registration ===== */
+// Production builds only: in development Vite serves modules, not /assets/*
+export function registerServiceWorker() {
+  if (!import.meta.env.PROD || !("serviceWorker" in navigator)) return;
+  window.addEventListener("load", () => {
+    navigator.serviceWorker.register("/sw.js").catch(() => {});
+  });
+}
+
+/* ===== Messages ===== */
+// Calls fn({ type, path }) for every message; returns the unsubscribe function
+export function onServiceWorkerMessage(fn) {
+  if (!("serviceWorker" in navigator)) return () => {};
+  const handler = (e) => {
+    if (!e.data?.type) return;
+    fn({ type: e.data.type, path: new URL(e.data.url, location.origin).pathname });
+  };
+  navigator.serviceWorker.addEventListener("message", handler);
+  return () => navigator.serviceWorker.removeEventListener("message", handler);
+}
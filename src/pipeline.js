@@ -0,0 +1,119 @@
+// src/pipeline.js
+// Development pipeline per city: historic completions and forecast
+// completions on one annual timeline, projected stock growth and a
+// supply-pressure reading against trailing net absorption.
+import { coerceNumber, comparePeriods, citySubmarket, resolveMetric } from "./marketUtils.js";
+
+// forecastComps2026 / "Forecast Comps 2028 ('000m²)" → 2026 / 2028
+const FORECAST_KEY = /^(?:forecastComps|Forecast Comps )(\d{4})\b/;
+
+// Pipeline in years of trailing absorption
+export const PRESSURE_LEVELS = [
+  { key: "low", label: "Low", max: 2, color: "#2e7d32" },
+  { key: "moderate", label: "Moderate", max: 4, color: "#d68910" },
+  { key: "high", label: "High", max: Infinity, color: "#c0392b" },
+];
+
+const yearOf = (p) => Number(p.split(" ")[1]);
+const sum = (list) => list.reduce((a, b) => a + b, 0);
+
+function forecastsOf(fields) {
+  const out = {};
+  for (const [k, v] of Object.entries(fields || {})) {
+    const m = k.match(FORECAST_KEY);
+    const n = coerceNumber(v);
+    if (m && n !== null) out[Number(m[1])] = n;
+  }
+  return out;
+}
+
+// Returns null when the city has no periods, else
+// { latest, timeline: [{ year, completed, forecast, quarters }], stock,
+//   underConstruction, forecastAhead, pipeline, pipelineSource, growthPct,
+//   absorption4Q, pressureRatio, pressure }
+// completionsYTD holds each quarter's completions in the source files, so
+// a year is the sum of its quarters.
+export function cityPipeline(raw, country, city, historyYears = 6) {
+  const periodsNode = raw?.countries?.[country]?.cities?.[city]?.periods || {};
+  const periods = Object.keys(periodsNode).sort(comparePeriods);
+  if (!periods.length) return null;
+
+  const latest = periods[periods.length - 1];
+  const latestYear = yearOf(latest);
+  const value = (p, key) => {
+    const node = periodsNode[p];
+    return coerceNumber(resolveMetric(node, citySubmarket(node), key));
+  };
+
+  // --- historic completions per year ---
+  const completed = {};
+  const quarters = {};
+  for (const p of periods) {
+    const v = value(p, "completionsYTD");
+    if (v === null) continue;
+    const y = yearOf(p);
+    completed[y] = (completed[y] || 0) + v;
+    quarters[y] = (quarters[y] || 0) + 1;
+  }
+
+  // --- forecast from the newest period carrying one ---
+  let forecast = {};
+  for (const p of [...periods].reverse()) {
+    const node = periodsNode[p];
+    forecast = forecastsOf(node?.subMarkets?.[citySubmarket(node)]);
+    if (Object.keys(forecast).length) break;
+  }
+
+  const lastYear = Math.max(latestYear, ...Object.keys(forecast).map(Number));
+  const timeline = [];
+  for (let y = latestYear - historyYears + 1; y <= lastYear; y++) {
+    const done = completed[y] ?? null;
+    // a year still open gets the part of its forecast not yet delivered
+    const open = y > latestYear || (y === latestYear && (quarters[y] || 0) < 4);
+    const ahead =
+      open && forecast[y] !== undefined ? Math.max(forecast[y] - (done || 0), 0) : null;
+    timeline.push({ year: y, completed: done, forecast: ahead, quarters: quarters[y] || 0 });
+  }
+
+  const stock = value(latest, "totalStock");
+  const underConstruction = value(latest, "underConstruction");
+  const forecastAhead = sum(timeline.map((t) => t.forecast || 0));
+  const hasForecast = timeline.some((t) => t.forecast !== null);
+  const pipeline = hasForecast ? forecastAhead : underConstruction;
+
+  const last4 = periods.slice(-4).map((p) => value(p, "netAbsorption"));
+  const absorption4Q = last4.length === 4 && last4.every((v) => v !== null) ? sum(last4) : null;
+
+  let pressureRatio = null;
+  let pressure = null;
+  if (pipeline !== null && absorption4Q !== null) {
+    pressureRatio = absorption4Q > 0 ? pipeline / absorption4Q : Infinity;
+    pressure = PRESSURE_LEVELS.find((l) => pressureRatio <= l.max);
+  }
+
+  return {
+    latest,
+    timeline,
+    stock,
+    underConstruction,
+    forecastAhead: hasForecast ? forecastAhead : null,
+    pipeline,
+    pipelineSource: hasForecast ? "forecast" : "underConstruction",
+    growthPct: pipeline !== null && stock ? (pipeline / stock) * 100 : null,
+    absorption4Q,
+    pressureRatio,
+    pressure,
+  };
+}
+
+// One cityPipeline() row per city of the dataset
+export function pipelineTable(raw) {
+  const rows = [];
+  for (const [country, countryNode] of Object.entries(raw?.countries || {})) {
+    for (const city of Object.keys(countryNode.cities || {})) {
+      const p = cityPipeline(raw, country, city);
+      if (p) rows.push({ country, city, ...p });
+    }
+  }
+  return rows;
+}
@@ -0,0 +1,85 @@
+// src/savedViews.js
+// Named views kept in localStorage. A view is stored as its query string
+// (urlState.js) without the dataset, so it opens on the current vintage:
+//
+//   { id, name, query: "?country=Poland&city=Warsaw&metric=takeUp", favorite }
+//
+// Favorites make up the dashboard. Exported files carry just names and
+// queries, so they can be shared and imported next to one's own views.
+const VIEWS_KEY = "cbre-explorer.savedViews";
+const LAST_VIEW_KEY = "cbre-explorer.lastView";
+const FILE_TYPE = "cbre-explorer.savedViews";
+
+/* ===== Storage ===== */
+export function loadSavedViews() {
+  try {
+    const list = JSON.parse(localStorage.getItem(VIEWS_KEY));
+    return Array.isArray(list) ? list : [];
+  } catch {
+    return [];
+  }
+}
+
+export function saveSavedViews(list) {
+  localStorage.setItem(VIEWS_KEY, JSON.stringify(list));
+}
+
+// Query of the last view shown, restored when the app opens without one
+export const loadLastView = () => localStorage.getItem(LAST_VIEW_KEY) || "";
+
+export function saveLastView(query) {
+  localStorage.setItem(LAST_VIEW_KEY, query);
+}
+
+/* ===== Editing ===== */
+const nextId = (list) => list.reduce((max, v) => Math.max(max, v.id), 0) + 1;
+
+// "?data=2025-q3&country=Poland" → "?country=Poland"
+export function withoutDataset(search) {
+  const params = new URLSearchParams(search);
+  params.delete("data");
+  const qs = params.toString();
+  return qs ? `?${qs}` : "";
+}
+
+export function addSavedView(list, name, search) {
+  return [...list, { id: nextId(list), name, query: withoutDataset(search), favorite: true }];
+}
+
+export const updateSavedView = (list, id, patch) =>
+  list.map((v) => (v.id === id ? { ...v, ...patch } : v));
+
+export const removeSavedView = (list, id) => list.filter((v) => v.id !== id);
+
+/* ===== Import / Export ===== */
+export function exportSavedViews(list) {
+  return JSON.stringify(
+    {
+      type: FILE_TYPE,
+      views: list.map(({ name, query, favorite }) => ({ name, query, favorite })),
+    },
+    null,
+    2
+  );
+}
+
+// Appends the views of an exported file; ones already saved (same name and
+// query) are skipped. null when the text is not a saved-views export.
+export function importSavedViews(list, text) {
+  let file;
+  try {
+    file = JSON.parse(text);
+  } catch {
+    return null;
+  }
+  if (file?.type !== FILE_TYPE || !Array.isArray(file.views)) return null;
+
+  let out = list;
+  for (const v of file.views) {
+    if (typeof v?.name !== "string" || typeof v?.query !== "string") continue;
+    const query = withoutDataset(v.query);
+    if (out.some((x) => x.name === v.name && x.query === query)) continue;
+    out = [...out, { id: nextId(out), name: v.name, query, favorite: v.favorite !== false }];
+  }
+  return out;
+}
@@ -0,0 +1,101 @@
+// src/sectors.js
+// Property sectors. Loaded datasets keep one tree per sector below each city:
+//
+//   countries → cities → sectors → { [sector]: { periods: { … } } }
+//
+// Every view works on one sector at a time: sectorSlice() returns the plain
+// countries → cities → periods model for it. Files either carry several
+// sectors in that layout or hold a single sector (meta.sector, Office when
+// absent) in the plain layout; normalizeMarketData() nests both.
+// public/market_data_sectors.json (Industrial and Retail sample) uses the
+// former and is merged into the Q4 2025 file by the "sectors-sample" dataset.
+
+export const SECTORS = [
+  { key: "Office", icon: "🏢" },
+  { key: "Industrial", icon: "🏭" },
+  { key: "Retail", icon: "🛍" },
+  { key: "Residential", icon: "🏘" },
+];
+export const DEFAULT_SECTOR = "Office";
+
+const sectorOrder = (s) => {
+  const i = SECTORS.findIndex((d) => d.key === s);
+  return i < 0 ? SECTORS.length : i;
+};
+
+// Sector tree of a city; un-nested city nodes (unknown layouts passed through
+// for the data-quality check) count as the default sector
+function sectorNode(cityNode, sector) {
+  if (cityNode?.sectors) return cityNode.sectors[sector];
+  return sector === DEFAULT_SECTOR ? cityNode : undefined;
+}
+
+/* ===== Nesting ===== */
+// Plain single-sector model → sector model
+export function nestSector(raw, sector = DEFAULT_SECTOR) {
+  const countries = {};
+  for (const [country, countryNode] of Object.entries(raw?.countries || {})) {
+    const cities = {};
+    for (const [city, cityNode] of Object.entries(countryNode?.cities || {})) {
+      cities[city] = { sectors: { [sector]: cityNode } };
+    }
+    countries[country] = { cities };
+  }
+  const { sector: _sector, ...meta } = raw?.meta || {};
+  return { ...raw, meta, countries };
+}
+
+// One sector as the plain model; cities without it are left out
+export function sectorSlice(data, sector) {
+  if (!data?.countries || typeof data.countries !== "object") return data;
+  const countries = {};
+  for (const [country, countryNode] of Object.entries(data.countries)) {
+    const cities = {};
+    for (const [city, cityNode] of Object.entries(countryNode?.cities || {})) {
+      const node = sectorNode(cityNode, sector);
+      if (node) cities[city] = node;
+    }
+    if (Object.keys(cities).length) countries[country] = { ...countryNode, cities };
+  }
+  return { ...data, meta: { ...(data.meta || {}), sector }, countries };
+}
+
+// Copy of the sector model with one sector replaced by a plain model
+export function withSector(data, sector, slice) {
+  const out = { ...data, countries: { ...(data?.countries || {}) } };
+  for (const [country, countryNode] of Object.entries(slice?.countries || {})) {
+    const c = (out.countries[country] = {
+      ...(out.countries[country] || {}),
+      cities: { ...(out.countries[country]?.cities || {}) },
+    });
+    for (const [city, cityNode] of Object.entries(countryNode.cities || {})) {
+      c.cities[city] = {
+        sectors: { ...(c.cities[city]?.sectors || {}), [sector]: cityNode },
+      };
+    }
+  }
+  return out;
+}
+
+// Sectors present in the data, in SECTORS order
+export function sectorsOf(data) {
+  const found = new Set();
+  for (const countryNode of Object.values(data?.countries || {})) {
+    for (const cityNode of Object.values(countryNode?.cities || {})) {
+      if (!cityNode?.sectors) found.add(DEFAULT_SECTOR);
+      Object.keys(cityNode?.sectors || {}).forEach((s) => found.add(s));
+    }
+  }
+  return [...found].sort((a, b) => sectorOrder(a) - sectorOrder(b) || a.localeCompare(b));
+}
+
+// `wanted` when the data has it, else the first sector present
+export function pickSector(data, wanted) {
+  const present = sectorsOf(data);
+  return present.includes(wanted) ? wanted : present[0] || DEFAULT_SECTOR;
+}
+
+export const isMultiSector = (json) =>
+  Object.values(json?.countries || {}).some((countryNode) =>
+    Object.values(countryNode?.cities || {}).some((cityNode) => cityNode?.sectors)
+  );
@@ -0,0 +1,230 @@
+// src/spreadsheetImport.js
+// In-browser import of Excel / CSV exports: parse the sheet, map its columns
+// to canonical keys, build a canonical dataset and describe what a merge
+// into the loaded data would change.
+import { coerceNumber } from "./marketUtils.js";
+import { MARKET_DATA_SCHEMA } from "./dataQuality.js";
+import { FIELD_ALIASES, importedRate } from "./dataAdapters.js";
+
+/* ===== Targets ===== */
+// Columns identifying the market; the rest map onto schema fields
+export const MARKET_COLUMNS = ["country", "city", "period", "submarket"];
+
+const LEASING_ONLY = Object.keys(MARKET_DATA_SCHEMA.leasingFields).filter(
+  (f) => !MARKET_DATA_SCHEMA.subMarketFields[f]
+);
+
+export const IMPORT_FIELDS = {
+  ...MARKET_DATA_SCHEMA.subMarketFields,
+  ...MARKET_DATA_SCHEMA.leasingFields,
+};
+
+const COLUMN_ALIASES = {
+  country: "country",
+  city: "city",
+  market: "city",
+  period: "period",
+  quarter: "period",
+  submarket: "submarket",
+  "sub-market": "submarket",
+  zone: "submarket",
+  ...FIELD_ALIASES,
+};
+
+const TOTAL_NAMES = new Set(["", "total", "city total", "citytotal"]);
+
+const norm = (s) =>
+  String(s ?? "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "");
+
+/* ===== Parsing ===== */
+// Resolves to { sheets: { [name]: rows[][] }, rowNumbers: { [name]: number[] } }:
+// blank rows are dropped, rowNumbers keeps the sheet row (1-based) of each
+// row left. CSV is read as UTF-8 text.
+export function parseSpreadsheet(file) {
+  const isCsv = /\.csv$/i.test(file.name);
+  return Promise.all([
+    import("xlsx"),
+    isCsv ? file.text() : file.arrayBuffer(),
+  ]).then(([XLSX, content]) => {
+    const wb = XLSX.read(content, { type: isCsv ? "string" : "array" });
+    const sheets = {};
+    const rowNumbers = {};
+    for (const name of wb.SheetNames) {
+      const ws = wb.Sheets[name];
+      const first = ws["!ref"] ? XLSX.utils.decode_range(ws["!ref"]).s.r : 0;
+      const kept = XLSX.utils
+        .sheet_to_json(ws, { header: 1, defval: "", raw: true, blankrows: true })
+        .map((row, i) => [row, first + i + 1])
+        .filter(([row]) => row.some((v) => v !== ""));
+      sheets[name] = kept.map(([row]) => row);
+      rowNumbers[name] = kept.map(([, n]) => n);
+    }
+    return { sheets, rowNumbers };
+  });
+}
+
+// Exports often carry a title block above the table: take the row with the
+// most filled cells among the first ten
+export function guessHeaderRow(rows) {
+  let best = 0;
+  rows.slice(0, 10).forEach((row, i) => {
+    const filled = (r) => r.filter((v) => v !== "").length;
+    if (filled(row) > filled(rows[best])) best = i;
+  });
+  return best;
+}
+
+// "Q1 2025", "2025 Q1", "Q1-2025", "1Q25", "2025Q1" → "Q1 2025"
+export function parsePeriod(v) {
+  const s = String(v ?? "").trim().toUpperCase();
+  let m = s.match(/^Q([1-4])[\s\-/]*(\d{2}|\d{4})$/);
+  if (m) return `Q${m[1]} ${m[2].length === 2 ? "20" + m[2] : m[2]}`;
+  m = s.match(/^(\d{4})[\s\-/]*Q([1-4])$/);
+  if (m) return `Q${m[2]} ${m[1]}`;
+  m = s.match(/^([1-4])Q[\s\-/]*(\d{2}|\d{4})$/);
+  if (m) return `Q${m[1]} ${m[2].length === 2 ? "20" + m[2] : m[2]}`;
+  return null;
+}
+
+/* ===== Mapping ===== */
+const MAPPINGS_KEY = "cbre-explorer.importMappings";
+
+// Same columns → same layout, so the header itself identifies a saved mapping
+export const headerSignature = (header) => header.map(norm).join("|");
+
+function savedMappings() {
+  try {
+    return JSON.parse(localStorage.getItem(MAPPINGS_KEY)) || {};
+  } catch {
+    return {};
+  }
+}
+
+// { columns: { [header]: key | "" }, defaults: { country, city } }
+export function loadMapping(header) {
+  return savedMappings()[headerSignature(header)] || null;
+}
+
+export function saveMapping(header, mapping) {
+  const all = savedMappings();
+  all[headerSignature(header)] = mapping;
+  localStorage.setItem(MAPPINGS_KEY, JSON.stringify(all));
+}
+
+export function guessMapping(header) {
+  const byNorm = {};
+  for (const [alias, key] of Object.entries(COLUMN_ALIASES)) byNorm[norm(alias)] = key;
+  for (const key of Object.keys(IMPORT_FIELDS)) byNorm[norm(key)] = key;
+
+  const columns = {};
+  const used = new Set();
+  for (const h of header) {
+    const key = byNorm[norm(h)] || "";
+    columns[h] = used.has(key) ? "" : key;
+    if (key) used.add(key);
+  }
+  return { columns, defaults: { country: "", city: "", period: "" } };
+}
+
+/* ===== Building ===== */
+// header: the column's, telling how a rate is stored (see importedRate)
+function importValue(v, def, header) {
+  if (v === "" || v === null || v === undefined) return undefined;
+  if (def.type === "range") return typeof v === "number" ? v : String(v).trim();
+  const n = coerceNumber(v);
+  if (n === null) return undefined;
+  return def.type === "percent" ? importedRate(n, header) : n;
+}
+
+// rows: data rows below the header, rowNumbers: their sheet rows (skipped
+// rows are reported by them, else by position). Columns not mapped to a
+// market column fall back to mapping.defaults (a sheet per city and quarter
+// is common). Returns { raw, skipped: [{ row, reason, params }], cells }; the
+// text of a reason is the catalog entry "import.skip.<reason>" with params.
+export function rowsToMarketData(header, rows, mapping, rowNumbers = []) {
+  const col = {};
+  header.forEach((h, i) => {
+    const key = mapping.columns[h];
+    if (key) col[key] = i;
+  });
+  const pick = (row, key) =>
+    col[key] !== undefined && row[col[key]] !== "" ? row[col[key]] : mapping.defaults[key];
+
+  const countries = {};
+  const skipped = [];
+  let cells = 0;
+
+  rows.forEach((row, n) => {
+    const rowNumber = rowNumbers[n] ?? n + 1;
+    const country = String(pick(row, "country") ?? "").trim();
+    const city = String(pick(row, "city") ?? "").trim();
+    const period = parsePeriod(pick(row, "period"));
+    const smName = String(pick(row, "submarket") ?? "").trim();
+    if (!country || !city || !period) {
+      skipped.push({ row: rowNumber, reason: "noMarket", params: {} });
+      return;
+    }
+
+    const isTotal = TOTAL_NAMES.has(smName.toLowerCase());
+    const node = ((countries[country] ??= { cities: {} }).cities[city] ??= {
+      periods: {},
+    }).periods[period] ??= { subMarkets: {}, leasing: {} };
+    const sm = (node.subMarkets[isTotal ? "Total" : smName] ??= {});
+
+    let found = 0;
+    for (const [key, i] of Object.entries(col)) {
+      const def = IMPORT_FIELDS[key];
+      if (!def) continue;
+      const v = importValue(row[i], def, header[i]);
+      if (v === undefined) continue;
+      // city-wide leasing terms belong to the period, not to "Total"
+      if (isTotal && LEASING_ONLY.includes(key)) node.leasing[key] = v;
+      else sm[key] = v;
+      found++;
+    }
+    if (!found) skipped.push({ row: rowNumber, reason: "noValues", params: {} });
+    cells += found;
+  });
+
+  return { raw: { countries }, skipped, cells };
+}
+
+/* ===== Preview ===== */
+// One line per imported market & period: [{ country, city, period, status,
+// submarkets, values, overwrites }], status "new market" | "new period" | "update"
+export function describeImport(current, imported) {
+  const out = [];
+  for (const [country, countryNode] of Object.entries(imported.countries)) {
+    for (const [city, cityNode] of Object.entries(countryNode.cities)) {
+      const existing = current?.countries?.[country]?.cities?.[city];
+      for (const [period, node] of Object.entries(cityNode.periods)) {
+        const old = existing?.periods?.[period];
+        let values = 0;
+        let overwrites = 0;
+        const count = (fields, oldFields) => {
+          for (const [k, v] of Object.entries(fields)) {
+            values++;
+            const prev = oldFields?.[k];
+            if (prev !== undefined && prev !== null && prev !== "" && prev !== v) overwrites++;
+          }
+        };
+        for (const [sm, fields] of Object.entries(node.subMarkets)) {
+          count(fields, old?.subMarkets?.[sm]);
+        }
+        count(node.leasing, old?.leasing);
+        out.push({
+          country,
+          city,
+          period,
+          status: !existing ? "new market" : !old ? "new period" : "update",
+          submarkets: Object.keys(node.subMarkets).length,
+          values,
+          overwrites,
+        });
+      }
+    }
+  }
+  return out;
+}
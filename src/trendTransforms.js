@@ -0,0 +1,106 @@
+// src/trendTransforms.js
+// Transformation modes for the Historical Trend series.
+// Series in / out: [{ period: "Q1 2020", value }] sorted ascending.
+import { toPercentValue, comparePeriods } from "./marketUtils.js";
+
+export const TREND_TRANSFORMS = [
+  { key: "raw", label: "Values" },
+  { key: "qoq", label: "QoQ change" },
+  { key: "yoy", label: "YoY change" },
+  { key: "index", label: "Indexed (Start Period = 100)" },
+  { key: "roll4sum", label: "Rolling 4Q sum" },
+  { key: "roll4avg", label: "Rolling 4Q average" },
+];
+
+/* ===== Period arithmetic ===== */
+// "Q1 2020" → 2020 * 4 + 0, so neighbouring quarters differ by exactly 1
+function quarterIndex(p) {
+  const [q, y] = p.split(" ");
+  return Number(y) * 4 + Number(q.replace("Q", "")) - 1;
+}
+
+/* ===== Units ===== */
+// Rates (vacancy rate, yield) change in percentage points, everything else in %
+export function transformedUnit(metric, mode) {
+  const isRate = metric.kind === "percent";
+  if (mode === "qoq") return isRate ? "QoQ pp" : "QoQ %";
+  if (mode === "yoy") return isRate ? "YoY pp" : "YoY %";
+  if (mode === "index") return "Index";
+  return metric.unit;
+}
+
+/* ===== Transform ===== */
+export function applyTransform(series, mode, metric, startPeriod) {
+  if (!mode || mode === "raw") return series;
+
+  const isRate = metric.kind === "percent";
+  const norm = (v) => (isRate ? toPercentValue(v) : v);
+  const byQuarter = new Map(series.map((d) => [quarterIndex(d.period), norm(d.value)]));
+
+  // change vs. the value `lag` quarters earlier (by label, so gaps give null)
+  const change = (lag) =>
+    series.map((d) => {
+      const cur = norm(d.value);
+      const prev = byQuarter.get(quarterIndex(d.period) - lag);
+      if (cur == null || prev == null) return { period: d.period, value: null };
+      if (isRate) return { period: d.period, value: cur - prev };
+      if (prev === 0) return { period: d.period, value: null };
+      return { period: d.period, value: ((cur - prev) / Math.abs(prev)) * 100 };
+    });
+
+  if (mode === "qoq") return change(1);
+  if (mode === "yoy") return change(4);
+
+  if (mode === "index") {
+    // first value at or after the start period is the base
+    const base = series.find(
+      (d) => !startPeriod || comparePeriods(d.period, startPeriod) >= 0
+    );
+    const baseValue = base ? norm(base.value) : null;
+    return series.map((d) => ({
+      period: d.period,
+      value: baseValue ? (norm(d.value) / baseValue) * 100 : null,
+    }));
+  }
+
+  if (mode === "roll4sum" || mode === "roll4avg") {
+    // needs four consecutive quarters
+    return series.map((d) => {
+      const qi = quarterIndex(d.period);
+      const window = [0, 1, 2, 3].map((k) => byQuarter.get(qi - k));
+      if (window.some((v) => v == null)) return { period: d.period, value: null };
+      const sum = window.reduce((a, b) => a + b, 0);
+      return { period: d.period, value: mode === "roll4sum" ? sum : sum / 4 };
+    });
+  }
+
+  return series;
+}
+
+/* ===== CAGR ===== */
+// Compound annual growth between the first and last value inside the range.
+// Returns { from, to, value } (value in %) or null when it is not defined.
+export function computeCagr(series, metric, startPeriod, endPeriod) {
+  const isRate = metric.kind === "percent";
+  const norm = (v) => (isRate ? toPercentValue(v) : v);
+  const inRange = series.filter(
+    (d) =>
+      d.value != null &&
+      (!startPeriod || comparePeriods(d.period, startPeriod) >= 0) &&
+      (!endPeriod || comparePeriods(d.period, endPeriod) <= 0)
+  );
+  if (inRange.length < 2) return null;
+
+  const first = inRange[0];
+  const last = inRange[inRange.length - 1];
+  const v0 = norm(first.value);
+  const v1 = norm(last.value);
+  const years = (quarterIndex(last.period) - quarterIndex(first.period)) / 4;
+  if (!(v0 > 0) || !(v1 > 0) || years <= 0) return null;
+
+  return {
+    from: first.period,
+    to: last.period,
+    value: (Math.pow(v1 / v0, 1 / years) - 1) * 100,
+  };
+}
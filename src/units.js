@@ -0,0 +1,87 @@
+// src/units.js
+// Unit preference: areas in m² or sq ft, rents per month or per year.
+// The data is stored in m² and per-m²-per-month; like the currency
+// (currency.js) the conversion runs on a display copy of the dataset.
+import { coerceNumber, mapMarketFields } from "./marketUtils.js";
+
+export const SQFT_PER_SQM = 10.7639;
+
+export const AREA_UNITS = [
+  { key: "sqm", label: "m²" },
+  { key: "sqft", label: "sq ft" },
+];
+
+export const RENT_PERIODS = [
+  { key: "month", label: "per month" },
+  { key: "year", label: "per year" },
+];
+
+export const DEFAULT_UNITS = { area: "sqm", rent: "month" };
+
+/* ===== Preference (kept across sessions) ===== */
+const UNITS_KEY = "cbre-explorer.units";
+
+export function loadUnits() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(UNITS_KEY)) || {};
+    return {
+      area: AREA_UNITS.some((u) => u.key === saved.area) ? saved.area : DEFAULT_UNITS.area,
+      rent: RENT_PERIODS.some((u) => u.key === saved.rent) ? saved.rent : DEFAULT_UNITS.rent,
+    };
+  } catch {
+    return DEFAULT_UNITS;
+  }
+}
+
+export function saveUnits(units) {
+  localStorage.setItem(UNITS_KEY, JSON.stringify(units));
+}
+
+export const isDefaultUnits = (units) =>
+  units.area === DEFAULT_UNITS.area && units.rent === DEFAULT_UNITS.rent;
+
+export const areaLabel = (units) => AREA_UNITS.find((u) => u.key === units.area).label;
+
+/* ===== Factors & labels ===== */
+// Multiplier from stored values to the display units (1 = unaffected):
+// areas (unit "m²") scale up to sq ft, prices per m² scale down, and
+// monthly rents ("… pm") become annual.
+export function unitFactor(def, units) {
+  const sqft = units.area === "sqft";
+  if (def.unit === "m²") return sqft ? SQFT_PER_SQM : 1;
+  if (def.kind !== "money") return 1;
+  let factor = sqft && def.unit.includes("/m²") ? 1 / SQFT_PER_SQM : 1;
+  if (units.rent === "year" && / pm$/.test(def.unit)) factor *= 12;
+  return factor;
+}
+
+// "Prime Rent (€/m² pm)" → "Prime Rent (€/sq ft pa)"
+export function unitLabel(label, units) {
+  let out = label;
+  if (units.area === "sqft") out = out.replaceAll("m²", "sq ft");
+  if (units.rent === "year") out = out.replace(/ pm\b/g, " pa");
+  return out;
+}
+
+export function unitMetric(def, units) {
+  if (unitFactor(def, units) === 1) return def;
+  return { ...def, label: unitLabel(def.label, units), unit: unitLabel(def.unit, units) };
+}
+
+/* ===== Conversion ===== */
+// defs: metric definitions of the dataset (before relabeling)
+export function convertUnits(raw, units, defs) {
+  const factors = defs
+    .map((d) => [d.key, unitFactor(d, units)])
+    .filter(([, factor]) => factor !== 1);
+  if (!raw?.countries || !factors.length) return raw;
+
+  return mapMarketFields(raw, (fields) => {
+    const out = { ...fields };
+    for (const [key, factor] of factors) {
+      const n = coerceNumber(out[key]);
+      if (n !== null) out[key] = n * factor;
+    }
+    return out;
+  });
+}
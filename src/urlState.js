@@ -0,0 +1,142 @@
+// src/urlState.js
+// Keeps the DataExplorer view in the query string so a view can be shared as a link.
+//
+//   ?data=2025-q3&sector=Industrial&view=explorer&country=Poland&city=Warsaw&submarket=Total&period=Q4+2025
+//    &metric=takeUp&metric=vacancyRate:line
+//    &from=Q1+2021&to=Q4+2025&transform=yoy&compare=Czech+Republic|Prague|Total
+//    &currency=PLN
+//
+// "metric" is repeated once per trend metric (key[:bar|line]),
+// "compare" once per comparison market (Country|City|Submarket).
+// "sector" and "currency" are left out for the Office / EUR defaults.
+
+const COMPARE_SEP = "|";
+const CHART_SEP = ":";
+
+/* ===== Parse / Serialize ===== */
+export function readViewFromUrl(search = window.location.search) {
+  const params = new URLSearchParams(search);
+  const get = (k) => params.get(k) || "";
+
+  return {
+    dataset: get("data"),
+    sector: get("sector"),
+    view: get("view"),
+    country: get("country"),
+    city: get("city"),
+    submarket: get("submarket"),
+    period: get("period"),
+    metrics: params.getAll("metric").map((entry) => {
+      const [key = "", chart = ""] = entry.split(CHART_SEP);
+      return { key, chart };
+    }),
+    startPeriod: get("from"),
+    endPeriod: get("to"),
+    transform: get("transform"),
+    comparisons: params.getAll("compare").map((entry) => {
+      const [country = "", city = "", submarket = ""] = entry.split(COMPARE_SEP);
+      return { country, city, submarket };
+    }),
+    currency: get("currency"),
+  };
+}
+
+export function viewToQuery(view) {
+  const params = new URLSearchParams();
+  const set = (k, v) => {
+    if (v) params.set(k, v);
+  };
+
+  set("data", view.dataset);
+  if (view.sector !== "Office") set("sector", view.sector);
+  if (view.view !== "explorer") set("view", view.view);
+  set("country", view.country);
+  set("city", view.city);
+  set("submarket", view.submarket);
+  set("period", view.period);
+  for (const m of view.metrics || []) {
+    params.append("metric", m.chart === "line" ? `${m.key}${CHART_SEP}line` : m.key);
+  }
+  set("from", view.startPeriod);
+  set("to", view.endPeriod);
+  if (view.transform !== "raw") set("transform", view.transform);
+  for (const c of view.comparisons || []) {
+    if (!c.country) continue;
+    params.append(
+      "compare",
+      [c.country, c.city, c.submarket].join(COMPARE_SEP)
+    );
+  }
+  if (view.currency !== "EUR") set("currency", view.currency);
+
+  const qs = params.toString();
+  return qs ? `?${qs}` : "";
+}
+
+/* ===== Validation against the loaded dataset ===== */
+// Unknown or stale values fall back the same way the cascading dropdown
+// effects do: first country/city, latest period, first submarket.
+// options.metricDefs: [{ key, unit }] — at most two units fit on the chart
+// (left / right axis); options.transforms / options.views / options.currencies:
+// valid keys.
+export function resolveView(
+  raw,
+  view,
+  { metricDefs, defaultMetric, transforms, views, currencies }
+) {
+  const countryList = Object.keys(raw?.countries || {});
+  const country = countryList.includes(view.country) ? view.country : countryList[0] || "";
+
+  const cityList = Object.keys(raw?.countries?.[country]?.cities || {});
+  const city = cityList.includes(view.city) ? view.city : cityList[0] || "";
+
+  const periods = Object.keys(raw?.countries?.[country]?.cities?.[city]?.periods || {});
+  const latest = periods[periods.length - 1] || "";
+  const period = periods.includes(view.period) ? view.period : latest;
+
+  const subs = Object.keys(
+    raw?.countries?.[country]?.cities?.[city]?.periods?.[latest]?.subMarkets || {}
+  );
+  const submarket = subs.includes(view.submarket) ? view.submarket : subs[0] || "";
+
+  // Limit default view to last 20 quarters (≈5 years)
+  const startPeriod = periods.includes(view.startPeriod)
+    ? view.startPeriod
+    : periods[Math.max(0, periods.length - 20)] || "";
+  const endPeriod = periods.includes(view.endPeriod) ? view.endPeriod : latest;
+
+  const metrics = [];
+  const units = new Set();
+  for (const m of view.metrics || []) {
+    const def = metricDefs.find((d) => d.key === m.key);
+    if (!def || metrics.some((x) => x.key === m.key)) continue;
+    if (!units.has(def.unit) && units.size >= 2) continue;
+    units.add(def.unit);
+    metrics.push({ key: m.key, chart: m.chart === "line" ? "line" : "bar" });
+  }
+  if (!metrics.length) metrics.push({ key: defaultMetric, chart: "bar" });
+
+  const transform = transforms.includes(view.transform) ? view.transform : "raw";
+  const activeView = views.includes(view.view) ? view.view : views[0];
+  const currency = currencies.includes(view.currency) ? view.currency : "EUR";
+
+  // City / submarket of a comparison are repaired by repairComparison(),
+  // only an unknown country drops the entry.
+  const comparisons = (view.comparisons || []).filter((c) =>
+    countryList.includes(c.country)
+  );
+
+  return {
+    view: activeView,
+    country,
+    city,
+    submarket,
+    period,
+    metrics,
+    startPeriod,
+    endPeriod,
+    transform,
+    comparisons,
+    currency,
+  };
+}